@@ -0,0 +1,387 @@
+/**
+ * Annotations
+ * Event markers (deploys, releases, feature flag changes, incidents) sent as hybrid logs with
+ * an _annotation object, so they can be drawn over charts and correlated with other logs
+ */
+
+const { normalizeLevel } = require('./normalize');
+
+const ANNOTATION_KINDS = ['deploy', 'release', 'feature_flag', 'incident', 'custom'];
+
+const MAX_TITLE_LENGTH = 256;
+const MAX_DESCRIPTION_LENGTH = 4096;
+const MAX_LINKS = 10;
+
+// Build metadata from common CI/CD providers, first match wins per field
+const CI_PROVIDERS = [
+  {
+    name: 'github_actions',
+    detect: 'GITHUB_ACTIONS',
+    commit: 'GITHUB_SHA',
+    build: 'GITHUB_RUN_NUMBER',
+    branch: 'GITHUB_REF_NAME',
+    repository: 'GITHUB_REPOSITORY',
+    buildUrl: (env) => env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID
+      ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+      : null,
+    commitUrl: (env) => env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_SHA
+      ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/commit/${env.GITHUB_SHA}`
+      : null,
+  },
+  {
+    name: 'gitlab_ci',
+    detect: 'GITLAB_CI',
+    commit: 'CI_COMMIT_SHA',
+    build: 'CI_PIPELINE_IID',
+    branch: 'CI_COMMIT_REF_NAME',
+    repository: 'CI_PROJECT_PATH',
+    environment: 'CI_ENVIRONMENT_NAME',
+    buildUrl: (env) => env.CI_PIPELINE_URL || null,
+    commitUrl: (env) => env.CI_PROJECT_URL && env.CI_COMMIT_SHA ? `${env.CI_PROJECT_URL}/-/commit/${env.CI_COMMIT_SHA}` : null,
+  },
+  {
+    name: 'circleci',
+    detect: 'CIRCLECI',
+    commit: 'CIRCLE_SHA1',
+    build: 'CIRCLE_BUILD_NUM',
+    branch: 'CIRCLE_BRANCH',
+    repository: 'CIRCLE_PROJECT_REPONAME',
+    buildUrl: (env) => env.CIRCLE_BUILD_URL || null,
+  },
+  {
+    name: 'buildkite',
+    detect: 'BUILDKITE',
+    commit: 'BUILDKITE_COMMIT',
+    build: 'BUILDKITE_BUILD_NUMBER',
+    branch: 'BUILDKITE_BRANCH',
+    repository: 'BUILDKITE_PIPELINE_SLUG',
+    buildUrl: (env) => env.BUILDKITE_BUILD_URL || null,
+  },
+  {
+    name: 'jenkins',
+    detect: 'JENKINS_URL',
+    commit: 'GIT_COMMIT',
+    build: 'BUILD_NUMBER',
+    branch: 'GIT_BRANCH',
+    repository: 'JOB_NAME',
+    buildUrl: (env) => env.BUILD_URL || null,
+  },
+  {
+    name: 'vercel',
+    detect: 'VERCEL',
+    commit: 'VERCEL_GIT_COMMIT_SHA',
+    branch: 'VERCEL_GIT_COMMIT_REF',
+    repository: 'VERCEL_GIT_REPO_SLUG',
+    environment: 'VERCEL_ENV',
+    buildUrl: (env) => env.VERCEL_URL ? `https://${env.VERCEL_URL}` : null,
+  },
+  {
+    name: 'generic',
+    detect: null,
+    commit: ['GIT_SHA', 'GIT_COMMIT', 'COMMIT_SHA', 'SOURCE_VERSION'],
+    build: ['BUILD_NUMBER', 'BUILD_ID'],
+    branch: ['GIT_BRANCH', 'BRANCH_NAME'],
+    environment: ['DEPLOY_ENV', 'APP_ENV', 'NODE_ENV'],
+  },
+];
+
+/**
+ * Convert a time value (Date, epoch milliseconds or date string) to epoch milliseconds
+ * @private
+ */
+function toTimestamp(value, field) {
+  const ms = value instanceof Date ? value.getTime() : typeof value === 'string' ? Date.parse(value) : Number(value);
+  if (typeof ms !== 'number' || !isFinite(ms)) {
+    throw new Error(`Annotation "${field}" must be a Date, epoch milliseconds or a date string`);
+  }
+  return ms;
+}
+
+/**
+ * Normalize annotation links to [{ url, title }]
+ * @private
+ */
+function normalizeLinks(links) {
+  if (links === undefined || links === null) {
+    return [];
+  }
+  if (!Array.isArray(links)) {
+    throw new Error('Annotation "links" must be an array of URLs or { url, title } objects');
+  }
+  if (links.length > MAX_LINKS) {
+    throw new Error(`Annotations can have at most ${MAX_LINKS} links`);
+  }
+  return links.map((link) => {
+    const spec = typeof link === 'string' ? { url: link } : link;
+    if (!spec || typeof spec.url !== 'string') {
+      throw new Error('Annotation links must be URLs or { url, title } objects');
+    }
+    let parsed;
+    try {
+      parsed = new URL(spec.url);
+    } catch (e) {
+      parsed = null;
+    }
+    if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+      throw new Error(`Annotation link "${spec.url}" is not an http(s) URL`);
+    }
+    const normalized = { url: spec.url };
+    if (spec.title !== undefined && spec.title !== null) {
+      normalized.title = String(spec.title);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Validate annotation tags (flat object of string, number or boolean values)
+ * @private
+ */
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null) {
+    return {};
+  }
+  if (typeof tags !== 'object' || Array.isArray(tags)) {
+    throw new Error('Annotation "tags" must be an object, e.g. { service: "api", version: "1.4.0" }');
+  }
+  const normalized = {};
+  for (const [key, value] of Object.entries(tags)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new Error(`Annotation tag "${key}" must be a string, number or boolean`);
+    }
+    normalized[key] = value;
+  }
+  return normalized;
+}
+
+/**
+ * Validate an annotation and fill in defaults
+ * @param {object} annotation - Annotation
+ * @param {string} annotation.title - Short title, e.g. 'Deploy api 1a2b3c4' (required)
+ * @param {string} annotation.kind - 'deploy', 'release', 'feature_flag', 'incident' or 'custom' (default: 'custom')
+ * @param {string} annotation.description - Longer description
+ * @param {object} annotation.tags - Flat tags, also added to the log's context, e.g. { service: 'api', version: '1.4.0' }
+ * @param {Array<string|object>} annotation.links - Related URLs, as strings or { url, title }
+ * @param {Date|number|string} annotation.time - Start time (default: now)
+ * @param {Date|number|string} annotation.endTime - End time, for annotations covering a range (e.g. an incident)
+ * @param {number} annotation.durationMs - Duration in milliseconds, instead of endTime
+ * @param {string} annotation.level - Log level (default: 'info')
+ * @returns {object} Validated annotation { title, kind, description, tags, links, time, endTime, level }
+ */
+function validateAnnotation(annotation) {
+  if (!annotation || typeof annotation !== 'object' || Array.isArray(annotation)) {
+    throw new Error('An annotation must be an object with at least a "title"');
+  }
+
+  const title = typeof annotation.title === 'string' ? annotation.title.trim() : '';
+  if (!title) {
+    throw new Error('Annotation "title" must be a non-empty string');
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    throw new Error(`Annotation "title" must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  const kind = annotation.kind === undefined ? 'custom' : annotation.kind;
+  if (!ANNOTATION_KINDS.includes(kind)) {
+    throw new Error(`Unknown annotation kind "${kind}" (expected ${ANNOTATION_KINDS.join(', ')})`);
+  }
+
+  let description = null;
+  if (annotation.description !== undefined && annotation.description !== null) {
+    if (typeof annotation.description !== 'string') {
+      throw new Error('Annotation "description" must be a string');
+    }
+    description = annotation.description.substring(0, MAX_DESCRIPTION_LENGTH);
+  }
+
+  const time = annotation.time === undefined || annotation.time === null ? Date.now() : toTimestamp(annotation.time, 'time');
+
+  if (annotation.endTime !== undefined && annotation.durationMs !== undefined) {
+    throw new Error('Annotations take either "endTime" or "durationMs", not both');
+  }
+  let endTime = null;
+  if (annotation.endTime !== undefined && annotation.endTime !== null) {
+    endTime = toTimestamp(annotation.endTime, 'endTime');
+  } else if (annotation.durationMs !== undefined && annotation.durationMs !== null) {
+    const duration = Number(annotation.durationMs);
+    if (!isFinite(duration) || duration < 0) {
+      throw new Error('Annotation "durationMs" must be a non-negative number');
+    }
+    endTime = time + duration;
+  }
+  if (endTime !== null && endTime < time) {
+    throw new Error('Annotation "endTime" must not be before "time"');
+  }
+
+  return {
+    title,
+    kind,
+    description,
+    tags: normalizeTags(annotation.tags),
+    links: normalizeLinks(annotation.links),
+    time,
+    endTime,
+    level: normalizeLevel(annotation.level || 'info'),
+  };
+}
+
+/**
+ * Build the hybrid log for an annotation
+ * @param {object} annotation - Annotation (see validateAnnotation)
+ * @returns {object} { payload, timestamp } - hybrid log and its timestamp (the annotation's start time)
+ */
+function buildAnnotationLog(annotation) {
+  const valid = validateAnnotation(annotation);
+
+  const marker = {
+    kind: valid.kind,
+    title: valid.title,
+    start_time: new Date(valid.time).toISOString(),
+  };
+  if (valid.description) {
+    marker.description = valid.description;
+  }
+  if (Object.keys(valid.tags).length > 0) {
+    marker.tags = valid.tags;
+  }
+  if (valid.links.length > 0) {
+    marker.links = valid.links;
+  }
+
+  const metrics = {};
+  if (valid.endTime !== null) {
+    marker.end_time = new Date(valid.endTime).toISOString();
+    marker.duration_ms = valid.endTime - valid.time;
+    metrics.duration_ms = marker.duration_ms;
+  }
+
+  return {
+    payload: {
+      message: valid.title,
+      level: valid.level,
+      metrics,
+      context: { ...valid.tags, annotation_kind: valid.kind },
+      _annotation: marker,
+    },
+    timestamp: valid.time,
+  };
+}
+
+/**
+ * Read the first set environment variable of a list
+ * @private
+ */
+function readEnv(env, names) {
+  if (!names) {
+    return null;
+  }
+  for (const name of Array.isArray(names) ? names : [names]) {
+    if (env[name] !== undefined && env[name] !== '') {
+      return String(env[name]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect build metadata from CI/CD environment variables
+ * Supports GitHub Actions, GitLab CI, CircleCI, Buildkite, Jenkins and Vercel, then generic
+ * GIT_SHA/GIT_COMMIT/BUILD_NUMBER style variables
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {object} { provider, commit, build, branch, repository, environment, buildUrl, commitUrl } (null when unknown)
+ */
+function detectBuildInfo(env = null) {
+  const vars = env || (typeof process !== 'undefined' && process.env ? process.env : {});
+  const info = {
+    provider: null,
+    commit: null,
+    build: null,
+    branch: null,
+    repository: null,
+    environment: null,
+    buildUrl: null,
+    commitUrl: null,
+  };
+
+  for (const provider of CI_PROVIDERS) {
+    if (provider.detect && !vars[provider.detect]) {
+      continue;
+    }
+    info.provider = info.provider || (provider.detect ? provider.name : null);
+    for (const field of ['commit', 'build', 'branch', 'repository', 'environment']) {
+      info[field] = info[field] || readEnv(vars, provider[field]);
+    }
+    for (const field of ['buildUrl', 'commitUrl']) {
+      info[field] = info[field] || (provider[field] ? provider[field](vars) : null);
+    }
+  }
+  return info;
+}
+
+/**
+ * Build a deploy annotation from CI/CD environment variables
+ * @param {object} overrides - Annotation fields to set or override (title, tags, links, ...), plus:
+ * @param {string} overrides.service - Service name for the title and tags
+ * @param {string} overrides.version - Released version for the title and tags
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {object} Deploy annotation, e.g. { kind: 'deploy', title: 'Deploy api 1a2b3c4 (#128)', tags: { commit, build, branch, ... }, links }
+ */
+function deployAnnotationFromEnv(overrides = {}, env = null) {
+  const { service = null, version = null, ...fields } = overrides || {};
+  const info = detectBuildInfo(env);
+
+  const tags = {};
+  const add = (key, value) => {
+    if (value !== null && value !== undefined && value !== '') {
+      tags[key] = value;
+    }
+  };
+  add('service', service);
+  add('version', version);
+  add('commit', info.commit);
+  add('build', info.build);
+  add('branch', info.branch);
+  add('repository', info.repository);
+  add('environment', info.environment);
+  add('ci_provider', info.provider);
+
+  const links = [];
+  if (info.buildUrl) {
+    links.push({ url: info.buildUrl, title: 'Build' });
+  }
+  if (info.commitUrl) {
+    links.push({ url: info.commitUrl, title: 'Commit' });
+  }
+
+  const titleParts = ['Deploy'];
+  if (service) {
+    titleParts.push(service);
+  }
+  if (version) {
+    titleParts.push(version);
+  } else if (info.commit) {
+    titleParts.push(info.commit.substring(0, 7));
+  }
+  if (info.build) {
+    titleParts.push(`(#${info.build})`);
+  }
+
+  return {
+    kind: 'deploy',
+    title: titleParts.join(' '),
+    ...fields,
+    tags: { ...tags, ...(fields.tags || {}) },
+    links: [...links, ...(fields.links || [])],
+  };
+}
+
+module.exports = {
+  ANNOTATION_KINDS,
+  validateAnnotation,
+  buildAnnotationLog,
+  detectBuildInfo,
+  deployAnnotationFromEnv,
+};
@@ -0,0 +1,58 @@
+/**
+ * Browser Client
+ * A VibexClient for web pages: batches go out with fetch keepalive, and whatever is still queued
+ * when the page is hidden or unloaded is handed to navigator.sendBeacon (or a keepalive request)
+ */
+
+const VibexClient = require('./client');
+const { fetchTransport, browserShutdown } = require('./platform');
+
+// Browsers cap in-flight keepalive requests and beacons at 64 KB in total
+const MAX_KEEPALIVE_BYTES = 60 * 1024;
+
+/**
+ * Create a beacon sender
+ * sendBeacon can't set an Authorization header, so it is only used with a beaconUrl - an endpoint of
+ * your own (e.g. a same-origin proxy) that adds the token and forwards the body to the ingest URL
+ * @param {string|null} beaconUrl - Beacon endpoint
+ * @returns {Function} (url, headers, body) => true if the beacon was queued
+ * @private
+ */
+function createBeacon(beaconUrl) {
+  return (url, headers, body) => {
+    if (!beaconUrl || typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+      return false;
+    }
+    try {
+      return navigator.sendBeacon(beaconUrl, new Blob([body], { type: headers['Content-Type'] || 'application/json' }));
+    } catch (e) {
+      return false;
+    }
+  };
+}
+
+/**
+ * Create a client for web pages
+ * @param {object} options - Client options (see VibexClient), plus:
+ * @param {VibexConfig|object} options.config - VibexConfig instance or options ({ token, sessionId, apiUrl }). There are no config files or environment variables in a browser.
+ * @param {boolean} options.verbose - If true, print status messages to the console
+ * @param {string} options.beaconUrl - Endpoint for navigator.sendBeacon on page hide (default: none, a keepalive fetch is used)
+ * @returns {VibexClient} Client
+ */
+function createBrowserClient(options = {}) {
+  const { config = null, verbose = false, beaconUrl = null, ...clientOptions } = options || {};
+  return new VibexClient(config, verbose, {
+    maxBatchBytes: MAX_KEEPALIVE_BYTES,
+    ...clientOptions,
+    platform: {
+      transport: (url, headers, body, requestOptions) => fetchTransport(url, headers, body, { ...requestOptions, keepalive: true }),
+      beacon: createBeacon(beaconUrl),
+      onShutdown: browserShutdown,
+      ...(clientOptions.platform || {}),
+    },
+  });
+}
+
+module.exports = {
+  createBrowserClient,
+};
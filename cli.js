@@ -0,0 +1,471 @@
+#!/usr/bin/env node
+/**
+ * vibex-pipe
+ * Sends the output of any process to a vibex.sh session
+ *
+ *   ./job.sh 2>&1 | vibex-pipe
+ *   vibex-pipe wrap -- python worker.py --queue jobs
+ *   vibex-pipe mark deploy --service api
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const os = require('os');
+const VibexClient = require('./client');
+const { nodeShutdown } = require('./platform');
+const { normalizeToHybrid, normalizeLevel } = require('./normalize');
+const { createTextParser } = require('./parsers');
+const { ANNOTATION_KINDS, deployAnnotationFromEnv } = require('./annotations');
+const { version } = require('./package.json');
+
+const USAGE = `Usage:
+  <command> | vibex-pipe [options]       Send stdin to vibex.sh, echoing it to stdout
+  vibex-pipe wrap [options] -- <command>  Run a command and send its stdout and stderr
+  vibex-pipe mark <kind> [options]        Send an annotation (${ANNOTATION_KINDS.join(', ')})
+
+Options:
+  --token <token>        Vibex token (default: VIBEX_TOKEN or config file)
+  --session <id>         Session ID (default: VIBEX_SESSION_ID or config file)
+  --api-url <url>        Ingest URL (default: VIBEX_API_URL or https://ingest.vibex.sh/api/v1/ingest)
+  --profile <name>       Config file profile
+  --level <level>        Level for text lines without a recognizable level (default: info)
+  --tag <key=value>      Add a context field to every log (repeatable)
+  --raw                  Send text lines as-is, without parsing logfmt or access log fields
+  --key-value            Also pick key=value pairs out of free text lines (off by default: URLs and
+                         other text containing "=" would be split up)
+  --quiet                Don't echo input
+  --verbose              Print SDK status messages to stderr
+  --version              Print the vibex-pipe version
+  -h, --help             Show this help
+
+Annotation options (mark):
+  --title <title>        Title (default for deploy: built from CI variables, e.g. "Deploy api 1a2b3c4 (#128)")
+  --description <text>   Longer description
+  --link <url>           Related URL (repeatable)
+  --service <name>       Service name, added to the title and tags
+  --release <version>    Released version, added to the title and tags
+  --duration-ms <ms>     Duration, for annotations covering a time range`;
+
+// Leading level words in text lines, e.g. "ERROR something failed" or "[warn] disk almost full"
+const TEXT_LEVEL_PATTERN = /^\s*[[(]?(trace|debug|info|information|warn|warning|error|err|fatal|critical)[\])]?[\s:|-]/i;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {object} { command, options, commandArgs }
+ */
+function parseArgs(argv) {
+  const options = {
+    tags: {},
+    links: [],
+    level: 'info',
+    raw: false,
+    keyValue: false,
+    quiet: false,
+    verbose: false,
+    help: false,
+    printVersion: false,
+  };
+  const args = argv.slice();
+  let command = 'pipe';
+  if (args[0] === 'wrap' || args[0] === 'mark') {
+    command = args.shift();
+  }
+
+  const takeValue = (flag) => {
+    const value = args.shift();
+    if (value === undefined) {
+      throw new Error(`${flag} needs a value`);
+    }
+    return value;
+  };
+
+  let commandArgs = [];
+  while (args.length > 0) {
+    const arg = args.shift();
+    switch (arg) {
+      case '--':
+        commandArgs = args.splice(0);
+        break;
+      case '--token':
+        options.token = takeValue(arg);
+        break;
+      case '--session':
+        options.sessionId = takeValue(arg);
+        break;
+      case '--api-url':
+        options.apiUrl = takeValue(arg);
+        break;
+      case '--profile':
+        options.profile = takeValue(arg);
+        break;
+      case '--level':
+        options.level = normalizeLevel(takeValue(arg));
+        break;
+      case '--tag': {
+        const tag = takeValue(arg);
+        const separator = tag.indexOf('=');
+        if (separator <= 0) {
+          throw new Error(`--tag must look like key=value, got "${tag}"`);
+        }
+        options.tags[tag.substring(0, separator)] = tag.substring(separator + 1);
+        break;
+      }
+      case '--title':
+        options.title = takeValue(arg);
+        break;
+      case '--description':
+        options.description = takeValue(arg);
+        break;
+      case '--link':
+        options.links.push(takeValue(arg));
+        break;
+      case '--service':
+        options.service = takeValue(arg);
+        break;
+      case '--release':
+        options.release = takeValue(arg);
+        break;
+      case '--duration-ms':
+        options.durationMs = Number(takeValue(arg));
+        break;
+      case '--raw':
+        options.raw = true;
+        break;
+      case '--key-value':
+        options.keyValue = true;
+        break;
+      case '--quiet':
+        options.quiet = true;
+        break;
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '--version':
+        options.printVersion = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (command === 'wrap' && !arg.startsWith('-')) {
+          // `vibex-pipe wrap cmd args` without `--`
+          commandArgs = [arg, ...args.splice(0)];
+        } else if (command === 'mark' && !arg.startsWith('-') && options.kind === undefined) {
+          options.kind = arg;
+        } else {
+          throw new Error(`Unknown option "${arg}"`);
+        }
+    }
+  }
+
+  return { command, options, commandArgs };
+}
+
+// Only formats that cover the whole line by default - pairs inside free text are opt-in (--key-value)
+const textParser = createTextParser(['accessLog', 'logfmt']);
+const keyValueTextParser = createTextParser(['accessLog', 'logfmt', 'keyValue']);
+
+/**
+ * Turn one line of output into a hybrid log
+ * JSON object lines are normalized like JSON logs, structured text (access logs, logfmt, and with
+ * keyValue also key=value pairs in free text) is parsed into fields, and anything else is sent as a text message
+ * @param {string} line - Output line
+ * @param {object} context - Context fields to add (tags, stream)
+ * @param {string} defaultLevel - Level for lines without one
+ * @param {boolean} raw - If true, don't parse structured text
+ * @param {boolean} keyValue - If true, also parse key=value pairs inside free text
+ * @returns {object} Hybrid log
+ */
+function lineToHybrid(line, context, defaultLevel, raw = false, keyValue = false) {
+  let parsed = null;
+  const trimmed = line.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (e) {
+      parsed = null;
+    }
+  }
+
+  const fields = parsed || raw ? null : (keyValue ? keyValueTextParser : textParser)(line);
+  const levelMatch = line.match(TEXT_LEVEL_PATTERN);
+
+  let hybrid;
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+    const level = parsed.level || parsed.severity || parsed.log_level || defaultLevel;
+    hybrid = normalizeToHybrid(null, level, parsed);
+  } else if (fields) {
+    const level = fields.level || (levelMatch ? levelMatch[1] : defaultLevel);
+    hybrid = normalizeToHybrid(fields.message || line, level, fields.fields);
+  } else {
+    hybrid = {
+      message: line,
+      level: levelMatch ? normalizeLevel(levelMatch[1]) : defaultLevel,
+      metrics: {},
+      context: {},
+    };
+  }
+
+  hybrid.context = { ...context, ...hybrid.context };
+  return hybrid;
+}
+
+/**
+ * Read lines from a stream, echo them and queue them as logs
+ * Reading pauses while a log waits for queue space, so a fast producer is slowed down
+ * to the delivery rate instead of buffering without limit
+ * @param {VibexClient} client - Client to send with
+ * @param {Readable} input - Stream to read
+ * @param {Writable|null} echo - Where to echo lines (null to stay quiet). Echoing stops if it fails, e.g. on EPIPE.
+ * @param {object} context - Context fields for every line
+ * @param {object} options - CLI options (level, raw, keyValue)
+ * @returns {Promise<void>} Resolves at end of input, once every line is queued
+ */
+function pipeLines(client, input, echo, context, options) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    let pending = 0;
+    let closed = false;
+
+    // The reader went away (EPIPE, e.g. `vibex-pipe | head`) - stop echoing but keep sending every line
+    let output = echo;
+    if (output) {
+      output.on('error', () => {
+        output = null;
+      });
+    }
+
+    const settle = () => {
+      pending--;
+      if (pending > 0) {
+        return;
+      }
+      if (closed) {
+        resolve();
+      } else {
+        rl.resume();
+      }
+    };
+
+    rl.on('line', (line) => {
+      if (output) {
+        output.write(`${line}\n`);
+      }
+      if (line.trim()) {
+        // Lines already read keep arriving after pause(); each one is still sent in order
+        pending++;
+        rl.pause();
+        client.sendLog('json', lineToHybrid(line, context, options.level, options.raw, options.keyValue))
+          .catch(() => {})
+          .then(settle);
+      }
+    });
+    rl.on('close', () => {
+      closed = true;
+      if (pending === 0) {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Create the client from command line options
+ * @param {object} options - CLI options
+ * @param {object} clientOptions - Extra VibexClient options
+ * @private
+ */
+function createClient(options, clientOptions = {}) {
+  const config = {};
+  for (const key of ['token', 'sessionId', 'apiUrl', 'profile']) {
+    if (options[key] !== undefined) {
+      config[key] = options[key];
+    }
+  }
+  // Block instead of dropping when output outpaces delivery - reading pauses meanwhile, so
+  // the wait is bounded by the retry policy rather than by a short block timeout
+  return new VibexClient(config, options.verbose, {
+    overflowPolicy: 'block',
+    maxQueueSize: 10000,
+    blockTimeoutMs: 60000,
+    ...clientOptions,
+  });
+}
+
+/**
+ * Warn that logs are not being sent, e.g. because no token is configured
+ * @private
+ */
+function reportDisabled(client) {
+  process.stderr.write(`vibex-pipe: warning: logs are not being sent: ${client.getStatus().reason}\n`);
+}
+
+/**
+ * Send stdin, exit when it ends
+ * Logging must never break the pipeline it is added to: when the client is disabled, input is still
+ * passed through and the exit code stays 0, with a warning on stderr
+ * @returns {Promise<number>} Exit code
+ */
+async function runPipe(options) {
+  const client = createClient(options);
+  const enabledAtStart = client.isEnabled();
+  if (!enabledAtStart) {
+    reportDisabled(client);
+  }
+
+  await pipeLines(client, process.stdin, options.quiet ? null : process.stdout, options.tags, options);
+  await client.flush();
+
+  if (enabledAtStart && !client.isEnabled()) {
+    reportDisabled(client);  // Disabled while running, e.g. the token was revoked
+  }
+  return 0;
+}
+
+/**
+ * Run a command, send its output, exit with its exit code
+ * @returns {Promise<number>} Exit code
+ */
+async function runWrap(options, commandArgs) {
+  if (commandArgs.length === 0) {
+    throw new Error('wrap needs a command, e.g. vibex-pipe wrap -- ./job.sh');
+  }
+
+  // SIGINT / SIGTERM go to the command instead of exiting right away: its output is still read,
+  // and vibex-pipe exits with its status once it stops
+  const client = createClient(options, { platform: { onShutdown: ({ exit }) => nodeShutdown({ exit }) } });
+  if (!client.isEnabled()) {
+    reportDisabled(client);
+  }
+  const child = spawn(commandArgs[0], commandArgs.slice(1), { stdio: ['inherit', 'pipe', 'pipe'] });
+  const context = { ...options.tags, command: commandArgs.join(' '), pid: child.pid };
+
+  // Ctrl-C at a terminal reaches the whole foreground process group, the command included -
+  // forwarding it too would deliver a second SIGINT, which many programs take as "quit now"
+  const fromTerminal = [process.stdin, process.stdout, process.stderr].some((stream) => stream.isTTY);
+
+  let code = null;
+  const onSignal = (signal) => {
+    if (code !== null) {
+      process.exit(code);  // Already flushing - stop waiting for delivery
+    } else if (signal !== 'SIGINT' || !fromTerminal) {
+      child.kill(signal);
+    }
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  const exited = new Promise((resolve) => {
+    child.on('error', (error) => {
+      process.stderr.write(`vibex-pipe: failed to start "${commandArgs[0]}": ${error.message}\n`);
+      resolve(127);
+    });
+    child.on('close', (code, signal) => {
+      resolve(signal ? 128 + (os.constants.signals[signal] || 0) : code);
+    });
+  });
+
+  await Promise.all([
+    pipeLines(client, child.stdout, options.quiet ? null : process.stdout, { ...context, stream: 'stdout' }, options),
+    pipeLines(client, child.stderr, options.quiet ? null : process.stderr, { ...context, stream: 'stderr' }, options),
+  ]);
+  code = await exited;
+
+  await client.flush();
+  process.removeListener('SIGINT', onSignal);
+  process.removeListener('SIGTERM', onSignal);
+  return code;
+}
+
+/**
+ * Send one annotation, e.g. a deploy marker from a CI job
+ * @returns {Promise<number>} Exit code (1 if the annotation could not be delivered)
+ */
+async function runMark(options) {
+  const fields = { kind: options.kind || 'custom', tags: options.tags, links: options.links };
+  for (const key of ['title', 'description', 'durationMs']) {
+    if (options[key] !== undefined) {
+      fields[key] = options[key];
+    }
+  }
+
+  let annotation;
+  if (fields.kind === 'deploy') {
+    annotation = deployAnnotationFromEnv({ service: options.service, version: options.release, ...fields });
+  } else {
+    const tags = { ...fields.tags };
+    if (options.service) {
+      tags.service = options.service;
+    }
+    if (options.release) {
+      tags.version = options.release;
+    }
+    annotation = { ...fields, tags };
+  }
+
+  const client = createClient(options);
+  let delivered = false;
+  client.on('batch:sent', () => {
+    delivered = true;
+  });
+  const queued = await client.annotate(annotation);
+  await client.flush();
+
+  if (!queued || !delivered) {
+    const status = client.getStatus();
+    const reason = status.telemetry.lastError ? status.telemetry.lastError.message : status.reason;
+    process.stderr.write(`vibex-pipe: annotation was not delivered: ${reason}\n`);
+    return 1;
+  }
+  if (!options.quiet) {
+    process.stdout.write(`Sent ${annotation.kind} annotation: ${annotation.title}\n`);
+  }
+  return 0;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`vibex-pipe: ${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const { command, options, commandArgs } = parsed;
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (options.printVersion) {
+    process.stdout.write(`${version}\n`);
+    return 0;
+  }
+
+  try {
+    if (command === 'mark') {
+      return await runMark(options);
+    }
+    return command === 'wrap' ? await runWrap(options, commandArgs) : await runPipe(options);
+  } catch (error) {
+    process.stderr.write(`vibex-pipe: ${error.message}\n`);
+    return 2;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => process.exit(code));
+}
+
+module.exports = {
+  parseArgs,
+  lineToHybrid,
+  main,
+};
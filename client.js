@@ -4,57 +4,471 @@
  */
 
 const VibexConfig = require('./config');
+const { normalizeLevel } = require('./normalize');
+const { EventEmitter, createPlatform, byteLength } = require('./platform');
+const { resolveCompressionOptions, encodeBody } = require('./compression');
+const { createRedactor } = require('./redact');
+const { resolveRetryOptions, isRetryableStatus, parseRetryAfter, computeBackoff } = require('./retry');
+const { compileRoutes, findRoute } = require('./routing');
+const { applyContext } = require('./context');
+const { applyTraceContext, encodeOtlpLogs } = require('./otel');
+const { MetricsRegistry } = require('./metrics');
+const LogThrottle = require('./throttle');
+const { SelfTelemetry, renderPrometheus } = require('./telemetry');
+const { buildAnnotationLog, deployAnnotationFromEnv } = require('./annotations');
+const { resolveSerializeOptions, serializeLog } = require('./serialize');
+const { DEFAULT_TRANSPORT_OPTIONS, resolveTransportOptions, createAgentTransport } = require('./transport');
 
-// Batch configuration
+// Default batch configuration (overridable through client options)
 const BATCH_SIZE = 50;  // Max logs per batch
 const BATCH_INTERVAL_MS = 100;  // Max time to wait before sending batch (milliseconds)
 const MAX_QUEUE_SIZE = 1000;  // Prevent memory issues
+const MAX_BATCH_BYTES = 1024 * 1024;  // Max serialized size of a batch's logs
+const BLOCK_TIMEOUT_MS = 1000;  // Max time sendLog waits for queue space with the 'block' policy
+const ENTRY_OVERHEAD_BYTES = 512;  // Room left in a batch for an entry's type, timestamp and session
 
-class VibexClient {
+// What to do when the queue is full
+const OVERFLOW_POLICIES = ['drop-newest', 'drop-oldest', 'drop-lowest-level', 'block'];
+const LEVEL_PRIORITY = { debug: 0, info: 1, warn: 2, error: 3 };
+
+/**
+ * Events:
+ * - 'batch:sent' { sessionId, count, bytes, status, latencyMs }
+ * - 'batch:failed' { sessionId, count, status, error, retry } - status is null for network errors
+ * - 'log:dropped' { reason, count }
+ * - 'rateLimited' { sessionId, count, status, retryAfterMs }
+ * - 'disabled' { sessionId, reason, status } - a session (or the whole client) can no longer send logs
+ */
+class VibexClient extends EventEmitter {
   /**
    * Initialize VibexClient
-   * @param {VibexConfig} config - Optional VibexConfig instance. If null, creates new one.
+   * @param {VibexConfig|object} config - Optional VibexConfig instance or VibexConfig options. If null, creates new one.
    * @param {boolean} verbose - If true, print status messages to stderr
+   * @param {object} options - Optional client options
+   * @param {object|boolean} options.retry - Retry policy overrides (see retry.js), or false to disable retries
+   * @param {object|string} options.spool - Disk spool options (see spool.js), or a directory path. Disabled by default.
+   * @param {number} options.batchSize - Max logs per batch (default: 50)
+   * @param {number} options.batchIntervalMs - Max time to wait before sending a batch (default: 100)
+   * @param {number} options.maxBatchBytes - Max serialized size of a batch's logs; larger single logs are dropped (default: 1 MB)
+   * @param {number} options.maxQueueSize - Max queued logs (default: 1000)
+   * @param {object} options.serialization - Per-log limits: { maxDepth, maxStringLength, maxArrayLength, maxBytes } (see serialize.js). maxBytes is capped to fit maxBatchBytes.
+   * @param {string} options.overflowPolicy - 'drop-newest' (default), 'drop-oldest', 'drop-lowest-level' or 'block'
+   * @param {number} options.blockTimeoutMs - Max time sendLog waits for space with the 'block' policy (default: 1000)
+   * @param {object|string|boolean} options.compression - Body compression: 'gzip', 'deflate', 'br', true (gzip) or { encoding, threshold }. Disabled by default.
+   * @param {object|boolean} options.redact - Redaction rules applied before logs are queued (see redact.js), or true for all built-in detectors
+   * @param {Array<object>} options.routes - Rules routing logs to other sessions (see routing.js). Unmatched logs go to the configured session.
+   * @param {boolean} options.opentelemetry - Fill context.trace_id/span_id/trace_flags from the active span when @opentelemetry/api is installed (default: true)
+   * @param {string} options.format - Wire format: 'vibex' (default) or 'otlp' (OTLP/HTTP JSON logs)
+   * @param {object} options.otlp - OTLP options: { url, headers, resource }. The url is required with format 'otlp'; batches go there without the Vibex token.
+   * @param {object} options.sampling - Per-level sampling rates between 0 and 1, e.g. { debug: 0.1 } (see throttle.js)
+   * @param {object|boolean} options.dedup - Send identical messages once per window, then a repeat summary: true or { windowMs, maxKeys }
+   * @param {object|boolean} options.rateLimit - Token-bucket rate limit per level or message: true or { ratePerSec, burst, key, levels, maxKeys }
+   * @param {object} options.metrics - Metrics options: { intervalMs, percentiles, maxSeries, maxSamples, gaugeTtlMs, tags } (see metrics.js)
+   * @param {LogCapture} options.capture - Record logs in memory instead of sending them (see testing.js). No token or session is needed.
+   * @param {object|boolean} options.crashReporter - Record uncaught exceptions, unhandled rejections and warnings and deliver them before exit (see crash.js). Disabled by default.
+   * @param {object} options.transport - Network options: { timeoutMs, proxy, noProxy, ca, cert, key, pfx, passphrase, rejectUnauthorized, keepAlive, maxSockets } (see transport.js). Proxies default to HTTPS_PROXY/HTTP_PROXY/NO_PROXY.
+   * @param {object} options.platform - Runtime adapter overrides: { env, transport, beacon, defer, onShutdown } (see platform.js). Defaults suit Node, Bun and Deno.
    */
-  constructor(config = null, verbose = false) {
-    this.config = config || new VibexConfig();
+  constructor(config = null, verbose = false, options = {}) {
+    super();
+    this._platform = createPlatform(options && options.platform);
+    this.config = config && typeof config.isValid === 'function'
+      ? config
+      : new VibexConfig({ env: this._platform.env, ...(config || {}) });
     this.disabled = false;
     this.disabledPermanently = false;
     this.verbose = verbose;
     this._initializationMessageShown = false;
 
-    // Batching queue and processing
-    this._logQueue = [];
-    this._batchTimeout = null;
+    // Batching state - one channel (queue, batch timer, retry state) per session
+    this._channels = new Map();
+    this._defaultChannel = this._createChannel(null, null);
     this._lastBatchTime = Date.now();
-    this._processing = false;
     this._shutdown = false;
+    this._tokenRejected = false;
+
+    const opts = options || {};
+    this._batchSize = this._positiveOption(opts.batchSize, BATCH_SIZE);
+    this._batchIntervalMs = this._positiveOption(opts.batchIntervalMs, BATCH_INTERVAL_MS);
+    this._maxBatchBytes = this._positiveOption(opts.maxBatchBytes, MAX_BATCH_BYTES);
+    this._maxQueueSize = this._positiveOption(opts.maxQueueSize, MAX_QUEUE_SIZE);
+    this._serialization = resolveSerializeOptions(opts.serialization);
+    this._serialization.maxBytes = Math.min(this._serialization.maxBytes, Math.max(1024, this._maxBatchBytes - ENTRY_OVERHEAD_BYTES));
+    this._truncatedLogs = 0;
+    this._blockTimeoutMs = this._positiveOption(opts.blockTimeoutMs, BLOCK_TIMEOUT_MS);
+    this._overflowPolicy = OVERFLOW_POLICIES.includes(opts.overflowPolicy) ? opts.overflowPolicy : 'drop-newest';
+    this._compression = resolveCompressionOptions(opts.compression);
+    this._traceCorrelation = opts.opentelemetry !== false;
+    this._format = opts.format === 'otlp' ? 'otlp' : 'vibex';
+    this._otlp = { url: null, headers: {}, resource: {}, ...(opts.otlp || {}) };
+    this._capture = opts.capture || null;
+
+    // The Vibex API does not accept OTLP - without an endpoint of its own, OTLP batches would only be rejected
+    let formatError = null;
+    if (this._format === 'otlp' && (typeof this._otlp.url !== 'string' || !this._otlp.url)) {
+      formatError = new Error('format \'otlp\' requires otlp.url, e.g. http://localhost:4318/v1/logs');
+    }
+
+    // Network options - invalid ones (bad proxy URL, unreadable CA file) disable the client like invalid redaction rules
+    this._timeoutMs = DEFAULT_TRANSPORT_OPTIONS.timeoutMs;
+    this._agentTransport = null;
+    this._transportWarnings = [];
+    let transportError = null;
+    try {
+      const network = resolveTransportOptions(opts.transport, this._platform.env);
+      this._timeoutMs = network.timeoutMs;
+      this._transportWarnings = network.warnings;
+      if (network.useAgent && !(opts.platform && opts.platform.transport)) {
+        this._agentTransport = createAgentTransport(network);
+        this._platform.transport = this._agentTransport;
+      }
+    } catch (error) {
+      transportError = error;
+    }
+    this._metricsOptions = opts.metrics || {};
+    this._metrics = null;  // Created on first instrument
+
+    // Dropped log counts by reason
+    this._dropped = {
+      queueFull: 0,
+      blockTimeout: 0,
+      oversized: 0,
+      sessionNotFound: 0,
+      rejected: 0,
+      retriesExhausted: 0,
+      disabled: 0,
+      redactionFailed: 0,
+      unserializable: 0,
+    };
+    this._telemetry = new SelfTelemetry();
+
+    // Redaction - a broken rule set must never let unredacted logs through, so disable instead
+    this._redact = null;
+    let redactError = null;
+    try {
+      this._redact = createRedactor(opts.redact);
+    } catch (error) {
+      redactError = error;
+    }
+    this._redactBroken = !!redactError;
+
+    this._retryPolicy = resolveRetryOptions(opts.retry);
+
+    // Sampling, dedup and rate limiting - invalid options disable the client like invalid redaction rules
+    this._throttle = null;
+    let throttleError = null;
+    try {
+      const throttle = new LogThrottle(opts, (logType, payload, timestamp) => this._queueLog(logType, payload, timestamp, true));
+      this._throttle = throttle.isActive() ? throttle : null;
+    } catch (error) {
+      throttleError = error;
+    }
+
+    // Routing rules - invalid rules disable the client rather than misroute logs
+    this._routes = [];
+    let routesError = null;
+    try {
+      this._routes = compileRoutes(opts.routes);
+      for (const route of this._routes) {
+        this._getChannel(route.sessionId, route.token);
+      }
+    } catch (error) {
+      routesError = error;
+    }
+
+    // Optional disk spool - failing to set it up must never break logging
+    this._spool = null;
+    if (options && options.spool) {
+      try {
+        const DiskSpool = require('./spool');
+        this._spool = new DiskSpool(options.spool);
+      } catch (error) {
+        if (this.verbose) {
+          this._printStatus(`⚠️  Vibex SDK: Disk spool disabled: ${error.message}`);
+        }
+      }
+    }
 
-    if (!this.config.isValid()) {
+    // Optional crash reporter - undelivered crash logs go to the disk spool, or a crash-only spool without one
+    this._crashSpool = null;
+    this._uninstallCrashReporter = null;
+    const crashOptions = opts.crashReporter === true ? {} : opts.crashReporter;
+    if (crashOptions && typeof crashOptions === 'object') {
+      const { installCrashReporter } = require('./crash');
+      if (!this._spool) {
+        try {
+          const DiskSpool = require('./spool');
+          this._crashSpool = new DiskSpool(crashOptions.directory || this._defaultCrashDirectory());
+        } catch (error) {
+          if (this.verbose) {
+            this._printStatus(`⚠️  Vibex SDK: Crash spool disabled: ${error.message}`);
+          }
+        }
+      }
+      this._uninstallCrashReporter = installCrashReporter(this, crashOptions);
+    }
+
+    if (formatError) {
+      this.disabled = true;
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK disabled: Invalid OTLP options: ${formatError.message}`);
+      }
+    } else if (!this._isConfigValid()) {
       const missing = this.config.getMissing();
       this.disabled = true;
       if (this.verbose) {
-        this._printStatus(`⚠️  Vibex SDK disabled: Missing configuration: ${missing.join(', ')}`);
+        this._printStatus(`⚠️  Vibex SDK disabled: Invalid configuration:\n  - ${missing.join('\n  - ')}`);
+      }
+    } else if (redactError) {
+      this.disabled = true;
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK disabled: Invalid redaction options: ${redactError.message}`);
+      }
+    } else if (throttleError) {
+      this.disabled = true;
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK disabled: Invalid throttling options: ${throttleError.message}`);
+      }
+    } else if (routesError) {
+      this.disabled = true;
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK disabled: Invalid routes: ${routesError.message}`);
+      }
+    } else if (transportError) {
+      this.disabled = true;
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK disabled: Invalid transport options: ${transportError.message}`);
       }
     } else {
-      this._printStartupInfo();
+      if (!this._capture) {
+        this._printStartupInfo();
+      }
       if (this.verbose) {
+        for (const warning of this._configWarnings()) {
+          this._printStatus(`⚠️  Vibex SDK: ${warning}`);
+        }
         this._printStatus('✅ Vibex SDK enabled and ready');
       }
+      this._replaySpool();
     }
 
-    // Register graceful shutdown
-    if (typeof process !== 'undefined' && process.on) {
-      process.on('exit', () => this.flush());
-      process.on('SIGINT', () => {
+    // Register graceful shutdown - an async flush cannot finish inside 'exit', so pending logs are written to disk first
+    this._platform.onShutdown({
+      exit: () => {
+        this._persistPending();
         this.flush();
-        process.exit();
-      });
-      process.on('SIGTERM', () => {
+      },
+      signal: () => {
         this.flush();
         process.exit();
-      });
+      },
+      hide: () => this._flushOnHide(),
+    });
+  }
+
+  /**
+   * Read a positive numeric option, falling back to a default
+   * @param {any} value - Option value
+   * @param {number} defaultValue - Default if value is missing or invalid
+   * @returns {number} Resolved value
+   * @private
+   */
+  _positiveOption(value, defaultValue) {
+    const num = Number(value);
+    return value !== undefined && value !== null && isFinite(num) && num > 0 ? num : defaultValue;
+  }
+
+  /**
+   * Count dropped logs by reason
+   * @param {string} reason - Drop reason (key of getStatus().dropped)
+   * @param {number} count - Number of logs dropped
+   * @private
+   */
+  _recordDrop(reason, count = 1) {
+    this._dropped[reason] = (this._dropped[reason] || 0) + count;
+    this._emitEvent('log:dropped', { reason, count });
+  }
+
+  /**
+   * Emit a lifecycle event - a throwing listener must never break logging
+   * @param {string} event - Event name
+   * @param {object} data - Event payload
+   * @private
+   */
+  _emitEvent(event, data) {
+    if (this.listenerCount(event) === 0) {
+      return;
+    }
+    try {
+      this.emit(event, data);
+    } catch (error) {
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK: '${event}' listener threw: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Record a failed send attempt and emit 'batch:failed'
+   * @param {string} sessionId - Target session
+   * @param {Array} batch - Array of log entries
+   * @param {number|null} status - HTTP status, or null for network errors
+   * @param {string} error - Error description
+   * @param {boolean} retry - Whether the batch will be retried
+   * @private
+   */
+  _recordFailure(sessionId, batch, status, error, retry) {
+    this._telemetry.recordFailure(error, status, sessionId);
+    this._emitEvent('batch:failed', { sessionId, count: batch.length, status, error, retry });
+  }
+
+  /**
+   * Check whether the configuration allows sending
+   * An OTLP endpoint of its own (e.g. a local collector) needs no Vibex token or session
+   * @returns {boolean} True if configuration is valid
+   * @private
+   */
+  _isConfigValid() {
+    if (this._capture) {
+      return true;
+    }
+    if (this._format === 'otlp') {
+      return true;
+    }
+    return this.config.isValid();
+  }
+
+  /**
+   * Get configuration warnings, including ignored proxy environment variables
+   * (config objects other than VibexConfig may not have any)
+   * @returns {string[]} Warning messages
+   * @private
+   */
+  _configWarnings() {
+    const warnings = typeof this.config.getWarnings === 'function' ? this.config.getWarnings() : [];
+    return [...warnings, ...this._transportWarnings];
+  }
+
+  /**
+   * Get the default crash spool directory (one per session, so clients don't replay each other's logs)
+   * @private
+   */
+  _defaultCrashDirectory() {
+    const os = require('os');
+    const path = require('path');
+    const sessionId = String(this.config.getSessionId() || 'default').replace(/[^A-Za-z0-9_-]/g, '_');
+    return path.join(os.tmpdir(), 'vibex-sdk', `crash-${sessionId}`);
+  }
+
+  /**
+   * Get the spools holding logs on disk (the disk spool and/or the crash spool)
+   * @private
+   */
+  _spools() {
+    return [this._spool, this._crashSpool].filter(Boolean);
+  }
+
+  /**
+   * Get the URL batches are sent to
+   * @private
+   */
+  _getIngestUrl() {
+    return this._format === 'otlp' ? this._otlp.url : this.config.apiUrl;
+  }
+
+  /**
+   * Create the batching state for one session
+   * @param {string|null} sessionId - Normalized session ID, or null for the configured session
+   * @param {string|null} token - Token for this session, or null for the configured token
+   * @returns {object} Channel
+   * @private
+   */
+  _createChannel(sessionId, token) {
+    return {
+      sessionId,
+      token,
+      queue: [],
+      batchTimeout: null,
+      processing: false,
+      inFlight: null,
+      inFlightBatch: null,
+      spaceWaiters: [],
+      retryAttempt: 0,
+      retryStartedAt: 0,
+      nextBatchAt: 0,
+      failing: false,  // Set while sends to this session fail, so a full queue spills to the disk spool
+      disabledReason: null,  // Set when this session can no longer receive logs (e.g. history limit)
+    };
+  }
+
+  /**
+   * Get (or create) the channel for a session
+   * @param {string|null} sessionId - Session ID, or null for the configured session
+   * @param {string|null} token - Token to use when creating the channel
+   * @returns {object} Channel
+   * @private
+   */
+  _getChannel(sessionId, token = null) {
+    const normalized = sessionId ? this.config._normalizeSessionId(sessionId) : null;
+    if (!normalized || normalized === this.config.getSessionId()) {
+      return this._defaultChannel;
+    }
+    if (!this._channels.has(normalized)) {
+      this._channels.set(normalized, this._createChannel(normalized, token));
+    }
+    return this._channels.get(normalized);
+  }
+
+  /**
+   * Get all channels, default first
+   * @private
+   */
+  _allChannels() {
+    return [this._defaultChannel, ...this._channels.values()];
+  }
+
+  /**
+   * Check whether a channel can no longer deliver logs
+   * @private
+   */
+  _isChannelBlocked(channel) {
+    if (channel.disabledReason) {
+      return true;
+    }
+    return !channel.token && this._tokenRejected && !this._pickUpRotatedTokenFile();
+  }
+
+  /**
+   * Re-enable a client whose token was rejected once its token file holds a new token
+   * (the file is checked at most once per second, so this is cheap to call on every log)
+   * @returns {boolean} True if a new token was picked up
+   * @private
+   */
+  _pickUpRotatedTokenFile() {
+    const provider = this.config.tokenProvider;
+    if (!provider || provider.kind !== 'file') {
+      return false;
+    }
+    const token = provider.poll();
+    if (!token || token === this.config.token) {
+      return false;
     }
+    this.config.token = token;
+    this._tokenRejected = false;
+    this._updateDisabledPermanently();
+    if (this.verbose) {
+      this._printStatus('✅ Vibex SDK re-enabled with a new token from the token file');
+    }
+    this._emitEvent('token:refreshed', { reason: 'file' });
+    return true;
+  }
+
+  /**
+   * Keep disabledPermanently in sync with the configured session's state
+   * @private
+   */
+  _updateDisabledPermanently() {
+    this.disabledPermanently = this._isChannelBlocked(this._defaultChannel);
   }
 
   /**
@@ -77,7 +491,7 @@ class VibexClient {
     // Box width is 61 chars, "║  Server:  " is 11 chars, " ║" is 2 chars
     // So content width = 61 - 11 - 2 = 48 chars
     const contentWidth = 48;
-    const server = this._padString(this.config.apiUrl, contentWidth);
+    const server = this._padString(this._getIngestUrl(), contentWidth);
     const session = this._padString(this.config.getSessionId(), contentWidth);
     const token = this._padString(maskedToken, contentWidth);
     
@@ -121,225 +535,769 @@ class VibexClient {
 
   /**
    * Schedule batch processing
+   * @param {object} channel - Session channel (default: the configured session)
    */
-  _scheduleBatch() {
-    if (this._batchTimeout || this._processing || this._shutdown) {
+  _scheduleBatch(channel = this._defaultChannel) {
+    if (channel.batchTimeout || channel.processing || this._shutdown) {
       return;
     }
 
-    this._batchTimeout = setTimeout(() => {
-      this._processBatch();
-    }, BATCH_INTERVAL_MS);
+    // Wait out any pending backoff before the next attempt
+    const delay = Math.max(this._batchIntervalMs, channel.nextBatchAt - Date.now());
+
+    channel.batchTimeout = setTimeout(() => {
+      this._processBatch(channel);
+    }, delay);
   }
 
   /**
    * Process and send batch of logs
+   * @param {object} channel - Session channel (default: the configured session)
+   * @param {boolean} force - If true, process even after shutdown and ignore pending backoff (used by flush)
    */
-  async _processBatch() {
-    if (this._processing || this._shutdown || this._logQueue.length === 0) {
-      this._batchTimeout = null;
+  async _processBatch(channel = this._defaultChannel, force = false) {
+    if (channel.processing || (this._shutdown && !force) || channel.queue.length === 0) {
+      channel.batchTimeout = null;
       return;
     }
 
-    this._processing = true;
-    this._batchTimeout = null;
+    // Still backing off after a failed attempt - try again later
+    if (!force && channel.nextBatchAt > Date.now()) {
+      channel.batchTimeout = null;
+      this._scheduleBatch(channel);
+      return;
+    }
 
-    // Get batch (up to BATCH_SIZE)
-    const batch = this._logQueue.splice(0, BATCH_SIZE);
+    channel.processing = true;
+    channel.batchTimeout = null;
+
+    // Get batch (up to batchSize logs and maxBatchBytes)
+    const batch = this._takeBatch(channel);
     this._lastBatchTime = Date.now();
+    this._notifySpace(channel);
 
     if (batch.length > 0) {
-      await this._sendBatch(batch);
+      this._writeSpool(batch);
+
+      channel.inFlightBatch = batch;
+      channel.inFlight = this._sendBatch(batch, channel);
+      const result = await channel.inFlight;
+      channel.inFlight = null;
+      channel.inFlightBatch = null;
+
+      channel.failing = !!(result && result.retry);
+      if (result && result.retry) {
+        this._retryBatch(channel, batch, result.retryAfterMs);
+      } else {
+        channel.retryAttempt = 0;
+        channel.nextBatchAt = 0;
+        // Keep spooled logs on disk if the session got disabled - they are replayed on next start
+        const spools = this._spools();
+        if (spools.length > 0 && !this.disabled && !this._isChannelBlocked(channel)) {
+          spools.forEach((spool) => spool.ack(batch));
+          if (result && result.sent && spools.some((spool) => spool.hasUnloaded())) {
+            this._replaySpool();
+          }
+        }
+      }
     }
 
-    this._processing = false;
+    channel.processing = false;
 
     // Schedule next batch if queue has more items
-    if (this._logQueue.length > 0 && !this._shutdown) {
-      this._scheduleBatch();
+    if (channel.queue.length > 0 && !this._shutdown) {
+      this._scheduleBatch(channel);
     }
   }
 
   /**
-   * Send a batch of logs to the API
-   * @param {Array} batch - Array of log entries [logType, payload, timestamp]
+   * Remove the next batch from the front of a channel's queue, respecting count and byte limits
+   * @param {object} channel - Session channel
+   * @returns {Array} Array of log entries [logType, payload, timestamp]
    * @private
    */
-  async _sendBatch(batch) {
-    if (!batch || batch.length === 0 || this.disabled || this.disabledPermanently) {
-      return;
+  _takeBatch(channel) {
+    const batch = [];
+    let batchBytes = 0;
+
+    while (channel.queue.length > 0 && batch.length < this._batchSize) {
+      const entry = channel.queue[0];
+      let entryBytes;
+      try {
+        entryBytes = byteLength(JSON.stringify(entry));
+      } catch (e) {
+        // Logs are made serializable when queued, but never let one that isn't fail its whole batch
+        channel.queue.shift();
+        this._discardEntries([entry], 'unserializable');
+        continue;
+      }
+
+      if (entryBytes > this._maxBatchBytes) {
+        // A single log that can never fit in a request - drop it
+        channel.queue.shift();
+        this._discardEntries([entry], 'oversized');
+        continue;
+      }
+      if (batch.length > 0 && batchBytes + entryBytes > this._maxBatchBytes) {
+        break;
+      }
+
+      batch.push(channel.queue.shift());
+      batchBytes += entryBytes;
     }
 
-    if (!this.config.isValid()) {
-      this.disabled = true;
+    return batch;
+  }
+
+  /**
+   * Drop entries that already left the queue, releasing them from the spool
+   * @param {Array} entries - Dropped log entries
+   * @param {string} reason - Drop reason
+   * @private
+   */
+  _discardEntries(entries, reason) {
+    if (entries.length === 0) {
       return;
     }
+    this._recordDrop(reason, entries.length);
+    this._spools().forEach((spool) => spool.ack(entries));
+  }
 
-    try {
-      const url = this.config.apiUrl;
-      const sessionId = this.config.getSessionId();
+  /**
+   * Wake up sendLog calls waiting for queue space ('block' overflow policy)
+   * @param {object} channel - Session channel
+   * @private
+   */
+  _notifySpace(channel) {
+    // Wake only as many waiters as there are free slots, oldest first - the rest keep waiting
+    const free = Math.max(0, this._maxQueueSize - channel.queue.length);
+    const waiters = channel.spaceWaiters.splice(0, free);
+    for (const waiter of waiters) {
+      waiter();
+    }
+  }
 
-      // Build logs array from batch
-      const logs = batch.map(([logType, payload, timestamp]) => ({
-        type: logType,
-        payload: payload,
-        timestamp: timestamp,
-      }));
-
-      const body = {
-        sessionId: sessionId,
-        logs: logs,
-      };
-
-      const headers = {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.config.token}`,
-      };
-
-      // Use native fetch if available (Node 18+), otherwise use HTTP
-      let response;
-      if (typeof globalThis.fetch !== 'undefined') {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000);
-        
-        try {
-          response = await fetch(url, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(body),
-            signal: controller.signal,
-          });
-        } finally {
-          clearTimeout(timeoutId);
-        }
-      } else {
-        // Use HTTP module for Node < 18
-        response = await this._sendBatchHttp(url, headers, body);
-      }
+  /**
+   * Wait until a channel's queue has room for another log
+   * @param {object} channel - Session channel
+   * @param {number} timeoutMs - Max time to wait
+   * @returns {Promise<boolean>} True if space became available in time
+   * @private
+   */
+  async _waitForSpace(channel, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
 
-      if (!response) {
-        return;
+    while (channel.queue.length >= this._maxQueueSize) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0 || this.disabled || this._isChannelBlocked(channel)) {
+        return false;
       }
 
-      // Handle 403/401 - permanently disable
-      if (response.status === 401 || response.status === 403) {
-        const errorMsg = '🚫 Vibex SDK permanently disabled: Token expired or invalid (401/403)';
-        if (this.verbose) {
-          this._printStatus(errorMsg);
-        }
-        this.disabledPermanently = true;
-        return;
-      }
+      await new Promise((resolve) => {
+        const waiter = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          channel.spaceWaiters = channel.spaceWaiters.filter((w) => w !== waiter);
+          resolve();
+        }, remaining);
+        channel.spaceWaiters.push(waiter);
+      });
+    }
 
-      // Handle 429 - rate limit exceeded or history limit reached
-      if (response.status === 429) {
-        let errorMessage = 'Rate limit exceeded';
-        let isHistoryLimit = false;
-        
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.message || errorData.error || errorMessage;
-          isHistoryLimit = errorData.error === 'History Limit Reached' || 
-                          (errorMessage && errorMessage.toLowerCase().includes('history limit'));
-        } catch (e) {
-          // If parsing fails, use default message
-        }
-        
-        const errorMsg = isHistoryLimit 
-          ? `🚫 Vibex SDK: ${errorMessage}`
-          : `⚠️  Vibex SDK: ${errorMessage}`;
-        
-        if (this.verbose) {
-          this._printStatus(errorMsg);
-        }
-        
-        if (isHistoryLimit) {
-          this.disabledPermanently = true;
-        }
-        
-        return;
+    return true;
+  }
+
+  /**
+   * Get the priority of a queued log's level (higher is more important)
+   * @private
+   */
+  _entryPriority(entry) {
+    const payload = entry[1];
+    const level = payload && typeof payload === 'object' ? payload.level : null;
+    return LEVEL_PRIORITY[normalizeLevel(level)];
+  }
+
+  /**
+   * Make room for a new log according to the overflow policy
+   * @param {object} channel - Session channel whose queue is full
+   * @param {Array} newEntry - The log entry about to be queued
+   * @param {number} deadline - When the 'block' policy gives up waiting (epoch milliseconds)
+   * @returns {Promise<boolean>} True if the new log may be queued (the caller re-checks for space)
+   * @private
+   */
+  async _handleOverflow(channel, newEntry, deadline) {
+    switch (this._overflowPolicy) {
+      case 'drop-oldest': {
+        this._discardEntries([channel.queue.shift()], 'queueFull');
+        return true;
       }
 
-      // Handle 404 - session not found
-      if (response.status === 404) {
-        const errorMsg = '⚠️  Vibex SDK: Session not found (404), dropping batch';
-        if (this.verbose) {
-          this._printStatus(errorMsg);
+      case 'drop-lowest-level': {
+        // Evict the oldest of the lowest-level queued logs, unless the new log is no more important
+        let lowestIndex = -1;
+        let lowestPriority = Infinity;
+        for (let i = 0; i < channel.queue.length; i++) {
+          const priority = this._entryPriority(channel.queue[i]);
+          if (priority < lowestPriority) {
+            lowestPriority = priority;
+            lowestIndex = i;
+          }
         }
-        return;
+        if (lowestIndex === -1 || this._entryPriority(newEntry) <= lowestPriority) {
+          this._recordDrop('queueFull');
+          return false;
+        }
+        this._discardEntries(channel.queue.splice(lowestIndex, 1), 'queueFull');
+        return true;
       }
 
-      // Handle other errors
-      if (!response.ok) {
-        const errorMsg = `⚠️  Vibex SDK: Failed to send batch: ${response.status}`;
-        if (this.verbose) {
-          this._printStatus(errorMsg);
+      case 'block': {
+        const hasSpace = await this._waitForSpace(channel, deadline - Date.now());
+        if (!hasSpace) {
+          this._recordDrop('blockTimeout');
         }
-        return;
+        return hasSpace;
       }
 
-    } catch (error) {
-      const errorMsg = `⚠️  Vibex SDK: Error sending batch: ${error.message}`;
-      if (this.verbose) {
-        this._printStatus(errorMsg);
-      }
+      default:
+        // drop-newest
+        this._recordDrop('queueFull');
+        return false;
     }
   }
 
   /**
-   * Send batch using HTTP module (Node < 18 fallback)
+   * Move the older half of a full queue to the disk spool instead of dropping logs - they are replayed
+   * once a batch gets through again. This only happens while delivery is failing or backed off; a queue
+   * that fills up while sends succeed gets the configured overflow policy.
+   * @param {object} channel - Session channel whose queue is full
+   * @returns {boolean} True if room was made
    * @private
    */
-  _sendBatchHttp(url, headers, body) {
-    return new Promise((resolve) => {
-      const http = require('http');
-      const https = require('https');
-      const { URL } = require('url');
-      
-      const urlObj = new URL(url);
-      const client = urlObj.protocol === 'https:' ? https : http;
-      const postData = JSON.stringify(body);
-
-      const options = {
-        hostname: urlObj.hostname,
-        port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
-        path: urlObj.pathname + urlObj.search,
-        method: 'POST',
-        headers: {
-          ...headers,
-          'Content-Length': Buffer.byteLength(postData),
-        },
-      };
-
-      const req = client.request(options, (res) => {
-        let responseData = '';
-        
-        res.on('data', (chunk) => {
-          responseData += chunk;
+  _spillToSpool(channel) {
+    if (!this._spool || !(channel.failing || channel.nextBatchAt > Date.now())) {
+      return false;
+    }
+    const spilled = channel.queue.splice(0, Math.max(this._batchSize, Math.floor(this._maxQueueSize / 2)));
+    try {
+      this._spool.write(spilled);
+      this._spool.release(spilled);
+    } catch (error) {
+      channel.queue.unshift(...spilled);
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK: Failed to write disk spool: ${error.message}`);
+      }
+      return false;
+    }
+    if (this.verbose) {
+      this._printStatus(`📦 Vibex SDK: Queue full, moved ${spilled.length} queued logs to the disk spool`);
+    }
+    this._notifySpace(channel);
+    return true;
+  }
+
+  /**
+   * Persist a batch to the disk spool before it is sent
+   * @param {Array} batch - Array of log entries [logType, payload, timestamp]
+   * @private
+   */
+  _writeSpool(batch) {
+    if (!this._spool) {
+      return;
+    }
+    try {
+      this._spool.write(batch);
+    } catch (error) {
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK: Failed to write disk spool: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Synchronously write every queued and in-flight log to disk so it is replayed on next start
+   * Safe to call from an 'exit' handler; entries already on disk are skipped
+   * @private
+   */
+  _persistPending() {
+    const spool = this._spool || this._crashSpool;
+    if (!spool) {
+      return;
+    }
+    const pending = [];
+    for (const channel of this._allChannels()) {
+      if (channel.inFlightBatch) {
+        pending.push(...channel.inFlightBatch);
+      }
+      pending.push(...channel.queue);
+    }
+    if (pending.length === 0) {
+      return;
+    }
+    try {
+      spool.write(pending);
+    } catch (error) {
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK: Failed to write pending logs to disk: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Load spooled logs left on disk (previous runs or given-up batches) back into their session queues
+   * @private
+   */
+  _replaySpool() {
+    const spools = this._spools().filter((spool) => spool.hasUnloaded());
+    if (spools.length === 0) {
+      return;
+    }
+    try {
+      const entries = [];
+      for (const spool of spools) {
+        const queued = this._allChannels().reduce((total, channel) => total + channel.queue.length, 0);
+        entries.push(...spool.load(Math.max(0, this._maxQueueSize - queued - entries.length)));
+      }
+      if (entries.length > 0) {
+        const touched = new Set();
+        for (const entry of entries) {
+          // Routed entries carry their session ID as a 4th element
+          const channel = this._getChannel(entry[3] || null);
+          channel.queue.push(entry);
+          touched.add(channel);
+        }
+        if (this.verbose) {
+          this._printStatus(`📦 Vibex SDK: Replaying ${entries.length} spooled logs`);
+        }
+        for (const channel of touched) {
+          this._scheduleBatch(channel);
+        }
+      }
+    } catch (error) {
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK: Failed to read disk spool: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Put a failed batch back at the front of its queue, or drop it once the retry budget is spent
+   * @param {object} channel - Session channel
+   * @param {Array} batch - Array of log entries [logType, payload, timestamp]
+   * @param {number|null} retryAfterMs - Server-requested delay (Retry-After), if any
+   * @private
+   */
+  _retryBatch(channel, batch, retryAfterMs) {
+    const policy = this._retryPolicy;
+    const now = Date.now();
+
+    if (channel.retryAttempt === 0) {
+      channel.retryStartedAt = now;
+    }
+    channel.retryAttempt += 1;
+
+    // A backoff past the time budget is cut short for one last attempt at the deadline. A Retry-After
+    // past it is not: sending before the server asked would only be rejected again, so the batch is given up.
+    const remaining = policy.maxElapsedMs - (now - channel.retryStartedAt);
+    const hasRetryAfter = retryAfterMs !== null && retryAfterMs !== undefined;
+    const delay = hasRetryAfter ? retryAfterMs : Math.min(remaining, computeBackoff(channel.retryAttempt, policy));
+
+    if (channel.retryAttempt >= policy.maxAttempts || remaining <= 0 || delay > remaining) {
+      // Keep crash logs on disk either way - they are replayed on next start
+      if (this._crashSpool) {
+        this._crashSpool.release(batch);
+      }
+      if (this._spool) {
+        // Keep the batch on disk - it is replayed once delivery succeeds again
+        this._spool.release(batch);
+      } else {
+        this._recordDrop('retriesExhausted', batch.length);
+      }
+      if (this.verbose) {
+        const action = this._spool ? 'keeping it in the disk spool' : 'dropping batch';
+        this._printStatus(`⚠️  Vibex SDK: Giving up on batch of ${batch.length} logs after ${channel.retryAttempt} attempts, ${action}`);
+      }
+      channel.retryAttempt = 0;
+      channel.nextBatchAt = 0;
+      return;
+    }
+
+    if (this.verbose) {
+      this._printStatus(`⚠️  Vibex SDK: Retrying batch in ${delay}ms (attempt ${channel.retryAttempt + 1}/${policy.maxAttempts})`);
+    }
+
+    channel.queue.unshift(...batch);
+    channel.nextBatchAt = now + delay;
+  }
+
+  /**
+   * Send a batch of logs to the API
+   * @param {Array} batch - Array of log entries [logType, payload, timestamp]
+   * @param {object} channel - Session channel (default: the configured session)
+   * @returns {Promise<object|undefined>} { sent: true } on success, { retry: true, retryAfterMs } if the batch should be retried
+   * @private
+   */
+  async _sendBatch(batch, channel = this._defaultChannel) {
+    if (!batch || batch.length === 0 || this.disabled || this._isChannelBlocked(channel)) {
+      return;
+    }
+
+    if (!this._isConfigValid()) {
+      this.disabled = true;
+      return;
+    }
+
+    const sessionId = channel.sessionId || this.config.getSessionId();
+    try {
+      await this._ensureToken(channel);
+      const usedToken = this.config.token;
+      let { response, bytes, startedAt } = await this._deliverBatch(batch, channel);
+
+      // Handle 401/403 - the token may have been rotated: get a fresh one from the provider once and resend
+      if ((response.status === 401 || response.status === 403) && await this._refreshToken(channel, usedToken, response.status)) {
+        ({ response, bytes, startedAt } = await this._deliverBatch(batch, channel));
+      }
+      const latencyMs = Date.now() - startedAt;
+      this._telemetry.recordLatency(latencyMs);
+
+      // Handle 403/401 - permanently disable (only this session if it has its own token)
+      if (response.status === 401 || response.status === 403) {
+        if (channel.token) {
+          channel.disabledReason = 'Token expired or invalid (401/403)';
+        } else {
+          this._tokenRejected = true;
+        }
+        this._updateDisabledPermanently();
+        const errorMsg = channel.token
+          ? `🚫 Vibex SDK: Session ${sessionId} disabled: Token expired or invalid (401/403)`
+          : '🚫 Vibex SDK permanently disabled: Token expired or invalid (401/403)';
+        if (this.verbose) {
+          this._printStatus(errorMsg);
+        }
+        this._recordFailure(sessionId, batch, response.status, 'Token expired or invalid', false);
+        this._emitEvent('disabled', {
+          sessionId: channel.token ? sessionId : null,
+          reason: 'Token expired or invalid (401/403)',
+          status: response.status,
         });
+        this._recordDrop('disabled', batch.length);
+        return;
+      }
+
+      // Handle 404 - session not found
+      if (response.status === 404) {
+        const errorMsg = `⚠️  Vibex SDK: Session ${sessionId} not found (404), dropping batch`;
+        if (this.verbose) {
+          this._printStatus(errorMsg);
+        }
+        this._recordFailure(sessionId, batch, 404, 'Session not found', false);
+        this._recordDrop('sessionNotFound', batch.length);
+        return;
+      }
+
+      // Handle 429 - rate limit exceeded or history limit reached
+      if (response.status === 429) {
+        let errorMessage = 'Rate limit exceeded';
+        let isHistoryLimit = false;
         
-        res.on('end', () => {
-          // Create a response-like object
-          resolve({
-            status: res.statusCode,
-            ok: res.statusCode >= 200 && res.statusCode < 300,
-            json: () => Promise.resolve(JSON.parse(responseData || '{}')),
-          });
-        });
-      });
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.message || errorData.error || errorMessage;
+          isHistoryLimit = errorData.error === 'History Limit Reached' || 
+                          (errorMessage && errorMessage.toLowerCase().includes('history limit'));
+        } catch (e) {
+          // If parsing fails, use default message
+        }
+        
+        const errorMsg = isHistoryLimit 
+          ? `🚫 Vibex SDK: ${errorMessage}`
+          : `⚠️  Vibex SDK: ${errorMessage}`;
+        
+        if (this.verbose) {
+          this._printStatus(errorMsg);
+        }
+        
+        if (isHistoryLimit) {
+          // Only this session is full - other sessions keep receiving logs
+          channel.disabledReason = errorMessage;
+          this._updateDisabledPermanently();
+          this._recordFailure(sessionId, batch, 429, errorMessage, false);
+          this._emitEvent('disabled', { sessionId, reason: errorMessage, status: 429 });
+          this._recordDrop('disabled', batch.length);
+          return;
+        }
+        
+        const retry = isRetryableStatus(429, this._retryPolicy);
+        const retryAfterMs = this._getRetryAfter(response);
+        this._recordFailure(sessionId, batch, 429, errorMessage, retry);
+        this._emitEvent('rateLimited', { sessionId, count: batch.length, status: 429, retryAfterMs });
+        if (retry) {
+          return { retry: true, retryAfterMs };
+        }
+        this._recordDrop('rejected', batch.length);
+        return;
+      }
 
-      req.on('error', () => {
-        resolve(null);
-      });
+      // Handle other errors
+      if (!response.ok) {
+        const errorMsg = `⚠️  Vibex SDK: Failed to send batch: ${response.status}`;
+        if (this.verbose) {
+          this._printStatus(errorMsg);
+        }
+        const retry = isRetryableStatus(response.status, this._retryPolicy);
+        this._recordFailure(sessionId, batch, response.status, `HTTP ${response.status}`, retry);
+        if (retry) {
+          const retryAfterMs = response.status === 503 ? this._getRetryAfter(response) : null;
+          return { retry: true, retryAfterMs };
+        }
+        this._recordDrop('rejected', batch.length);
+        return;
+      }
 
-      req.setTimeout(5000, () => {
-        req.destroy();
-        resolve(null);
-      });
+      this._telemetry.recordSent(batch.length, bytes);
+      this._emitEvent('batch:sent', { sessionId, count: batch.length, bytes, status: response.status, latencyMs });
+      return { sent: true };
 
-      req.write(postData);
-      req.end();
-    });
+    } catch (error) {
+      // Network errors and timeouts are always retryable
+      const errorMsg = `⚠️  Vibex SDK: Error sending batch: ${error.message}`;
+      if (this.verbose) {
+        this._printStatus(errorMsg);
+      }
+      this._recordFailure(sessionId, batch, null, error.message, true);
+      return { retry: true, retryAfterMs: null };
+    }
+  }
+
+  /**
+   * Build, encode and post a batch request
+   * @param {Array} batch - Array of log entries [logType, payload, timestamp]
+   * @param {object} channel - Session channel
+   * @returns {Promise<object>} { response, bytes, startedAt }
+   * @private
+   */
+  async _deliverBatch(batch, channel) {
+    const { url, headers, data } = this._buildRequest(batch, channel);
+    const encoded = await encodeBody(data, this._compression);
+    let bytes = byteLength(encoded.body);
+    let startedAt = Date.now();
+    let response = await this._postBatch(url, this._encodingHeaders(headers, encoded.encoding), encoded.body);
+
+    // Handle 415 - server doesn't accept the encoding, fall back to identity for good
+    if (response.status === 415 && encoded.encoding !== 'identity') {
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK: Server rejected ${encoded.encoding} compression (415), sending uncompressed`);
+      }
+      this._compression = resolveCompressionOptions(false);
+      bytes = byteLength(data);
+      startedAt = Date.now();
+      response = await this._postBatch(url, headers, data);
+    }
+    return { response, bytes, startedAt };
+  }
+
+  /**
+   * Bring the configured token up to date from its provider (changed token file, expired callback token)
+   * Sessions with their own route token and OTLP endpoints that don't take the Vibex token are left alone
+   * @param {object} channel - Session channel
+   * @private
+   */
+  async _ensureToken(channel) {
+    const provider = this.config.tokenProvider;
+    if (!provider || channel.token || this._getIngestUrl() !== this.config.apiUrl) {
+      return;
+    }
+    const token = await provider.get();
+    if (token && token !== this.config.token) {
+      this.config.token = token;
+    }
+  }
+
+  /**
+   * Get a new configured token after the server rejected one
+   * @param {object} channel - Session channel the rejected request was for
+   * @param {string} rejectedToken - Token the request was sent with
+   * @param {number} status - HTTP status of the rejection
+   * @returns {Promise<boolean>} True if a different token is available to resend with
+   * @private
+   */
+  async _refreshToken(channel, rejectedToken, status) {
+    const provider = this.config.tokenProvider;
+    if (!provider || channel.token || !provider.canRefresh()) {
+      return false;
+    }
+    try {
+      const changed = await provider.refresh(rejectedToken);
+      if (!changed) {
+        return false;
+      }
+      this.config.token = provider.token;
+      if (this.verbose) {
+        this._printStatus(`🔑 Vibex SDK: Token rejected (${status}), retrying with a refreshed token`);
+      }
+      this._emitEvent('token:refreshed', { reason: 'rejected' });
+      return true;
+    } catch (error) {
+      if (this.verbose) {
+        this._printStatus(`⚠️  Vibex SDK: Token refresh failed: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Get a fresh token from the token provider (file or callback) and resume sending if the old token
+   * had disabled the client - e.g. after the secret manager rotated it
+   * @returns {Promise<boolean>} True if the token changed
+   */
+  async refreshToken() {
+    const provider = this.config.tokenProvider;
+    if (!provider || !provider.canRefresh()) {
+      return false;
+    }
+    const changed = await provider.refresh(this.config.token);
+    if (!changed) {
+      return false;
+    }
+    this.config.token = provider.token;
+    if (this._tokenRejected) {
+      this._tokenRejected = false;
+      this._updateDisabledPermanently();
+      if (this.verbose) {
+        this._printStatus('✅ Vibex SDK re-enabled with a refreshed token');
+      }
+    }
+    this._emitEvent('token:refreshed', { reason: 'manual' });
+    return true;
+  }
+
+  /**
+   * Build the URL, headers and serialized body of a batch request
+   * @param {Array} batch - Array of log entries [logType, payload, timestamp]
+   * @param {object} channel - Session channel
+   * @returns {object} { url, headers, data }
+   * @private
+   */
+  _buildRequest(batch, channel) {
+    const url = this._getIngestUrl();
+    const sessionId = channel.sessionId || this.config.getSessionId();
+
+    const body = this._format === 'otlp'
+      ? this._buildOtlpBody(batch, sessionId)
+      : this._buildVibexBody(batch, sessionId);
+
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+    if (url === this.config.apiUrl) {
+      headers['Authorization'] = `Bearer ${channel.token || this.config.token}`;
+    }
+    if (this._format === 'otlp') {
+      Object.assign(headers, this._otlp.headers);
+    }
+
+    return { url, headers, data: JSON.stringify(body) };
+  }
+
+  /**
+   * Build the Vibex ingest request body
+   * @param {Array} batch - Array of log entries [logType, payload, timestamp]
+   * @param {string} sessionId - Target session ID
+   * @returns {object} Request body
+   * @private
+   */
+  _buildVibexBody(batch, sessionId) {
+    // Build logs array from batch
+    const logs = batch.map(([logType, payload, timestamp]) => ({
+      type: logType,
+      payload: payload,
+      timestamp: timestamp,
+    }));
+
+    return {
+      sessionId: sessionId,
+      logs: logs,
+    };
+  }
+
+  /**
+   * Build an OTLP/HTTP JSON logs request body
+   * @param {Array} batch - Array of log entries [logType, payload, timestamp]
+   * @param {string|null} sessionId - Session ID, recorded as the vibex.session_id resource attribute
+   * @returns {object} Request body
+   * @private
+   */
+  _buildOtlpBody(batch, sessionId) {
+    const env = this._platform.env || {};
+    const resource = {
+      'service.name': env.OTEL_SERVICE_NAME || 'unknown_service:node',
+      ...this._otlp.resource,
+    };
+    if (sessionId) {
+      resource['vibex.session_id'] = sessionId;
+    }
+    return encodeOtlpLogs(batch, resource);
+  }
+
+  /**
+   * Add Content-Encoding to request headers for a compressed body
+   * @param {object} headers - Base request headers
+   * @param {string} encoding - Body encoding
+   * @returns {object} Request headers
+   * @private
+   */
+  _encodingHeaders(headers, encoding) {
+    if (encoding === 'identity') {
+      return headers;
+    }
+    return { ...headers, 'Content-Encoding': encoding };
+  }
+
+  /**
+   * POST an encoded batch body to the ingest API
+   * @param {string} url - Ingest URL
+   * @param {object} headers - Request headers
+   * @param {Uint8Array|string} data - Encoded request body
+   * @returns {Promise<object>} fetch Response or response-like object
+   * @private
+   */
+  _postBatch(url, headers, data) {
+    return this._platform.transport(url, headers, data, { timeoutMs: this._timeoutMs });
+  }
+
+  /**
+   * Read the Retry-After header from a response
+   * @param {object} response - fetch Response or response-like object
+   * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+   * @private
+   */
+  _getRetryAfter(response) {
+    try {
+      return parseRetryAfter(response.headers && response.headers.get('retry-after'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Apply the redaction rules to a log payload, for output outside the client (e.g. console passthrough)
+   * @param {any} payload - Log payload
+   * @returns {any} Redacted copy (the payload itself without redaction), or null if it can't be redacted safely
+   */
+  redact(payload) {
+    if (this._redactBroken) {
+      return null;
+    }
+    if (!this._redact) {
+      return payload;
+    }
+    try {
+      return this._redact(serializeLog(payload, this._serialization).value);
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
@@ -350,36 +1308,234 @@ class VibexClient {
    * @returns {Promise<boolean>} True if queued successfully, False otherwise
    */
   async sendLog(logType, payload, timestamp = null) {
-    if (this.disabled || this.disabledPermanently) {
+    if (this._throttle && !this.disabled && !this._throttle.allow(logType, payload)) {
       return false;
     }
+    return this._queueLog(logType, payload, timestamp);
+  }
 
-    if (!this.config.isValid()) {
-      this.disabled = true;
+  /**
+   * Queue a log without sampling, dedup or rate limiting (used for SDK-generated summaries)
+   * @param {string} logType - Type of log ('json' or 'text')
+   * @param {any} payload - Log payload
+   * @param {number} timestamp - Optional timestamp in milliseconds
+   * @param {boolean} sdkGenerated - True for metrics and repeat summaries, which skip context enrichment
+   * @returns {Promise<boolean>} True if queued successfully, False otherwise
+   * @private
+   */
+  async _queueLog(logType, payload, timestamp = null, sdkGenerated = false) {
+    const prepared = this._prepareEntry(logType, payload, timestamp, sdkGenerated);
+    if (!prepared) {
       return false;
     }
+    const { channel, logEntry } = prepared;
 
-    // Check queue size limit
-    if (this._logQueue.length >= MAX_QUEUE_SIZE) {
-      // Queue is full - drop log to prevent memory issues
-      return false;
+    if (this._capture) {
+      this._capture.record(logEntry, channel.sessionId || this.config.getSessionId());
+      return true;
+    }
+
+    // Check queue size limit - apply the overflow policy to prevent memory issues
+    // Re-checked after every wait: other blocked calls may have taken the space first, and nothing
+    // may run between the last check and _enqueue()
+    if (channel.queue.length >= this._maxQueueSize) {
+      this._spillToSpool(channel);
+    }
+    const deadline = Date.now() + this._blockTimeoutMs;
+    while (channel.queue.length >= this._maxQueueSize) {
+      const canQueue = await this._handleOverflow(channel, logEntry, deadline);
+      if (!canQueue) {
+        return false;
+      }
+    }
+
+    this._enqueue(channel, logEntry);
+    return true;
+  }
+
+  /**
+   * Build the queue entry for a log and pick its session
+   * @param {string} logType - Type of log ('json' or 'text')
+   * @param {any} payload - Log payload
+   * @param {number} timestamp - Optional timestamp in milliseconds
+   * @param {boolean} sdkGenerated - True to skip async and trace context enrichment
+   * @returns {object|null} { channel, logEntry }, or null if the log must not be queued
+   * @private
+   */
+  _prepareEntry(logType, payload, timestamp, sdkGenerated = false) {
+    if (this.disabled) {
+      return null;
+    }
+
+    if (!this._isConfigValid()) {
+      this.disabled = true;
+      return null;
     }
 
-    // Queue the log
-    const logEntry = [logType, payload, timestamp || Date.now()];
-    this._logQueue.push(logEntry);
+    // Merge fields from runWithContext()/setContext() and the active span - explicit context fields win
+    // SDK-generated entries are skipped: their timers run in the scope of whichever request started them
+    let withContext = payload;
+    if (!sdkGenerated) {
+      withContext = applyContext(withContext);
+      if (this._traceCorrelation) {
+        withContext = applyTraceContext(withContext);
+      }
+    }
+
+    // Turn the log into plain JSON data within the size limits (cycles, BigInt, Buffers, ...)
+    let serialized;
+    try {
+      const result = serializeLog(withContext, this._serialization);
+      serialized = result.value;
+      if (result.truncated) {
+        this._truncatedLogs++;
+      }
+    } catch (error) {
+      this._recordDrop('unserializable');
+      return null;
+    }
+
+    // Scrub sensitive data before the log is queued (and possibly spooled to disk)
+    let scrubbed = serialized;
+    if (this._redact) {
+      try {
+        scrubbed = this._redact(serialized);
+      } catch (error) {
+        this._recordDrop('redactionFailed');
+        return null;
+      }
+    }
+
+    // Pick the session this log goes to
+    const route = findRoute(this._routes, logType, scrubbed);
+    const channel = route ? this._getChannel(route.sessionId, route.token) : this._defaultChannel;
+    if (this._isChannelBlocked(channel)) {
+      return null;
+    }
+
+    const logEntry = [logType, scrubbed, timestamp || Date.now()];
+    if (channel !== this._defaultChannel) {
+      // Remember the session so spooled logs are replayed to the right place
+      logEntry.push(channel.sessionId);
+    }
+
+    return { channel, logEntry };
+  }
+
+  /**
+   * Queue a log entry and schedule its batch
+   * @param {object} channel - Session channel
+   * @param {Array} logEntry - Log entry [logType, payload, timestamp]
+   * @private
+   */
+  _enqueue(channel, logEntry) {
+    channel.queue.push(logEntry);
 
     // Schedule batch processing if not already scheduled
-    if (!this._batchTimeout && !this._processing) {
+    if (!channel.batchTimeout && !channel.processing) {
       // Check if batch should be sent immediately (size limit)
-      if (this._logQueue.length >= BATCH_SIZE) {
-        setImmediate(() => this._processBatch());
+      if (channel.queue.length >= this._batchSize) {
+        this._platform.defer(() => this._processBatch(channel));
       } else {
-        this._scheduleBatch();
+        this._scheduleBatch(channel);
       }
     }
+  }
 
-    return true;
+  /**
+   * Record a process crash (called by the crash reporter)
+   * The crash log is queued even if the queue is full, and everything pending is written to disk
+   * before delivery is attempted, so nothing is lost if the process dies first
+   * @param {string} event - 'uncaughtException' or 'unhandledRejection'
+   * @param {any} error - Error or rejection reason
+   * @param {boolean} deliver - If false, only queue and persist (e.g. a second crash while delivering)
+   * @returns {Promise<void>} Resolves once pending logs are delivered (or given up on)
+   * @private
+   */
+  async _captureCrash(event, error, deliver = true) {
+    const { buildCrashLog } = require('./crash');
+    const prepared = this._prepareEntry('json', buildCrashLog(event, error, 'error'), null);
+    if (!prepared) {
+      return;
+    }
+    prepared.channel.queue.push(prepared.logEntry);
+    this._persistPending();
+
+    if (!deliver) {
+      return;
+    }
+    this._shutdown = true;
+    await Promise.all(this._allChannels().map((channel) => this._flushChannel(channel)));
+  }
+
+  /**
+   * Get the metrics registry, creating it on first use
+   * @private
+   */
+  _getMetrics() {
+    if (!this._metrics) {
+      this._metrics = new MetricsRegistry(
+        (payload) => this._queueLog('json', payload, null, true).catch(() => {}),
+        this._metricsOptions
+      );
+    }
+    return this._metrics;
+  }
+
+  /**
+   * Get (or create) a counter - a sum reported and reset every metrics interval
+   * @param {string} name - Metric name
+   * @returns {Counter} Counter with add(value = 1, tags)
+   */
+  counter(name) {
+    return this._getMetrics().instrument('counter', name);
+  }
+
+  /**
+   * Get (or create) a gauge - the last value, reported every metrics interval
+   * @param {string} name - Metric name
+   * @returns {Gauge} Gauge with set(value, tags)
+   */
+  gauge(name) {
+    return this._getMetrics().instrument('gauge', name);
+  }
+
+  /**
+   * Get (or create) a histogram - count, sum, min, max, avg and percentiles per metrics interval
+   * @param {string} name - Metric name
+   * @returns {Histogram} Histogram with record(value, tags)
+   */
+  histogram(name) {
+    return this._getMetrics().instrument('histogram', name);
+  }
+
+  /**
+   * Get (or create) a timer - a histogram of durations in milliseconds
+   * @param {string} name - Metric name
+   * @returns {Timer} Timer with start(tags) => stop(), time(fn, tags) and record(ms, tags)
+   */
+  timer(name) {
+    return this._getMetrics().instrument('timer', name);
+  }
+
+  /**
+   * Send an annotation - a marker for a deploy, release, feature flag change or incident
+   * Annotations skip sampling, dedup and rate limiting. Invalid input throws right away.
+   * @param {object} annotation - { title, kind, description, tags, links, time, endTime | durationMs, level } (see annotations.js)
+   * @returns {Promise<boolean>} True if the annotation was queued
+   */
+  annotate(annotation) {
+    const { payload, timestamp } = buildAnnotationLog(annotation);
+    return this._queueLog('json', payload, timestamp);
+  }
+
+  /**
+   * Send a deploy annotation built from CI/CD environment variables (commit SHA, build number, branch, build URL)
+   * @param {object} overrides - { service, version } and annotation fields to override
+   * @returns {Promise<boolean>} True if the annotation was queued
+   */
+  markDeploy(overrides = {}) {
+    return this.annotate(deployAnnotationFromEnv(overrides, this._platform.env));
   }
 
   /**
@@ -391,17 +1547,114 @@ class VibexClient {
       return;
     }
 
+    // Emit the partial metrics interval and pending repeat summaries so they are sent with the rest
+    if (this._metrics) {
+      this._metrics.stop();
+      this._metrics.flush();
+    }
+    if (this._throttle) {
+      this._throttle.sweep(true);
+    }
+
     this._shutdown = true;
 
+    // Drain every session in parallel so one backing-off session doesn't hold up the others
+    await Promise.all(this._allChannels().map((channel) => this._flushChannel(channel)));
+
+    // Nothing more will be sent - close pooled keep-alive connections
+    if (this._agentTransport) {
+      this._agentTransport.close();
+    }
+  }
+
+  /**
+   * Send all queued logs without shutting the client down
+   * For runtimes where work must finish before a response or invocation ends (edge workers, serverless),
+   * e.g. ctx.waitUntil(client.drain()) - logging continues normally afterwards
+   * @returns {Promise<void>} Resolves once the queue is delivered (or given up on)
+   */
+  async drain() {
+    if (this._shutdown) {
+      return;
+    }
+    if (this._metrics) {
+      this._metrics.flush();
+    }
+    if (this._throttle) {
+      this._throttle.sweep(true);
+    }
+    await Promise.all(this._allChannels().map((channel) => this._flushChannel(channel)));
+  }
+
+  /**
+   * Hand every queued log to the platform's beacon (or a keepalive request) when the page is hidden
+   * The page may be frozen or discarded right after, so nothing is awaited or retried
+   * @private
+   */
+  _flushOnHide() {
+    if (this.disabled || this._capture) {
+      return;
+    }
+    if (this._metrics) {
+      this._metrics.flush();
+    }
+    if (this._throttle) {
+      this._throttle.sweep(true);
+    }
+
+    for (const channel of this._allChannels()) {
+      if (channel.batchTimeout) {
+        clearTimeout(channel.batchTimeout);
+        channel.batchTimeout = null;
+      }
+      if (this._isChannelBlocked(channel)) {
+        continue;
+      }
+      while (channel.queue.length > 0) {
+        const batch = this._takeBatch(channel);
+        if (batch.length === 0) {
+          break;
+        }
+        try {
+          const { url, headers, data } = this._buildRequest(batch, channel);
+          const beaconed = this._platform.beacon ? this._platform.beacon(url, headers, data) : false;
+          if (!beaconed) {
+            this._platform.transport(url, headers, data, { timeoutMs: this._timeoutMs, keepalive: true }).catch(() => {});
+          }
+          this._telemetry.recordSent(batch.length, byteLength(data));
+        } catch (error) {
+          this._recordFailure(channel.sessionId || this.config.getSessionId(), batch, null, error.message, false);
+        }
+      }
+    }
+  }
+
+  /**
+   * Send all queued logs of one session
+   * @param {object} channel - Session channel
+   * @private
+   */
+  async _flushChannel(channel) {
     // Clear any pending timeout
-    if (this._batchTimeout) {
-      clearTimeout(this._batchTimeout);
-      this._batchTimeout = null;
+    if (channel.batchTimeout) {
+      clearTimeout(channel.batchTimeout);
+      channel.batchTimeout = null;
     }
 
-    // Process remaining logs
-    while (this._logQueue.length > 0 && !this.disabled && !this.disabledPermanently) {
-      await this._processBatch();
+    // Process remaining logs (retries stay bounded by the retry policy)
+    while ((channel.queue.length > 0 || channel.processing) && !this.disabled && !this._isChannelBlocked(channel)) {
+      if (channel.processing) {
+        // A scheduled batch is still in flight - wait for it before continuing
+        await channel.inFlight;
+        await new Promise((resolve) => this._platform.defer(resolve));
+        continue;
+      }
+
+      const waitMs = channel.nextBatchAt - Date.now();
+      if (waitMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, waitMs));
+      }
+      await this._processBatch(channel, true);
     }
   }
 
@@ -410,7 +1663,11 @@ class VibexClient {
    * @returns {boolean} True if enabled
    */
   isEnabled() {
-    return !this.disabled && !this.disabledPermanently && this.config.isValid();
+    if (this.disabled || !this._isConfigValid()) {
+      return false;
+    }
+    // With routes, the client stays enabled while any session can still receive logs
+    return this._allChannels().some((channel) => !this._isChannelBlocked(channel));
   }
 
   /**
@@ -422,29 +1679,75 @@ class VibexClient {
       enabled: this.isEnabled(),
       disabled: this.disabled,
       disabledPermanently: this.disabledPermanently,
-      configValid: this.config.isValid(),
-      queueSize: this._logQueue.length,
-      processing: this._processing,
+      configValid: this._isConfigValid(),
+      queueSize: this._allChannels().reduce((total, channel) => total + channel.queue.length, 0),
+      processing: this._allChannels().some((channel) => channel.processing),
+      retryAttempt: this._defaultChannel.retryAttempt,
+      compression: this._compression.encoding,
+      overflowPolicy: this._overflowPolicy,
+      dropped: { ...this._dropped },
+      truncated: this._truncatedLogs,
+      sampled: this._throttle ? this._throttle.counts.sampled : 0,
+      suppressed: {
+        deduplicated: this._throttle ? this._throttle.counts.deduplicated : 0,
+        rateLimited: this._throttle ? this._throttle.counts.rateLimited : 0,
+      },
+      telemetry: this._telemetry.snapshot(),
     };
 
-    if (!this.config.isValid()) {
+    if (this._spool) {
+      status.spool = this._spool.getStats();
+    }
+
+    const warnings = this._configWarnings();
+    if (warnings.length > 0) {
+      status.configWarnings = warnings;
+    }
+
+    if (this._channels.size > 0) {
+      status.sessions = {};
+      for (const channel of this._allChannels()) {
+        const sessionId = channel.sessionId || this.config.getSessionId();
+        status.sessions[sessionId] = {
+          queueSize: channel.queue.length,
+          retryAttempt: channel.retryAttempt,
+          enabled: !this._isChannelBlocked(channel),
+          reason: channel.disabledReason || (this._isChannelBlocked(channel) ? 'Token expired or invalid (401/403)' : null),
+        };
+      }
+    }
+
+    if (!this._isConfigValid()) {
       status.missingConfig = this.config.getMissing();
-      status.reason = `Missing configuration: ${this.config.getMissing().join(', ')}`;
+      status.reason = `Invalid configuration: ${status.missingConfig.join(' ')}`;
     } else if (this.disabledPermanently) {
-      status.reason = 'Permanently disabled due to authentication error (401/403)';
+      status.reason = this._defaultChannel.disabledReason
+        ? `Permanently disabled: ${this._defaultChannel.disabledReason}`
+        : 'Permanently disabled due to authentication error (401/403)';
     } else if (this.disabled) {
       status.reason = 'Disabled';
     } else {
       status.reason = 'Enabled and ready';
-      status.apiUrl = this.config.apiUrl;
+      status.apiUrl = this._getIngestUrl();
+      status.format = this._format;
       const sessionId = this.config.getSessionId();
       status.sessionId = sessionId ? `${sessionId.substring(0, 10)}...` : null;
       status.tokenPrefix = this.config.token ? `${this.config.token.substring(0, 10)}...` : null;
+      status.tokenSource = this.config.tokenProvider ? this.config.tokenProvider.kind : 'static';
     }
 
     return status;
   }
 
+  /**
+   * Render client status and self-telemetry in the Prometheus text format
+   * @param {string} prefix - Metric name prefix (default: 'vibex_sdk')
+   * @returns {string} Prometheus text exposition
+   */
+  getPrometheusMetrics(prefix = 'vibex_sdk') {
+    return renderPrometheus(this.getStatus(), this._telemetry, prefix);
+  }
+
   /**
    * Print current status to stderr
    */
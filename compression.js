@@ -0,0 +1,75 @@
+/**
+ * Request body compression for ingest batches
+ * Uses Node's built-in zlib (gzip, deflate, brotli); runtimes without zlib send bodies uncompressed
+ */
+
+const { nodeRequire, byteLength } = require('./platform');
+
+const zlib = nodeRequire('zlib');
+
+const ENCODERS = {};
+if (zlib) {
+  const { promisify } = require('util');
+  ENCODERS.gzip = promisify(zlib.gzip);
+  ENCODERS.deflate = promisify(zlib.deflate);
+  if (typeof zlib.brotliCompress === 'function') {
+    ENCODERS.br = promisify(zlib.brotliCompress);
+  }
+}
+
+const DEFAULT_COMPRESSION_OPTIONS = {
+  encoding: 'identity',  // 'gzip', 'deflate', 'br' or 'identity' (no compression)
+  threshold: 1024,  // Bodies smaller than this (bytes) are sent uncompressed
+};
+
+/**
+ * Resolve user compression options
+ * @param {object|string|boolean} options - Encoding name, true for gzip, false to disable, or { encoding, threshold }
+ * @returns {object} Resolved compression options
+ */
+function resolveCompressionOptions(options) {
+  let resolved;
+  if (options === true) {
+    resolved = { ...DEFAULT_COMPRESSION_OPTIONS, encoding: 'gzip' };
+  } else if (typeof options === 'string') {
+    resolved = { ...DEFAULT_COMPRESSION_OPTIONS, encoding: options };
+  } else if (options && typeof options === 'object') {
+    resolved = { ...DEFAULT_COMPRESSION_OPTIONS, encoding: 'gzip', ...options };
+  } else {
+    resolved = { ...DEFAULT_COMPRESSION_OPTIONS };
+  }
+
+  resolved.encoding = String(resolved.encoding).toLowerCase();
+  if (resolved.encoding === 'brotli') {
+    resolved.encoding = 'br';
+  }
+  if (!ENCODERS[resolved.encoding]) {
+    resolved.encoding = 'identity';
+  }
+  return resolved;
+}
+
+/**
+ * Encode a serialized request body
+ * @param {string} data - Serialized JSON body
+ * @param {object} options - Resolved compression options
+ * @returns {Promise<{body: Buffer|string, encoding: string}>} Encoded body and the encoding actually used
+ */
+async function encodeBody(data, options) {
+  const encoder = ENCODERS[options.encoding];
+  if (!encoder || byteLength(data) < options.threshold) {
+    return { body: data, encoding: 'identity' };
+  }
+  try {
+    return { body: await encoder(Buffer.from(data)), encoding: options.encoding };
+  } catch (e) {
+    // Compression failure must never lose the batch - send it as-is
+    return { body: data, encoding: 'identity' };
+  }
+}
+
+module.exports = {
+  DEFAULT_COMPRESSION_OPTIONS,
+  resolveCompressionOptions,
+  encodeBody,
+};
@@ -1,34 +1,211 @@
 /**
  * Configuration management for Vibex SDK
- * Loads VIBEX_TOKEN and VIBEX_SESSION_ID from environment variables
+ * Loads token, session ID and API URL from code, environment variables and config files
+ *
+ * Precedence (highest first), resolved per setting:
+ *   1. Options passed to the VibexConfig constructor
+ *   2. Environment variables (VIBEX_TOKEN or VIBEX_TOKEN_FILE, VIBEX_SESSION_ID, VIBEX_API_URL, VIBEX_WORKER_URL)
+ *   3. The selected profile in the config file (options.profile, then VIBEX_PROFILE, then "defaultProfile")
+ *   4. Top-level settings in the config file
+ *   5. Defaults
  */
 
+const { nodeRequire, getEnv } = require('./platform');
+const TokenProvider = require('./token');
+
+// Config files need a filesystem - browsers and edge workers pass settings in code or via options.env
+const fs = nodeRequire('fs');
+const path = nodeRequire('path');
+
+const DEFAULT_API_URL = 'https://ingest.vibex.sh/api/v1/ingest';
+
+// Config files searched in the working directory, in order
+const CONFIG_FILES = ['.vibexrc', '.vibexrc.json', 'vibex.config.js', 'package.json'];
+
+const TOKEN_PATTERN = /^vb_[A-Za-z0-9]+_[A-Za-z0-9_-]+$/;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+
 class VibexConfig {
   /**
    * Initialize VibexConfig
-   * Reads configuration from environment variables
+   * @param {object} options - Optional settings (override environment variables and config files)
+   * @param {string} options.token - Vibex API token
+   * @param {string} options.tokenFile - Path of a file holding the token, re-read when it changes (e.g. a Kubernetes secret mount)
+   * @param {Function} options.tokenProvider - Async function returning the token (or { token, expiresAt }), called again when the token is rejected or expires
+   * @param {string} options.sessionId - Session ID
+   * @param {string} options.apiUrl - Full ingest URL
+   * @param {string} options.workerUrl - Worker base URL (ingest path is appended)
+   * @param {string} options.profile - Config file profile to use (default: VIBEX_PROFILE)
+   * @param {string|boolean} options.configFile - Path to a config file, or false to skip file loading (default: VIBEX_CONFIG or auto-detect)
+   * @param {string} options.cwd - Directory to search for config files (default: process.cwd())
+   * @param {object} options.env - Environment variables to read instead of process.env (e.g. Worker bindings)
+   */
+  constructor(options = {}) {
+    const opts = options || {};
+    const env = opts.env || getEnv();
+
+    this._errors = [];
+    this._warnings = [];
+    this._fileErrors = [];  // Config file and profile problems, see below
+    this._validation = null;
+    this.configFile = null;
+    this.profile = opts.profile || env.VIBEX_PROFILE || null;
+
+    const file = this._loadFile(opts, env);
+    if (!this.profile && file.defaultProfile) {
+      this.profile = file.defaultProfile;
+    }
+    const profile = this._selectProfile(file);
+
+    const envSource = {
+      token: env.VIBEX_TOKEN,
+      tokenFile: env.VIBEX_TOKEN_FILE,
+      sessionId: env.VIBEX_SESSION_ID,
+      apiUrl: env.VIBEX_API_URL,
+      workerUrl: env.VIBEX_WORKER_URL,
+    };
+    const sources = [opts, envSource, profile, file];
+
+    this.tokenProvider = this._createTokenProvider(opts, sources);
+    this.token = this.tokenProvider.token;
+    this.sessionId = this._resolve(sources, 'sessionId');
+    this.apiUrl = this._resolveApiUrl(sources);
+
+    // A broken config file or unknown profile only disables the SDK if settings are missing without it -
+    // when code or environment variables supply the token and session, it's a warning
+    const hasToken = !!this.token || this.tokenProvider.kind !== 'static';
+    (hasToken && this.sessionId ? this._warnings : this._errors).push(...this._fileErrors);
+  }
+
+  /**
+   * Create the token provider from the highest-precedence source that sets a token or token file
+   * A token callback in code wins over everything; within one source a token file wins over a token
+   * @private
    */
-  constructor() {
-    this.token = process.env.VIBEX_TOKEN || null;
-    this.sessionId = process.env.VIBEX_SESSION_ID || null;
-    
-    // Determine API URL - use Worker URL (not web URL)
-    // Match CLI architecture: use ingest endpoint on Worker
-    const apiUrlEnv = process.env.VIBEX_API_URL;
-    const workerUrl = process.env.VIBEX_WORKER_URL;
-    
-    if (apiUrlEnv) {
-      this.apiUrl = apiUrlEnv;
-    } else if (workerUrl) {
-      // Use explicit Worker URL if set
-      this.apiUrl = `${workerUrl.replace(/\/$/, '')}/api/v1/ingest`;
+  _createTokenProvider(opts, sources) {
+    if (typeof opts.tokenProvider === 'function') {
+      return new TokenProvider({ callback: opts.tokenProvider });
+    }
+    if (opts.tokenProvider !== undefined && opts.tokenProvider !== null) {
+      this._errors.push('tokenProvider must be a function returning a token (or { token, expiresAt }).');
+    }
+    for (const source of sources) {
+      const file = this._resolve([source], 'tokenFile');
+      if (file) {
+        const provider = new TokenProvider({ file });
+        if (provider.error) {
+          this._errors.push(`${provider.error}. Check VIBEX_TOKEN_FILE.`);
+        }
+        return provider;
+      }
+      const token = this._resolve([source], 'token');
+      if (token) {
+        return new TokenProvider({ token });
+      }
+    }
+    return new TokenProvider({});
+  }
+
+  /**
+   * Get the first non-empty value for a setting across sources
+   * @private
+   */
+  _resolve(sources, key) {
+    for (const source of sources) {
+      if (source && source[key] !== undefined && source[key] !== null && source[key] !== '') {
+        return String(source[key]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Determine API URL - use Worker URL (not web URL)
+   * Match CLI architecture: use ingest endpoint on Worker
+   * @private
+   */
+  _resolveApiUrl(sources) {
+    for (const source of sources) {
+      if (!source) {
+        continue;
+      }
+      if (source.apiUrl) {
+        return String(source.apiUrl);
+      }
+      if (source.workerUrl) {
+        // Use explicit Worker URL if set
+        return `${String(source.workerUrl).replace(/\/$/, '')}/api/v1/ingest`;
+      }
+    }
+    // Production default - use Worker URL (not web URL)
+    // For local development, set VIBEX_WORKER_URL=http://localhost:8787
+    return DEFAULT_API_URL;
+  }
+
+  /**
+   * Load settings from a config file (.vibexrc, vibex.config.js or package.json#vibex)
+   * @private
+   */
+  _loadFile(opts, env) {
+    if (opts.configFile === false || !fs || !path || typeof process === 'undefined' || typeof process.cwd !== 'function') {
+      return {};
+    }
+
+    const explicit = opts.configFile || env.VIBEX_CONFIG;
+    let filePath = null;
+    if (explicit) {
+      filePath = path.resolve(opts.cwd || process.cwd(), explicit);
     } else {
-      // Production default - use Worker URL (not web URL)
-      // For local development, set VIBEX_WORKER_URL=http://localhost:8787
-      this.apiUrl = 'https://ingest.vibex.sh/api/v1/ingest';
+      const cwd = opts.cwd || process.cwd();
+      filePath = CONFIG_FILES.map((name) => path.join(cwd, name)).find((candidate) => fs.existsSync(candidate)) || null;
+    }
+    if (!filePath) {
+      return {};
+    }
+
+    try {
+      let data;
+      if (filePath.endsWith('.js') || filePath.endsWith('.cjs')) {
+        data = require(filePath);
+      } else {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+      if (path.basename(filePath) === 'package.json') {
+        data = data && data.vibex;
+        if (!data) {
+          return {};
+        }
+      }
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('expected an object of settings');
+      }
+      this.configFile = filePath;
+      return data;
+    } catch (error) {
+      this._fileErrors.push(`Could not load config file ${filePath}: ${error.message}. Fix the file or set VIBEX_CONFIG to another path.`);
+      return {};
     }
   }
 
+  /**
+   * Pick the active profile from the config file
+   * @private
+   */
+  _selectProfile(file) {
+    if (!this.profile) {
+      return {};
+    }
+    const profiles = file.profiles && typeof file.profiles === 'object' ? file.profiles : {};
+    if (!profiles[this.profile]) {
+      const available = Object.keys(profiles);
+      const where = this.configFile ? ` in ${this.configFile}` : ' (no config file found)';
+      const hint = available.length > 0 ? ` Available profiles: ${available.join(', ')}.` : '';
+      this._fileErrors.push(`Profile "${this.profile}" not found${where}.${hint} Check VIBEX_PROFILE.`);
+      return {};
+    }
+    return profiles[this.profile];
+  }
+
   /**
    * Normalize session ID to always have vibex- prefix if missing
    * @param {string} sessionId - Session ID to normalize
@@ -46,26 +223,72 @@ class VibexConfig {
   }
 
   /**
-   * Check if configuration is valid (both token and session_id required)
+   * Check if configuration is valid (token and session_id required, all settings well-formed)
    * @returns {boolean} True if configuration is valid
    */
   isValid() {
-    return !!(this.token && this.sessionId);
+    return this.getMissing().length === 0;
   }
 
   /**
-   * Get list of missing configuration variables
-   * @returns {string[]} Array of missing variable names
+   * Get actionable errors for missing or invalid configuration
+   * @returns {string[]} Array of error messages (empty if the configuration is valid)
    */
   getMissing() {
-    const missing = [];
+    // Checked on every log - only re-validate when a setting changed
+    const cached = this._validation;
+    if (cached && cached.token === this.token && cached.sessionId === this.sessionId && cached.apiUrl === this.apiUrl) {
+      return [...cached.errors];
+    }
+    const errors = this._validate();
+    this._validation = { token: this.token, sessionId: this.sessionId, apiUrl: this.apiUrl, errors };
+    return [...errors];
+  }
+
+  /**
+   * Get problems that don't disable the SDK, e.g. an unreadable config file while the environment
+   * supplies every setting, or a token that doesn't look like a Vibex token
+   * @returns {string[]} Array of warning messages
+   */
+  getWarnings() {
+    const warnings = [...this._warnings];
+    if (this.token && !TOKEN_PATTERN.test(this.token)) {
+      warnings.push(`VIBEX_TOKEN "${this.token.substring(0, 6)}..." doesn't look like a Vibex token (vb_live_xxxxxxxx) - check for quotes or whitespace.`);
+    }
+    return warnings;
+  }
+
+  /**
+   * Validate all settings
+   * @private
+   */
+  _validate() {
+    const errors = [...this._errors];
+
     if (!this.token) {
-      missing.push('VIBEX_TOKEN');
+      // A token callback is called before the first request; an unreadable token file is already reported
+      if (!this.tokenProvider || this.tokenProvider.kind === 'static') {
+        errors.push('VIBEX_TOKEN is not set. Run `npx vibex-sh login` to get a token, then set VIBEX_TOKEN or VIBEX_TOKEN_FILE, or pass { token } to VibexConfig.');
+      }
     }
+
     if (!this.sessionId) {
-      missing.push('VIBEX_SESSION_ID');
+      errors.push('VIBEX_SESSION_ID is not set. Set VIBEX_SESSION_ID or pass { sessionId } to VibexConfig (e.g. my-production-app).');
+    } else if (!SESSION_ID_PATTERN.test(this.sessionId)) {
+      errors.push(`VIBEX_SESSION_ID "${this.sessionId}" is invalid. Use up to 128 letters, digits, "-" or "_".`);
     }
-    return missing;
+
+    let url = null;
+    try {
+      url = new URL(this.apiUrl);
+    } catch (e) {
+      // Reported below
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+      errors.push(`API URL "${this.apiUrl}" is not a valid http(s) URL. Check VIBEX_API_URL or VIBEX_WORKER_URL.`);
+    }
+
+    return errors;
   }
 
   /**
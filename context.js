@@ -0,0 +1,111 @@
+/**
+ * Async Context Propagation
+ * Fields set with runWithContext()/setContext() are merged into hybrid.context
+ * for every log emitted inside that async scope
+ */
+
+const { nodeRequire } = require('./platform');
+
+/**
+ * Fallback store for runtimes without AsyncLocalStorage (browsers)
+ * Scopes only cover the synchronous part of runWithContext(); setContext() fields are global
+ * @private
+ */
+class SyncContextStorage {
+  constructor() {
+    this._store = undefined;
+  }
+
+  getStore() {
+    return this._store;
+  }
+
+  run(store, fn) {
+    const previous = this._store;
+    this._store = store;
+    try {
+      return fn();
+    } finally {
+      this._store = previous;
+    }
+  }
+
+  enterWith(store) {
+    this._store = store;
+  }
+}
+
+const asyncHooks = nodeRequire('async_hooks');
+const storage = asyncHooks && asyncHooks.AsyncLocalStorage
+  ? new asyncHooks.AsyncLocalStorage()
+  : new SyncContextStorage();
+
+/**
+ * Run a function with context fields attached to every log emitted inside it
+ * Nested scopes inherit (and may override) the fields of their parent scope
+ * @param {object} context - Context fields, e.g. { request_id, user_id, trace_id }
+ * @param {Function} fn - Function to run
+ * @returns {any} Return value of fn
+ */
+function runWithContext(context, fn) {
+  const parent = storage.getStore() || {};
+  return storage.run({ ...parent, ...(context || {}) }, fn);
+}
+
+/**
+ * Add fields to the current context scope
+ * Outside of runWithContext(), this starts a scope for the current async execution
+ * @param {object} fields - Context fields to add
+ */
+function setContext(fields) {
+  if (!fields || typeof fields !== 'object') {
+    return;
+  }
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  } else {
+    storage.enterWith({ ...fields });
+  }
+}
+
+/**
+ * Get the context fields of the current async scope
+ * @returns {object} Copy of the current context (empty outside any scope)
+ */
+function getContext() {
+  const store = storage.getStore();
+  return store ? { ...store } : {};
+}
+
+/**
+ * Merge the current async context into a log payload's context
+ * Fields already present in the payload's context win on conflict
+ * @param {any} payload - Log payload (text payloads are returned unchanged)
+ * @returns {any} Payload with merged context (a copy if anything was merged)
+ */
+function applyContext(payload) {
+  const store = storage.getStore();
+  if (!store || !payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return payload;
+  }
+  const keys = Object.keys(store);
+  if (keys.length === 0) {
+    return payload;
+  }
+
+  const explicit = payload.context && typeof payload.context === 'object' && !Array.isArray(payload.context)
+    ? payload.context
+    : {};
+  return {
+    ...payload,
+    context: { ...store, ...explicit },
+  };
+}
+
+module.exports = {
+  runWithContext,
+  setContext,
+  getContext,
+  applyContext,
+};
@@ -0,0 +1,209 @@
+/**
+ * Crash Reporter
+ * Records uncaughtException, unhandledRejection and warning events as logs and delivers them
+ * before the process dies, while keeping Node's default crash semantics
+ */
+
+const os = require('os');
+const { normalizeToHybrid } = require('./normalize');
+const { isErrorLike, serializeError } = require('./errors');
+
+const DEFAULT_CRASH_OPTIONS = {
+  deadlineMs: 2000,  // Max time to wait for delivery before exiting
+  captureWarnings: true,  // Also record process 'warning' events
+  directory: null,  // Where undelivered crash logs are written (default: a per-session dir in os.tmpdir())
+};
+
+// Clients with crash reporting enabled - process listeners are shared by all of them
+const clients = new Map();
+let crashing = false;
+
+/**
+ * Build a hybrid log for a process-level event
+ * @param {string} event - 'uncaughtException', 'unhandledRejection' or 'warning'
+ * @param {any} error - Error, rejection reason or warning
+ * @param {string} level - Log level
+ * @returns {object} Hybrid log structure
+ */
+function buildCrashLog(event, error, level) {
+  const message = isErrorLike(error) ? `${error.name || 'Error'}: ${error.message}` : String(error);
+  const hybrid = normalizeToHybrid(message, level, {});
+
+  let memoryRss = null;
+  try {
+    memoryRss = process.memoryUsage().rss;
+  } catch (e) {
+    // Not available on every runtime
+  }
+
+  hybrid.context = {
+    ...hybrid.context,
+    event,
+    pid: process.pid,
+    hostname: os.hostname(),
+    node_version: process.version,
+    uptime_s: Math.round(process.uptime()),
+    memory_rss: memoryRss,
+  };
+
+  if (isErrorLike(error)) {
+    hybrid.exc_info = error.stack || error.message;
+    hybrid.exception = serializeError(error);
+  } else {
+    hybrid.exception = serializeError({ name: 'NonErrorRejection', message: String(error), stack: '' });
+  }
+  return hybrid;
+}
+
+/**
+ * Queue a crash log on every client, persist it synchronously, then try to deliver before the deadline
+ * @private
+ */
+async function report(event, error) {
+  const deadlineMs = Math.max(0, ...Array.from(clients.values()).map((options) => options.deadlineMs));
+  const deliveries = [];
+
+  for (const client of clients.keys()) {
+    deliveries.push(client._captureCrash(event, error));
+  }
+  if (deliveries.length === 0) {
+    return;
+  }
+
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(resolve, deadlineMs);
+  });
+  try {
+    await Promise.race([Promise.all(deliveries), deadline]);
+  } catch (e) {
+    // Delivery failures are fine - the logs were persisted before we started
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Queue a non-fatal event on every client as a regular log
+ * @private
+ */
+function record(event, error, level, optionName = null) {
+  for (const [client, options] of clients) {
+    if (!optionName || options[optionName]) {
+      client.sendLog('json', buildCrashLog(event, error, level)).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Exit the way Node would have without our listener, unless the app has its own listeners
+ * @private
+ */
+function crash(event, error) {
+  if (process.listenerCount(event) > 1) {
+    // The app handles this event itself - leave the decision to it
+    return;
+  }
+
+  if (event === 'unhandledRejection') {
+    // Node raises unhandled rejections as uncaught exceptions - let the app's handlers see them
+    const handlers = process.listeners('uncaughtException').filter((listener) => listener !== onUncaughtException);
+    if (handlers.length > 0) {
+      handlers.forEach((handler) => handler(error, 'unhandledRejection'));
+      return;
+    }
+  }
+
+  console.error(isErrorLike(error) && error.stack ? error.stack : error);
+  process.exit(1);
+}
+
+/**
+ * Determine how Node treats unhandled rejections in this process
+ * @private
+ */
+function unhandledRejectionsMode() {
+  const flags = [...process.execArgv, ...String(process.env.NODE_OPTIONS || '').split(/\s+/)];
+  for (const flag of flags) {
+    const match = /^--unhandled-rejections=(.+)$/.exec(flag);
+    if (match) {
+      return match[1];
+    }
+  }
+  const major = parseInt(process.versions.node.split('.')[0], 10);
+  return major >= 15 ? 'throw' : 'warn';
+}
+
+function onUncaughtException(error) {
+  if (crashing) {
+    // Already on our way out - just record it
+    for (const client of clients.keys()) {
+      client._captureCrash('uncaughtException', error, false);
+    }
+    return;
+  }
+  crashing = true;
+  report('uncaughtException', error).then(() => crash('uncaughtException', error));
+}
+
+function onUnhandledRejection(reason) {
+  const mode = unhandledRejectionsMode();
+  const fatal = mode === 'throw' || mode === 'strict';
+
+  if (!fatal) {
+    record('unhandledRejection', reason, 'error');
+    if (process.listenerCount('unhandledRejection') <= 1 && mode !== 'none') {
+      console.error('Unhandled promise rejection:', isErrorLike(reason) && reason.stack ? reason.stack : reason);
+      if (mode === 'warn-with-error-code') {
+        process.exitCode = 1;
+      }
+    }
+    return;
+  }
+
+  if (crashing) {
+    for (const client of clients.keys()) {
+      client._captureCrash('unhandledRejection', reason, false);
+    }
+    return;
+  }
+  crashing = true;
+  report('unhandledRejection', reason).then(() => crash('unhandledRejection', reason));
+}
+
+function onWarning(warning) {
+  record('warning', warning, 'warn', 'captureWarnings');
+}
+
+/**
+ * Enable crash reporting for a client
+ * @param {VibexClient} client - Client that records and delivers crash logs
+ * @param {object} options - Crash reporter options
+ * @param {number} options.deadlineMs - Max time to wait for delivery before exiting (default: 2000)
+ * @param {boolean} options.captureWarnings - Record process 'warning' events (default: true)
+ * @param {string} options.directory - Where undelivered crash logs are written when the client has no disk spool
+ * @returns {Function} Function that disables crash reporting for this client
+ */
+function installCrashReporter(client, options = {}) {
+  if (clients.size === 0) {
+    process.on('uncaughtException', onUncaughtException);
+    process.on('unhandledRejection', onUnhandledRejection);
+    process.on('warning', onWarning);
+  }
+  clients.set(client, { ...DEFAULT_CRASH_OPTIONS, ...options });
+
+  return () => {
+    clients.delete(client);
+    if (clients.size === 0) {
+      process.removeListener('uncaughtException', onUncaughtException);
+      process.removeListener('unhandledRejection', onUnhandledRejection);
+      process.removeListener('warning', onWarning);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CRASH_OPTIONS,
+  buildCrashLog,
+  installCrashReporter,
+};
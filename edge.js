@@ -0,0 +1,70 @@
+/**
+ * Edge Client
+ * A VibexClient for edge and serverless workers (Cloudflare Workers, Vercel Edge Functions, Deno Deploy):
+ * settings come from the worker's env bindings, there are no process hooks, and queued logs are
+ * delivered before the invocation ends through waitUntil()
+ */
+
+const VibexClient = require('./client');
+
+/**
+ * Create a client for an edge worker
+ * @param {object} options - Client options (see VibexClient), plus:
+ * @param {VibexConfig|object} options.config - VibexConfig instance or options ({ token, sessionId, apiUrl })
+ * @param {object} options.env - Environment bindings to read VIBEX_TOKEN, VIBEX_SESSION_ID and VIBEX_API_URL from
+ * @param {boolean} options.verbose - If true, print status messages to the console
+ * @returns {VibexClient} Client
+ */
+function createEdgeClient(options = {}) {
+  const { config = null, verbose = false, env = null, ...clientOptions } = options || {};
+  return new VibexClient(config, verbose, {
+    ...clientOptions,
+    platform: {
+      // Workers have no process exit - delivery is tied to each invocation with waitUntil()
+      onShutdown: () => {},
+      ...(env ? { env } : {}),
+      ...(clientOptions.platform || {}),
+    },
+  });
+}
+
+/**
+ * Deliver queued logs without delaying the response
+ * @param {VibexClient} client - Client to drain
+ * @param {object} ctx - Execution context with waitUntil() (a Workers ctx, a Vercel/Next.js event, ...)
+ * @returns {Promise<void>} Resolves once queued logs are delivered
+ */
+function flushWith(client, ctx) {
+  const drained = client.drain().catch(() => {});
+  if (ctx && typeof ctx.waitUntil === 'function') {
+    ctx.waitUntil(drained);
+  }
+  return drained;
+}
+
+/**
+ * Wrap a Workers-style fetch handler: the client is created from the first request's env bindings,
+ * passed to the handler, and drained with waitUntil() after every request
+ * @param {Function} handler - (request, env, ctx, client) => Response
+ * @param {object} options - createEdgeClient() options
+ * @returns {Function} (request, env, ctx) => Promise<Response>
+ */
+function withVibex(handler, options = {}) {
+  let client = null;
+  return async (request, env, ctx) => {
+    if (!client) {
+      client = createEdgeClient({ env, ...options });
+    }
+    try {
+      return await handler(request, env, ctx, client);
+    } finally {
+      flushWith(client, ctx);
+    }
+  };
+}
+
+module.exports = {
+  createEdgeClient,
+  flushWith,
+  withVibex,
+};
@@ -0,0 +1,241 @@
+/**
+ * Structured Error Serialization
+ * Turns Error objects into { type, message, code, stack frames, cause chain, fingerprint }
+ * instead of a raw stack string
+ */
+
+const { nodeRequire } = require('./platform');
+
+const crypto = nodeRequire('crypto');
+
+const MAX_FRAMES = 50;
+const MAX_CAUSE_DEPTH = 10;
+const FINGERPRINT_FRAMES = 5;
+
+// Error fields that get dedicated slots in the serialized form
+const BUILTIN_FIELDS = new Set(['name', 'type', 'message', 'stack', 'code', 'cause', 'errors']);
+
+// V8 stack frame formats: "at fn (file:line:col)", "at file:line:col", "at fn (native)"
+const FRAME_WITH_FUNCTION = /^\s*at (?:async )?(.*?) \((.*):(\d+):(\d+)\)\s*$/;
+const FRAME_WITHOUT_FUNCTION = /^\s*at (?:async )?(.*):(\d+):(\d+)\s*$/;
+const FRAME_NATIVE = /^\s*at (?:async )?(.*?) \((native|<anonymous>)\)\s*$/;
+
+/**
+ * Check whether a value is an Error or a plain error-like object (e.g. from pino's err serializer)
+ * @param {any} value - Value to check
+ * @returns {boolean} True if the value looks like an error
+ */
+function isErrorLike(value) {
+  if (value instanceof Error) {
+    return true;
+  }
+  return !!value && typeof value === 'object' &&
+    typeof value.message === 'string' && typeof value.stack === 'string';
+}
+
+/**
+ * Decide whether a frame belongs to the application (not node internals or dependencies)
+ * @private
+ */
+function isInApp(file) {
+  if (!file || file.startsWith('node:') || file.startsWith('internal/') || file.includes('node_modules')) {
+    return false;
+  }
+  return file.includes('/') || file.includes('\\');
+}
+
+/**
+ * Parse a V8 stack trace into frames
+ * @param {string} stack - Error stack string
+ * @returns {Array<object>} Frames [{ function, file, line, column, in_app }], innermost first
+ */
+function parseStack(stack) {
+  if (typeof stack !== 'string') {
+    return [];
+  }
+
+  const frames = [];
+  for (const line of stack.split('\n')) {
+    if (frames.length >= MAX_FRAMES) {
+      break;
+    }
+
+    let match = line.match(FRAME_WITH_FUNCTION);
+    if (match) {
+      frames.push({
+        function: match[1] || null,
+        file: match[2],
+        line: parseInt(match[3], 10),
+        column: parseInt(match[4], 10),
+        in_app: isInApp(match[2]),
+      });
+      continue;
+    }
+
+    match = line.match(FRAME_WITHOUT_FUNCTION);
+    if (match) {
+      frames.push({
+        function: null,
+        file: match[1],
+        line: parseInt(match[2], 10),
+        column: parseInt(match[3], 10),
+        in_app: isInApp(match[1]),
+      });
+      continue;
+    }
+
+    match = line.match(FRAME_NATIVE);
+    if (match) {
+      frames.push({ function: match[1] || null, file: match[2], line: null, column: null, in_app: false });
+    }
+  }
+  return frames;
+}
+
+/**
+ * Make a file path stable across machines for fingerprinting
+ * @private
+ */
+function stableFile(file) {
+  if (!file) {
+    return '';
+  }
+  const cwd = typeof process !== 'undefined' && process.cwd ? process.cwd() : '';
+  const cleaned = file.replace(/^file:\/\//, '');
+  if (cwd && cleaned.startsWith(`${cwd}/`)) {
+    return cleaned.substring(cwd.length + 1);
+  }
+  return cleaned;
+}
+
+/**
+ * Compute a grouping fingerprint from the error type and its top in-app frames
+ * Line numbers and messages are left out so the fingerprint survives unrelated edits
+ * @private
+ */
+function fingerprint(type, message, frames) {
+  const appFrames = frames.filter((frame) => frame.in_app);
+  const significant = (appFrames.length > 0 ? appFrames : frames).slice(0, FINGERPRINT_FRAMES);
+  const parts = [type];
+  if (significant.length === 0) {
+    parts.push(message);
+  }
+  for (const frame of significant) {
+    parts.push(`${frame.function || '?'}@${stableFile(frame.file)}`);
+  }
+  const text = parts.join('\n');
+  if (crypto) {
+    return crypto.createHash('sha256').update(text).digest('hex').substring(0, 16);
+  }
+  return fnv1a64(text);
+}
+
+/**
+ * 64-bit FNV-1a hash as 16 hex characters, for runtimes without node:crypto
+ * @private
+ */
+function fnv1a64(text) {
+  let hash = BigInt('0xcbf29ce484222325');
+  const prime = BigInt('0x100000001b3');
+  const mask = BigInt('0xffffffffffffffff');
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash ^ BigInt(text.charCodeAt(i))) * prime) & mask;
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Serialize an error into a structured exception object
+ * @param {Error|object} error - Error (or error-like object)
+ * @param {number} depth - Current cause depth (internal)
+ * @param {Set} seen - Errors already serialized on this chain (internal)
+ * @returns {object} { type, message, code, stack, properties, cause, errors, fingerprint }
+ */
+function serializeError(error, depth = 0, seen = new Set()) {
+  if (!error || typeof error !== 'object') {
+    return { type: 'Error', message: String(error), stack: [], fingerprint: fingerprint('Error', String(error), []) };
+  }
+
+  seen.add(error);
+  const type = (error instanceof Error ? error.name || error.constructor.name : error.type || error.name) || 'Error';
+  const message = typeof error.message === 'string' ? error.message : String(error.message || '');
+  const frames = parseStack(error.stack);
+
+  const result = { type, message };
+  if (error.code !== undefined && error.code !== null) {
+    result.code = error.code;
+  }
+  result.stack = frames;
+
+  // Custom own properties (e.g. statusCode, details)
+  const properties = {};
+  for (const key of Object.keys(error)) {
+    if (!BUILTIN_FIELDS.has(key)) {
+      properties[key] = serializeErrors(error[key], seen);
+    }
+  }
+  if (Object.keys(properties).length > 0) {
+    result.properties = properties;
+  }
+
+  // Recursive cause chain
+  const cause = error.cause;
+  if (cause !== undefined && cause !== null && depth < MAX_CAUSE_DEPTH && !seen.has(cause)) {
+    result.cause = isErrorLike(cause) ? serializeError(cause, depth + 1, seen) : { type: 'Error', message: String(cause), stack: [] };
+  }
+
+  // AggregateError children
+  if (Array.isArray(error.errors) && depth < MAX_CAUSE_DEPTH) {
+    result.errors = error.errors
+      .filter((child) => !seen.has(child))
+      .map((child) => (isErrorLike(child) ? serializeError(child, depth + 1, seen) : { type: 'Error', message: String(child), stack: [] }));
+  }
+
+  result.fingerprint = fingerprint(type, message, frames);
+  seen.delete(error);
+  return result;
+}
+
+/**
+ * Replace every Error found in a value (at any depth) with its structured form
+ * @param {any} value - Value to walk
+ * @param {Set} seen - Objects on the current path (internal, guards against cycles)
+ * @returns {any} Value with Errors serialized (plain objects and arrays are copied)
+ */
+function serializeErrors(value, seen = new Set()) {
+  if (value instanceof Error && seen.has(value)) {
+    return '[Circular]';  // e.g. err.self = err, or two errors pointing at each other
+  }
+  if (value instanceof Error) {
+    return serializeError(value, 0, seen);
+  }
+  if (!value || typeof value !== 'object' || seen.has(value)) {
+    return value;
+  }
+
+  const isArray = Array.isArray(value);
+  const proto = Object.getPrototypeOf(value);
+  if (!isArray && proto !== Object.prototype && proto !== null) {
+    return value;
+  }
+
+  seen.add(value);
+  let result;
+  if (isArray) {
+    result = value.map((item) => serializeErrors(item, seen));
+  } else {
+    result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = serializeErrors(item, seen);
+    }
+  }
+  seen.delete(value);
+  return result;
+}
+
+module.exports = {
+  isErrorLike,
+  parseStack,
+  serializeError,
+  serializeErrors,
+};
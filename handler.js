@@ -4,27 +4,79 @@
  * Phase 1.7: Updated to support hybrid JSON structure and text logs
  */
 
-const winston = require('winston');
+let winston;
+try {
+  winston = require('winston');
+} catch (error) {
+  throw new Error('VibexHandler requires winston. Install it with: npm install winston');
+}
 const VibexClient = require('./client');
 const VibexConfig = require('./config');
 const { normalizeToHybrid, normalizeLevel } = require('./normalize');
+const { isErrorLike, serializeError } = require('./errors');
+const { createTextParser } = require('./parsers');
+const { compileSchema } = require('./schema');
 
 class VibexHandler extends winston.Transport {
   /**
    * Initialize VibexHandler
    * @param {object} options - Configuration options
-   * @param {VibexConfig} options.config - Optional VibexConfig instance. If null, loads from environment.
+   * @param {VibexConfig|object} options.config - Optional VibexConfig instance or VibexConfig options. If null, loads from environment and config files.
    * @param {boolean} options.verbose - If true, print status messages to stderr when handler is initialized or errors occur.
    * @param {boolean} options.passthroughConsole - If true, always write logs to stderr in addition to sending to Vibex (default: true).
    * @param {boolean} options.passthroughOnFailure - If true, write logs to stderr when sending to Vibex fails (default: false).
+   * @param {object|boolean} options.retry - Retry policy for failed batches (see VibexClient), or false to disable retries.
+   * @param {object|string} options.spool - Disk spool options or directory path, to persist batches across crashes and restarts.
+   * @param {number} options.batchSize - Max logs per batch (default: 50).
+   * @param {number} options.batchIntervalMs - Max time to wait before sending a batch in milliseconds (default: 100).
+   * @param {number} options.maxBatchBytes - Max serialized size of a batch in bytes (default: 1 MB).
+   * @param {number} options.maxQueueSize - Max queued logs (default: 1000).
+   * @param {object} options.serialization - Per-log serialization limits: { maxDepth, maxStringLength, maxArrayLength, maxBytes } (default: 10, 16 KB, 1000, 256 KB).
+   * @param {string} options.overflowPolicy - 'drop-newest' (default), 'drop-oldest', 'drop-lowest-level' or 'block'.
+   * @param {number} options.blockTimeoutMs - Max time to wait for queue space with the 'block' policy (default: 1000).
+   * @param {object} options.transport - Network options: { timeoutMs, proxy, noProxy, ca, cert, key, pfx, passphrase, rejectUnauthorized, keepAlive, maxSockets } (default: 5000 ms timeout, proxy from HTTPS_PROXY/HTTP_PROXY/NO_PROXY).
+   * @param {object|string|boolean} options.compression - Batch compression: 'gzip', 'deflate', 'br', true (gzip) or { encoding, threshold } (default: off).
+   * @param {object|boolean} options.redact - Redaction rules applied before logs are queued, or true for all built-in detectors (default: off).
+   * @param {Array<object>} options.routes - Rules routing logs to other sessions by level, message or context (default: none).
+   * @param {boolean} options.opentelemetry - Fill trace ids from the active OpenTelemetry span (default: true when @opentelemetry/api is installed).
+   * @param {string} options.format - Wire format: 'vibex' (default) or 'otlp'.
+   * @param {object} options.otlp - OTLP endpoint options: { url, headers, resource }. The url is required with format 'otlp'.
+   * @param {object} options.sampling - Per-level sampling rates between 0 and 1, e.g. { debug: 0.1 } (default: off).
+   * @param {object|boolean} options.dedup - Send identical messages once per window plus a repeat summary: true or { windowMs, maxKeys } (default: off).
+   * @param {object|boolean} options.rateLimit - Token-bucket rate limit per level or message: true or { ratePerSec, burst, key, levels } (default: off).
+   * @param {object} options.metrics - Metrics options for client.counter()/gauge()/histogram()/timer(): { intervalMs, percentiles, maxSeries, maxSamples, tags }.
+   * @param {object} options.schema - Extraction rules for metrics and context: { metrics, context, rename, units, coerce, heuristics } (default: built-in heuristics).
+   * @param {boolean|Array} options.textParsers - Parse structured text messages (logfmt, key=value, access logs, custom regexes) into fields: true for the built-ins, or a list (default: off).
+   * @param {LogCapture} options.capture - Record logs in memory instead of sending them, for tests (see vibex-sdk/testing).
+   * @param {object|boolean} options.crashReporter - Record uncaught exceptions, unhandled rejections and warnings, and deliver them before exit (default: off).
    */
   constructor(options = {}) {
     super(options);
 
     const { config = null, verbose = false, passthroughConsole = true, passthroughOnFailure = false } = options;
-    this.client = new VibexClient(config, verbose);
+    this.client = new VibexClient(config, verbose, options);
     this.passthroughConsole = passthroughConsole;
     this.passthroughOnFailure = passthroughOnFailure;
+
+    // Invalid parser definitions only turn parsing off - text logs are still sent as-is
+    this.textParser = null;
+    try {
+      this.textParser = createTextParser(options.textParsers);
+    } catch (error) {
+      if (verbose) {
+        console.error(`⚠️  Vibex SDK: Text parsing disabled: ${error.message}`);
+      }
+    }
+
+    // An invalid schema falls back to the built-in heuristics
+    this.schema = null;
+    try {
+      this.schema = compileSchema(options.schema);
+    } catch (error) {
+      if (verbose) {
+        console.error(`⚠️  Vibex SDK: Extraction schema disabled: ${error.message}`);
+      }
+    }
   }
 
   /**
@@ -77,7 +129,11 @@ class VibexHandler extends winston.Transport {
 
       // Normalize to hybrid structure
       let hybrid;
-      if (isTextLog) {
+      const parsed = isTextLog && this.textParser ? this.textParser(message) : null;
+      if (parsed) {
+        // Structured text (logfmt, key=value, access log, ...): parsed fields become metrics and context
+        hybrid = normalizeToHybrid(parsed.message || message, level, parsed.fields, {}, this.schema);
+      } else if (isTextLog) {
         // Text log: send message as-is, level from logger
         hybrid = {
           message: message, // Text content
@@ -91,14 +147,20 @@ class VibexHandler extends winston.Transport {
           message,
           level,
           payload || {},
-          extra
+          extra,
+          this.schema
         );
       }
 
-      // Add exception info if present
-      if (info.error || info.err) {
-        const error = info.error || info.err;
+      // Add exception info if present (exc_info kept for backward compatibility)
+      const error = info.error || info.err || (isErrorLike(info) ? info : null);
+      if (error) {
         hybrid.exc_info = error.stack || error.message || String(error);
+        hybrid.exception = serializeError(error);
+        if (error === info) {
+          // Already captured in exception - don't duplicate the raw stack as a field
+          delete hybrid.stack;
+        }
       }
 
       // Track whether we should write to console
@@ -126,12 +188,14 @@ class VibexHandler extends winston.Transport {
       }
 
       // Write to console if needed
-      if (shouldWriteToConsole) {
+      // Redacted like the sent log - nothing is printed if redaction fails
+      const redacted = shouldWriteToConsole ? this.client.redact(hybrid) : null;
+      if (redacted) {
         try {
           // Format payload with timestamp for console output
           const consoleOutput = {
             timestamp: info.timestamp ? new Date(info.timestamp).getTime() : Date.now(),
-            ...hybrid
+            ...redacted
           };
           // Pretty-print JSON for elegant console output
           console.error(JSON.stringify(consoleOutput, null, 2));
@@ -140,8 +204,11 @@ class VibexHandler extends winston.Transport {
         }
       }
     } catch (error) {
-      // Fail-safe: silently ignore all errors
-      this.emit('error', error);
+      // Fail-safe: an SDK failure must never reach the logger - an 'error' event nobody listens to
+      // would crash the host process
+      if (this.client && this.client.verbose) {
+        this.client._printStatus(`⚠️  Vibex SDK: Failed to build log: ${error.message}`);
+      }
     }
 
     callback();
@@ -163,6 +230,33 @@ class VibexHandler extends winston.Transport {
     return this.client.getStatus();
   }
 
+  /**
+   * Get handler status and self-telemetry in the Prometheus text format
+   * @param {string} prefix - Metric name prefix (default: 'vibex_sdk')
+   * @returns {string} Prometheus text exposition
+   */
+  getPrometheusMetrics(prefix) {
+    return this.client.getPrometheusMetrics(prefix);
+  }
+
+  /**
+   * Send an annotation (deploy, release, feature flag change, incident or custom marker)
+   * @param {object} annotation - { title, kind, description, tags, links, time, endTime | durationMs, level }
+   * @returns {Promise<boolean>} True if the annotation was queued
+   */
+  mark(annotation) {
+    return this.client.annotate(annotation);
+  }
+
+  /**
+   * Send a deploy annotation built from CI/CD environment variables
+   * @param {object} overrides - { service, version } and annotation fields to override
+   * @returns {Promise<boolean>} True if the annotation was queued
+   */
+  markDeploy(overrides) {
+    return this.client.markDeploy(overrides);
+  }
+
   /**
    * Print current handler status to stderr
    */
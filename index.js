@@ -3,13 +3,51 @@
  * A fail-safe logging handler for sending logs to vibex.sh
  */
 
-const VibexHandler = require('./handler');
 const VibexClient = require('./client');
 const VibexConfig = require('./config');
+const { runWithContext, setContext, getContext } = require('./context');
+const { validateAnnotation, detectBuildInfo, deployAnnotationFromEnv } = require('./annotations');
+const { VibexLogger, createLogger } = require('./logger');
 
 module.exports = {
-  VibexHandler,
   VibexClient,
   VibexConfig,
+  VibexLogger,
+  createLogger,
+  runWithContext,
+  setContext,
+  getContext,
+  validateAnnotation,
+  detectBuildInfo,
+  deployAnnotationFromEnv,
 };
 
+/**
+ * Load the Winston handler, or a stand-in that throws when constructed if winston is not installed
+ * Reading the export must never throw - spread, Object.assign and ESM interop read every property
+ * @private
+ */
+function loadHandler() {
+  try {
+    return require('./handler');
+  } catch (error) {
+    return class VibexHandler {
+      constructor() {
+        throw new Error(`VibexHandler needs winston (npm install winston): ${error.message}`);
+      }
+    };
+  }
+}
+
+// Winston is an optional peer dependency - only load the handler when it is used
+let VibexHandler = null;
+Object.defineProperty(module.exports, 'VibexHandler', {
+  enumerable: true,
+  get: () => {
+    if (!VibexHandler) {
+      VibexHandler = loadHandler();
+    }
+    return VibexHandler;
+  },
+});
+
@@ -0,0 +1,330 @@
+/**
+ * Standalone Logger
+ * A small leveled logger on top of VibexClient for services and scripts that don't use Winston or Pino:
+ *
+ *   const logger = createLogger({ level: 'info', bindings: { service: 'billing' } });
+ *   const log = logger.child({ request_id: 'r-42' });
+ *   log.info('charged %s in %dms', customer, 87, { amount: 19.99 });
+ */
+
+const VibexClient = require('./client');
+const { normalizeToHybrid, normalizeLevel } = require('./normalize');
+const { isErrorLike, serializeError } = require('./errors');
+const { compileSchema } = require('./schema');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const LEVEL_PRIORITY = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+
+/**
+ * Resolve a level threshold ('silent' turns logging off)
+ * @private
+ */
+function resolveThreshold(level) {
+  if (level === undefined || level === null) {
+    return 'info';
+  }
+  if (String(level).toLowerCase() === 'silent') {
+    return 'silent';
+  }
+  return normalizeLevel(level);
+}
+
+/**
+ * Check for a plain object (fields), as opposed to arrays, errors, dates and class instances
+ * @private
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || isErrorLike(value)) {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Render one value for a message
+ * @private
+ */
+function stringify(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return value.message;
+  }
+  if (value && typeof value === 'object') {
+    try {
+      return JSON.stringify(value);
+    } catch (e) {
+      return '[Circular]';
+    }
+  }
+  return String(value);
+}
+
+/**
+ * printf-style interpolation: %s string, %d/%i integer or number, %f float, %j/%o/%O JSON, %% a literal %
+ * @param {string} format - Format string
+ * @param {Array} args - Values for the placeholders
+ * @returns {object} { message, rest } - formatted message and the arguments no placeholder used
+ */
+function formatMessage(format, args) {
+  let index = 0;
+  const message = String(format).replace(/%([sdifjoO%])/g, (match, specifier) => {
+    if (specifier === '%') {
+      return '%';
+    }
+    if (index >= args.length) {
+      return match;
+    }
+    const value = args[index++];
+    switch (specifier) {
+      case 'd':
+        return typeof value === 'bigint' ? `${value}` : String(Number(value));
+      case 'i':
+        return typeof value === 'bigint' ? `${value}` : String(parseInt(value, 10));
+      case 'f':
+        return String(parseFloat(value));
+      case 'j':
+      case 'o':
+      case 'O':
+        try {
+          return JSON.stringify(value);
+        } catch (e) {
+          return '[Circular]';
+        }
+      default:
+        return stringify(value);
+    }
+  });
+  return { message, rest: args.slice(index) };
+}
+
+class VibexLogger {
+  /**
+   * Create a logger - use createLogger() instead of calling this directly
+   * @param {VibexClient} client - Client shared by the logger and its children
+   * @param {object} settings - Shared settings { passthroughConsole, passthroughOnFailure, schema }
+   * @param {object} bindings - Fields merged into the context of every log
+   * @param {string} level - Minimum level to send ('debug', 'info', 'warn', 'error' or 'silent')
+   */
+  constructor(client, settings, bindings, level) {
+    this.client = client;
+    this._settings = settings;
+    this.bindings = { ...(bindings || {}) };
+    this.level = level;
+  }
+
+  /**
+   * Minimum level to send ('debug', 'info', 'warn', 'error' or 'silent')
+   */
+  get level() {
+    return this._level;
+  }
+
+  set level(level) {
+    this._level = resolveThreshold(level);
+  }
+
+  /**
+   * Check whether logs of a level would be sent
+   * @param {string} level - Log level
+   * @returns {boolean} True if enabled
+   */
+  isLevelEnabled(level) {
+    return LEVEL_PRIORITY[normalizeLevel(level)] >= LEVEL_PRIORITY[this._level];
+  }
+
+  /**
+   * Create a child logger whose bindings are merged into the context of every log
+   * @param {object} bindings - Context fields, e.g. { request_id, user_id }
+   * @param {object} options - { level } to override the parent's level
+   * @returns {VibexLogger} Child logger sharing this logger's client
+   */
+  child(bindings = {}, options = {}) {
+    const level = options && options.level !== undefined ? options.level : this._level;
+    return new VibexLogger(this.client, this._settings, { ...this.bindings, ...(bindings || {}) }, level);
+  }
+
+  /**
+   * Log at a level
+   * Arguments: an optional fields object or Error first, then a printf-style message and its values.
+   * Values left over after interpolation are merged in if they are objects (Errors become the exception)
+   * and appended to the message otherwise.
+   * @param {string} level - Log level
+   * @param {...any} args - ([fields|error], message, ...values)
+   */
+  log(level, ...args) {
+    const normalizedLevel = normalizeLevel(level);
+    if (!this.isLevelEnabled(normalizedLevel)) {
+      return;
+    }
+    try {
+      this._write(this._buildLog(normalizedLevel, args));
+    } catch (error) {
+      // Fail-safe: logging must never throw into the application
+      if (this.client.verbose) {
+        this.client._printStatus(`⚠️  Vibex SDK: Failed to build log: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Send an annotation (see VibexClient#annotate)
+   * @param {object} annotation - { title, kind, description, tags, links, time, endTime | durationMs, level }
+   * @returns {Promise<boolean>} True if the annotation was queued
+   */
+  mark(annotation) {
+    if (!annotation || typeof annotation !== 'object') {
+      return this.client.annotate(annotation);
+    }
+    // Scalar bindings become tags, so a child logger's markers carry e.g. its service name
+    const tags = {};
+    for (const [key, value] of Object.entries(this.bindings)) {
+      if (['string', 'number', 'boolean'].includes(typeof value)) {
+        tags[key] = value;
+      }
+    }
+    return this.client.annotate({ ...annotation, tags: { ...tags, ...(annotation.tags || {}) } });
+  }
+
+  /**
+   * Send all queued logs and stop the client (for the end of a script)
+   * @returns {Promise<void>} Resolves once queued logs are delivered
+   */
+  flush() {
+    return this.client.flush();
+  }
+
+  /**
+   * Build the hybrid log for a call
+   * @private
+   */
+  _buildLog(level, args) {
+    const fields = {};
+    let error = null;
+
+    const remaining = args.slice();
+    const take = (value) => {
+      if (isErrorLike(value)) {
+        error = error || value;
+      } else {
+        Object.assign(fields, value);
+      }
+    };
+    if (remaining.length > 0 && (isPlainObject(remaining[0]) || isErrorLike(remaining[0]))) {
+      take(remaining.shift());
+    }
+
+    let message = null;
+    if (remaining.length > 0) {
+      const first = remaining.shift();
+      const { message: formatted, rest } = typeof first === 'string'
+        ? formatMessage(first, remaining)
+        : { message: stringify(first), rest: remaining };
+      const extra = [];
+      for (const value of rest) {
+        if (isPlainObject(value) || isErrorLike(value)) {
+          take(value);
+        } else {
+          extra.push(stringify(value));
+        }
+      }
+      message = [formatted, ...extra].join(' ');
+    }
+    if (message === null && error) {
+      message = error.message || String(error);
+    }
+
+    const hybrid = normalizeToHybrid(message, level, fields, {}, this._settings.schema);
+    hybrid.context = { ...this.bindings, ...hybrid.context };
+
+    // Add exception info if present (exc_info kept for backward compatibility, like the Winston handler)
+    if (error) {
+      hybrid.exc_info = error.stack || error.message || String(error);
+      hybrid.exception = serializeError(error);
+    }
+    return hybrid;
+  }
+
+  /**
+   * Send a log and write it to the console if configured
+   * @private
+   */
+  async _write(hybrid) {
+    const timestamp = Date.now();
+    let shouldWriteToConsole = this._settings.passthroughConsole;
+
+    if (this.client.isEnabled()) {
+      try {
+        const sent = await this.client.sendLog('json', hybrid, timestamp);
+        if (this._settings.passthroughOnFailure && !sent) {
+          shouldWriteToConsole = true;
+        }
+      } catch (error) {
+        if (this._settings.passthroughOnFailure) {
+          shouldWriteToConsole = true;
+        }
+      }
+    } else if (this._settings.passthroughOnFailure) {
+      shouldWriteToConsole = true;
+    }
+
+    // Redacted like the sent log - nothing is printed if redaction fails
+    const redacted = shouldWriteToConsole ? this.client.redact(hybrid) : null;
+    if (redacted) {
+      try {
+        console.error(JSON.stringify({ timestamp, ...redacted }, null, 2));
+      } catch (error) {
+        // Fail-safe: silently ignore console write errors
+      }
+    }
+  }
+}
+
+for (const level of LEVELS) {
+  /**
+   * Log at this level - see log()
+   * @param {...any} args - ([fields|error], message, ...values)
+   */
+  VibexLogger.prototype[level] = function (...args) {
+    this.log(level, ...args);
+  };
+}
+
+/**
+ * Create a standalone logger
+ * @param {object} options - Client options (see VibexClient), plus:
+ * @param {VibexClient} options.client - Existing client to log through (default: a new client from the options below)
+ * @param {VibexConfig|object} options.config - VibexConfig instance or options. If null, loads from environment and config files.
+ * @param {boolean} options.verbose - If true, print status messages to stderr
+ * @param {string} options.level - Minimum level to send: 'debug', 'info' (default), 'warn', 'error' or 'silent'
+ * @param {object} options.bindings - Fields merged into the context of every log, e.g. { service: 'billing' }
+ * @param {boolean} options.passthroughConsole - If true, also write every log to stderr (default: false)
+ * @param {boolean} options.passthroughOnFailure - If true, write logs to stderr when sending to Vibex fails (default: false)
+ * @param {object} options.schema - Extraction rules for metrics and context (see schema.js). Invalid rules throw.
+ * @returns {VibexLogger} Logger with debug(), info(), warn(), error(), log(), child(), mark() and flush()
+ */
+function createLogger(options = {}) {
+  const {
+    client = null,
+    config = null,
+    verbose = false,
+    level = 'info',
+    bindings = {},
+    passthroughConsole = false,
+    passthroughOnFailure = false,
+    schema = null,
+    ...clientOptions
+  } = options || {};
+
+  const compiledSchema = compileSchema(schema);
+  const vibexClient = client || new VibexClient(config, verbose, clientOptions);
+  return new VibexLogger(vibexClient, { passthroughConsole, passthroughOnFailure, schema: compiledSchema }, bindings, level);
+}
+
+module.exports = {
+  VibexLogger,
+  createLogger,
+  formatMessage,
+};
@@ -0,0 +1,352 @@
+/**
+ * Client-Side Metrics
+ * Counters, gauges, histograms and timers aggregated in-process and flushed on an interval
+ * as summary logs, one per tag set, with the values in hybrid.metrics and the tags in hybrid.context
+ */
+
+const { now } = require('./platform');
+
+const DEFAULT_METRICS_OPTIONS = {
+  intervalMs: 10000,  // How often aggregated metrics are emitted
+  percentiles: [50, 90, 95, 99],  // Percentiles reported for histograms and timers
+  maxSeries: 1000,  // Max distinct (name, tags) series per interval - protects against tag cardinality blowups
+  maxSamples: 1024,  // Max values kept per histogram series for percentiles (reservoir sampled beyond that)
+  gaugeTtlMs: 300000,  // Gauges not set for this long stop being reported and free their series
+  tags: {},  // Tags added to every series
+};
+
+const INSTRUMENT_TYPES = ['counter', 'gauge', 'histogram', 'timer'];
+
+/**
+ * Build a stable key for a tag set
+ * @private
+ */
+function tagsKey(tags) {
+  return Object.keys(tags).sort().map((key) => `${key}=${tags[key]}`).join(',');
+}
+
+/**
+ * Keep only tag values that make sense as context fields
+ * @private
+ */
+function cleanTags(tags) {
+  const cleaned = {};
+  if (!tags || typeof tags !== 'object') {
+    return cleaned;
+  }
+  for (const [key, value] of Object.entries(tags)) {
+    if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+      cleaned[key] = value;
+    }
+  }
+  return cleaned;
+}
+
+/**
+ * Compute a percentile from sorted values (nearest rank)
+ * @private
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+class Instrument {
+  /**
+   * @param {MetricsRegistry} registry - Registry that aggregates this instrument's values
+   * @param {string} type - 'counter', 'gauge', 'histogram' or 'timer'
+   * @param {string} name - Metric name (used as the key in hybrid.metrics)
+   */
+  constructor(registry, type, name) {
+    this.registry = registry;
+    this.type = type;
+    this.name = name;
+  }
+}
+
+class Counter extends Instrument {
+  /**
+   * Increment the counter
+   * @param {number} value - Amount to add (default: 1)
+   * @param {object} tags - Tags for this series
+   */
+  add(value = 1, tags = {}) {
+    this.registry._record(this, value, tags);
+  }
+}
+
+class Gauge extends Instrument {
+  /**
+   * Set the current value; the last value is reported every interval
+   * @param {number} value - Current value
+   * @param {object} tags - Tags for this series
+   */
+  set(value, tags = {}) {
+    this.registry._record(this, value, tags);
+  }
+}
+
+class Histogram extends Instrument {
+  /**
+   * Record one measurement
+   * @param {number} value - Measured value
+   * @param {object} tags - Tags for this series
+   */
+  record(value, tags = {}) {
+    this.registry._record(this, value, tags);
+  }
+}
+
+class Timer extends Histogram {
+  /**
+   * Start timing; call the returned function to record the elapsed milliseconds
+   * @param {object} tags - Tags for this series
+   * @returns {Function} stop(extraTags) - Records and returns the duration in milliseconds
+   */
+  start(tags = {}) {
+    const started = now();
+    return (extraTags = {}) => {
+      const ms = now() - started;
+      this.record(ms, { ...tags, ...extraTags });
+      return ms;
+    };
+  }
+
+  /**
+   * Time a function call (sync or async); the duration is recorded even if it throws
+   * @param {Function} fn - Function to time
+   * @param {object} tags - Tags for this series
+   * @returns {any} Return value of fn (a Promise for async functions)
+   */
+  time(fn, tags = {}) {
+    const stop = this.start(tags);
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      stop();
+      throw error;
+    }
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        (value) => {
+          stop();
+          return value;
+        },
+        (error) => {
+          stop();
+          throw error;
+        }
+      );
+    }
+    stop();
+    return result;
+  }
+}
+
+const INSTRUMENT_CLASSES = { counter: Counter, gauge: Gauge, histogram: Histogram, timer: Timer };
+
+class MetricsRegistry {
+  /**
+   * Initialize MetricsRegistry
+   * @param {Function} emit - Called with each summary log payload (hybrid structure)
+   * @param {object} options - Metrics options
+   * @param {number} options.intervalMs - Flush interval in milliseconds (default: 10000)
+   * @param {number[]} options.percentiles - Percentiles for histograms and timers (default: [50, 90, 95, 99])
+   * @param {number} options.maxSeries - Max distinct series per interval; new series beyond it are dropped (default: 1000)
+   * @param {number} options.maxSamples - Max values kept per histogram series for percentiles (default: 1024)
+   * @param {number} options.gaugeTtlMs - Stop reporting a gauge this long after it was last set (default: 300000)
+   * @param {object} options.tags - Tags added to every series
+   */
+  constructor(emit, options = {}) {
+    this.options = { ...DEFAULT_METRICS_OPTIONS, ...(options || {}) };
+    this._emit = emit;
+    this._instruments = new Map();  // Name -> instrument
+    this._series = new Map();  // `${name}|${tagsKey}` -> aggregation state
+    this._droppedSeries = 0;
+    this._timer = null;
+  }
+
+  /**
+   * Get (or create) an instrument
+   * @param {string} type - 'counter', 'gauge', 'histogram' or 'timer'
+   * @param {string} name - Metric name
+   * @returns {Instrument} The instrument
+   */
+  instrument(type, name) {
+    if (!INSTRUMENT_TYPES.includes(type)) {
+      throw new Error(`Unknown metric type "${type}"`);
+    }
+    if (!name || typeof name !== 'string') {
+      throw new Error('Metric name must be a non-empty string');
+    }
+
+    const existing = this._instruments.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric "${name}" is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const instrument = new INSTRUMENT_CLASSES[type](this, type, name);
+    this._instruments.set(name, instrument);
+    return instrument;
+  }
+
+  /**
+   * Aggregate one value
+   * @private
+   */
+  _record(instrument, value, tags) {
+    const num = Number(value);
+    if (typeof value === 'boolean' || !isFinite(num)) {
+      return;
+    }
+
+    const seriesTags = { ...this.options.tags, ...cleanTags(tags) };
+    const key = `${instrument.name}|${tagsKey(seriesTags)}`;
+    let series = this._series.get(key);
+    if (!series) {
+      if (this._series.size >= this.options.maxSeries) {
+        this._droppedSeries += 1;
+        return;
+      }
+      series = { instrument, tags: seriesTags, count: 0, sum: 0, min: Infinity, max: -Infinity, last: null, samples: [], updatedAt: 0 };
+      this._series.set(key, series);
+    }
+
+    series.count += 1;
+    series.sum += num;
+    series.min = Math.min(series.min, num);
+    series.max = Math.max(series.max, num);
+    series.last = num;
+    series.updatedAt = now();
+
+    if (instrument.type === 'histogram' || instrument.type === 'timer') {
+      // Reservoir sampling keeps percentiles representative without unbounded memory
+      if (series.samples.length < this.options.maxSamples) {
+        series.samples.push(num);
+      } else {
+        const index = Math.floor(Math.random() * series.count);
+        if (index < this.options.maxSamples) {
+          series.samples[index] = num;
+        }
+      }
+    }
+
+    this._ensureTimer();
+  }
+
+  /**
+   * Start the flush interval on first use
+   * @private
+   */
+  _ensureTimer() {
+    if (this._timer) {
+      return;
+    }
+    this._timer = setInterval(() => this.flush(), this.options.intervalMs);
+    // Metrics alone must never keep the process alive
+    if (this._timer.unref) {
+      this._timer.unref();
+    }
+  }
+
+  /**
+   * Summarize one series into metric values
+   * @private
+   */
+  _summarize(series) {
+    const { name, type } = series.instrument;
+    if (type === 'counter') {
+      return { [name]: series.sum };
+    }
+    if (type === 'gauge') {
+      return { [name]: series.last };
+    }
+
+    const values = {
+      [`${name}.count`]: series.count,
+      [`${name}.sum`]: series.sum,
+      [`${name}.min`]: series.min,
+      [`${name}.max`]: series.max,
+      [`${name}.avg`]: series.sum / series.count,
+    };
+    const sorted = series.samples.slice().sort((a, b) => a - b);
+    for (const p of this.options.percentiles) {
+      values[`${name}.p${p}`] = percentile(sorted, p);
+    }
+    return values;
+  }
+
+  /**
+   * Emit aggregated metrics as summary logs (one per tag set) and start a new interval
+   * Counters and histograms reset every interval; gauges keep reporting their last value until gaugeTtlMs passes without a new one
+   * @returns {number} Number of summary logs emitted
+   */
+  flush() {
+    const flushedAt = now();
+    const groups = new Map();
+    for (const [key, series] of this._series) {
+      if (series.instrument.type === 'gauge' && flushedAt - series.updatedAt >= this.options.gaugeTtlMs) {
+        // A stale gauge (e.g. for a tag value that no longer occurs) would hold a series slot forever
+        this._series.delete(key);
+        continue;
+      }
+      const groupKey = tagsKey(series.tags);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { tags: series.tags, metrics: {} });
+      }
+      Object.assign(groups.get(groupKey).metrics, this._summarize(series));
+
+      // Gauges keep their last value and report it again next interval
+      if (series.instrument.type !== 'gauge') {
+        this._series.delete(key);
+      }
+    }
+
+    for (const { tags, metrics } of groups.values()) {
+      this._emit({
+        message: 'metrics',
+        level: 'info',
+        metrics,
+        context: { ...tags, metrics_interval_ms: this.options.intervalMs },
+      });
+    }
+
+    if (this._droppedSeries > 0) {
+      this._emit({
+        message: `metrics: dropped ${this._droppedSeries} values for new series beyond maxSeries (${this.options.maxSeries})`,
+        level: 'warn',
+        metrics: { 'vibex.metrics.dropped_series': this._droppedSeries },
+        context: { ...this.options.tags },
+      });
+      this._droppedSeries = 0;
+    }
+
+    return groups.size;
+  }
+
+  /**
+   * Stop the flush interval
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_METRICS_OPTIONS,
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  Timer,
+};
@@ -3,6 +3,9 @@
  * Intelligently transforms log records into hybrid JSON structure
  */
 
+const { serializeErrors } = require('./errors');
+const { compileSchema, applySchema, unitsFor } = require('./schema');
+
 /**
  * Normalize log level from various formats
  */
@@ -30,10 +33,28 @@ function normalizeLevel(level) {
   return 'debug'; // Default
 }
 
+// Top-level fields recognized as context, with their normalized names
+const KNOWN_CONTEXT_FIELDS = {
+  'trace_id': 'trace_id',
+  'traceId': 'trace_id',
+  'user_id': 'user_id',
+  'userId': 'user_id',
+  'request_id': 'request_id',
+  'requestId': 'request_id',
+  'correlation_id': 'correlation_id',
+  'correlationId': 'correlation_id',
+  'span_id': 'span_id',
+  'spanId': 'span_id',
+  'session_id': 'session_id',
+  'sessionId': 'session_id',
+};
+
 /**
  * Extract metrics from payload (predictive)
+ * @param {object} payload - Log payload
+ * @param {boolean} heuristics - If false, only an explicit `metrics` object is used
  */
-function extractMetrics(payload) {
+function extractMetrics(payload, heuristics = true) {
   const metrics = {};
   
   if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
@@ -49,6 +70,9 @@ function extractMetrics(payload) {
     }
     return metrics;
   }
+  if (!heuristics) {
+    return metrics;
+  }
   
   // Otherwise, predict from top-level numeric fields
   const knownContextFields = new Set([
@@ -87,8 +111,10 @@ function extractMetrics(payload) {
 
 /**
  * Extract context from payload (predictive)
+ * @param {object} payload - Log payload
+ * @param {boolean} heuristics - If false, only an explicit `context` object is used
  */
-function extractContext(payload) {
+function extractContext(payload, heuristics = true) {
   const context = {};
   
   if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
@@ -99,24 +125,12 @@ function extractContext(payload) {
   if (payload.context && typeof payload.context === 'object' && !Array.isArray(payload.context)) {
     return payload.context;
   }
+  if (!heuristics) {
+    return context;
+  }
   
   // Otherwise, predict from known context fields
-  const knownContextFields = {
-    'trace_id': 'trace_id',
-    'traceId': 'trace_id',
-    'user_id': 'user_id',
-    'userId': 'user_id',
-    'request_id': 'request_id',
-    'requestId': 'request_id',
-    'correlation_id': 'correlation_id',
-    'correlationId': 'correlation_id',
-    'span_id': 'span_id',
-    'spanId': 'span_id',
-    'session_id': 'session_id',
-    'sessionId': 'session_id',
-  };
-  
-  for (const [field, normalizedKey] of Object.entries(knownContextFields)) {
+  for (const [field, normalizedKey] of Object.entries(KNOWN_CONTEXT_FIELDS)) {
     if (payload[field] !== undefined) {
       context[normalizedKey] = payload[field];
     }
@@ -127,10 +141,15 @@ function extractContext(payload) {
 
 /**
  * Normalize log record to hybrid JSON structure
+ * @param {string} message - Log message (falls back to payload.message / payload.msg)
+ * @param {string} level - Log level (falls back to payload.level / severity / log_level)
+ * @param {object} payload - Log fields
+ * @param {object} extra - Additional fields merged over the payload
+ * @param {object} schema - Extraction schema options or compiled schema (see schema.js). Default: built-in heuristics only.
  */
-function normalizeToHybrid(message, level, payload, extra = {}) {
-  // Merge payload and extra
-  const merged = { ...(payload || {}), ...(extra || {}) };
+function normalizeToHybrid(message, level, payload, extra = {}, schema = null) {
+  // Merge payload and extra (Errors anywhere inside become structured exception objects)
+  const merged = serializeErrors({ ...(payload || {}), ...(extra || {}) });
   
   // Extract message
   let normalizedMessage = message;
@@ -145,11 +164,27 @@ function normalizeToHybrid(message, level, payload, extra = {}) {
   // Extract and normalize level
   const normalizedLevel = normalizeLevel(level || merged.level || merged.severity || merged.log_level);
   
-  // Extract metrics
-  const metrics = extractMetrics(merged);
-  
-  // Extract context
-  const context = extractContext(merged);
+  // Extract metrics and context - schema rules win over the heuristics
+  const compiled = compileSchema(schema);
+  let metrics = extractMetrics(merged, !compiled || compiled.heuristics);
+  let context = extractContext(merged, !compiled || compiled.heuristics);
+  let units = null;
+  if (compiled) {
+    const extracted = applySchema(merged, compiled);
+    if (!merged.metrics) {
+      for (const key of extracted.claimed.context) {
+        delete metrics[key];
+      }
+    }
+    if (!merged.context) {
+      for (const key of extracted.claimed.metrics) {
+        delete context[KNOWN_CONTEXT_FIELDS[key] || key];
+      }
+    }
+    metrics = { ...metrics, ...extracted.metrics };
+    context = { ...context, ...extracted.context };
+    units = unitsFor(metrics, compiled);
+  }
   
   // Extract annotation if present
   const annotation = merged._annotation;
@@ -165,11 +200,14 @@ function normalizeToHybrid(message, level, payload, extra = {}) {
   if (annotation) {
     hybrid._annotation = annotation;
   }
+  if (units) {
+    hybrid._units = units;
+  }
   
   // Preserve original payload fields that aren't in hybrid structure
   // This allows backward compatibility
   for (const [key, value] of Object.entries(merged)) {
-    if (!['message', 'msg', 'level', 'severity', 'log_level', 'metrics', 'context', '_annotation'].includes(key)) {
+    if (!['message', 'msg', 'level', 'severity', 'log_level', 'metrics', 'context', '_annotation', '_units'].includes(key)) {
       if (!(key in hybrid)) {
         hybrid[key] = value;
       }
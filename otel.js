@@ -0,0 +1,217 @@
+/**
+ * OpenTelemetry Integration
+ * Trace correlation from the active span, and OTLP/HTTP JSON encoding of log batches
+ */
+
+const { version } = require('./package.json');
+
+// OTLP severity numbers for each Vibex level
+const SEVERITY_NUMBERS = { debug: 5, info: 9, warn: 13, error: 17 };
+
+// Hybrid fields that are mapped to LogRecord fields rather than attributes
+const RECORD_FIELDS = new Set(['message', 'level', 'metrics', 'context', 'exc_info']);
+// Context fields that are mapped to LogRecord trace fields when they hold valid ids
+const TRACE_FIELDS = new Map([['trace_id', 'traceId'], ['span_id', 'spanId'], ['trace_flags', 'flags']]);
+
+let otelApi;
+
+/**
+ * Load @opentelemetry/api if it is installed
+ * @returns {object|null} The OpenTelemetry API, or null
+ * @private
+ */
+function loadOtelApi() {
+  if (otelApi === undefined) {
+    try {
+      otelApi = require('@opentelemetry/api');
+    } catch (e) {
+      otelApi = null;
+    }
+  }
+  return otelApi;
+}
+
+/**
+ * Get ids of the currently active span
+ * @returns {object|null} { trace_id, span_id, trace_flags }, or null without an active (valid) span
+ */
+function getActiveSpanContext() {
+  const api = loadOtelApi();
+  if (!api || !api.trace || !api.context) {
+    return null;
+  }
+  try {
+    const span = api.trace.getSpan(api.context.active());
+    const spanContext = span && span.spanContext();
+    if (!spanContext || (api.isSpanContextValid && !api.isSpanContextValid(spanContext))) {
+      return null;
+    }
+    return {
+      trace_id: spanContext.traceId,
+      span_id: spanContext.spanId,
+      trace_flags: spanContext.traceFlags,
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Fill context.trace_id, span_id and trace_flags from the active span
+ * Ids already present in the payload's context win
+ * @param {any} payload - Log payload (text payloads are returned unchanged)
+ * @returns {any} Payload with trace ids (a copy if anything was added)
+ */
+function applyTraceContext(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return payload;
+  }
+  const spanContext = getActiveSpanContext();
+  if (!spanContext) {
+    return payload;
+  }
+  const explicit = payload.context && typeof payload.context === 'object' && !Array.isArray(payload.context)
+    ? payload.context
+    : {};
+  return {
+    ...payload,
+    context: { ...spanContext, ...explicit },
+  };
+}
+
+/**
+ * Convert a JavaScript value to an OTLP AnyValue
+ * @private
+ */
+function toAnyValue(value) {
+  if (value === null || value === undefined) {
+    return {};
+  }
+  if (typeof value === 'string') {
+    return { stringValue: value };
+  }
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === 'bigint') {
+    return { intValue: value.toString() };
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toAnyValue) } };
+  }
+  if (typeof value === 'object') {
+    return { kvlistValue: { values: toAttributes(value) } };
+  }
+  return { stringValue: String(value) };
+}
+
+/**
+ * Convert an object to OTLP KeyValue attributes
+ * @private
+ */
+function toAttributes(obj, prefix = '') {
+  return Object.entries(obj || {}).map(([key, value]) => ({
+    key: `${prefix}${key}`,
+    value: toAnyValue(value),
+  }));
+}
+
+/**
+ * Get the LogRecord trace fields for the valid trace ids in a log's context
+ * @private
+ */
+function toTraceFields(context) {
+  const fields = {};
+  if (typeof context.trace_id === 'string' && /^[0-9a-f]{32}$/i.test(context.trace_id)) {
+    fields.traceId = context.trace_id.toLowerCase();
+  }
+  if (typeof context.span_id === 'string' && /^[0-9a-f]{16}$/i.test(context.span_id)) {
+    fields.spanId = context.span_id.toLowerCase();
+  }
+  if (Number.isInteger(context.trace_flags) && context.trace_flags >= 0 && context.trace_flags <= 0xff) {
+    fields.flags = context.trace_flags;
+  }
+  return fields;
+}
+
+/**
+ * Convert one queued log entry to an OTLP LogRecord
+ * @param {Array} entry - Log entry [logType, payload, timestamp]
+ * @returns {object} OTLP LogRecord (JSON encoding)
+ */
+function toLogRecord([logType, payload, timestamp]) {
+  const isObject = payload && typeof payload === 'object' && !Array.isArray(payload);
+  const level = isObject && SEVERITY_NUMBERS[payload.level] ? payload.level : 'info';
+  const timeUnixNano = `${Math.floor(timestamp)}000000`;
+
+  const record = {
+    timeUnixNano,
+    observedTimeUnixNano: timeUnixNano,
+    severityNumber: SEVERITY_NUMBERS[level],
+    severityText: level.toUpperCase(),
+  };
+
+  if (!isObject) {
+    record.body = toAnyValue(logType === 'text' ? String(payload) : payload);
+    record.attributes = [];
+    return record;
+  }
+
+  record.body = toAnyValue(payload.message !== undefined ? payload.message : null);
+
+  const context = payload.context && typeof payload.context === 'object' ? payload.context : {};
+  const traceFields = toTraceFields(context);
+  const attributes = [];
+  for (const [key, value] of Object.entries(context)) {
+    // Trace ids that are not valid OTLP ids stay attributes rather than being lost
+    if (!TRACE_FIELDS.has(key) || traceFields[TRACE_FIELDS.get(key)] === undefined) {
+      attributes.push({ key, value: toAnyValue(value) });
+    }
+  }
+  attributes.push(...toAttributes(payload.metrics, 'metrics.'));
+  for (const [key, value] of Object.entries(payload)) {
+    if (!RECORD_FIELDS.has(key)) {
+      attributes.push({ key, value: toAnyValue(value) });
+    }
+  }
+  if (payload.exc_info) {
+    attributes.push({ key: 'exception.stacktrace', value: toAnyValue(String(payload.exc_info)) });
+  }
+  record.attributes = attributes;
+  Object.assign(record, traceFields);
+
+  return record;
+}
+
+/**
+ * Encode a batch as an OTLP/HTTP JSON ExportLogsServiceRequest
+ * @param {Array} batch - Log entries [logType, payload, timestamp]
+ * @param {object} resource - Resource attributes (e.g. { 'service.name': 'api', 'vibex.session_id': '...' })
+ * @returns {object} Request body
+ */
+function encodeOtlpLogs(batch, resource = {}) {
+  return {
+    resourceLogs: [
+      {
+        resource: { attributes: toAttributes(resource) },
+        scopeLogs: [
+          {
+            scope: { name: 'vibex-sdk', version },
+            logRecords: batch.map(toLogRecord),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+module.exports = {
+  SEVERITY_NUMBERS,
+  getActiveSpanContext,
+  applyTraceContext,
+  toLogRecord,
+  encodeOtlpLogs,
+};
@@ -0,0 +1,289 @@
+/**
+ * Text Parsers
+ * Recognize structured text lines (logfmt, key=value pairs, access logs, custom regexes)
+ * and turn them into fields for normalizeToHybrid
+ */
+
+// key=value pair: key, then a quoted or bare value
+const PAIR_PATTERN = /([A-Za-z_][\w.-]*)=("(?:[^"\\]|\\.)*"|[^\s"]*)/g;
+// logfmt token: bare values can't contain "=", so `a==b` or an unquoted URL with a query string is free text
+const LOGFMT_TOKEN_PATTERN = /\s*([A-Za-z_][\w.-]*)=("(?:[^"\\]|\\.)*"|[^\s"=]*)(?=\s|$)/y;
+
+// NCSA common / combined log format, optionally followed by a request time in seconds (nginx $request_time)
+const ACCESS_LOG_PATTERN = new RegExp(
+  '^(\\S+) (\\S+) (\\S+) \\[([^\\]]+)\\] "(\\S+) (\\S+)(?: (\\S+))?" (\\d{3}) (\\d+|-)' +
+  '(?: "([^"]*)" "([^"]*)")?(?: (\\d+(?:\\.\\d+)?))?\\s*$'
+);
+
+const MESSAGE_KEYS = ['msg', 'message'];
+const LEVEL_KEYS = ['level', 'lvl', 'severity'];
+
+/**
+ * Convert numeric and boolean strings to numbers and booleans
+ * @param {string} value - Raw value
+ * @returns {string|number|boolean|null} Coerced value
+ */
+function coerceValue(value) {
+  if (value === 'true') {
+    return true;
+  }
+  if (value === 'false') {
+    return false;
+  }
+  if (value === '' || value === 'null') {
+    return null;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    const num = Number(value);
+    if (Number.isSafeInteger(num) || !Number.isInteger(num)) {
+      return num;
+    }
+  }
+  return value;
+}
+
+/**
+ * Remove quotes and escapes from a logfmt value
+ * @private
+ */
+function unquote(value) {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return value;
+}
+
+/**
+ * Move msg/level fields out of parsed fields
+ * @private
+ */
+function splitMessageAndLevel(fields) {
+  let message = null;
+  let level = null;
+  for (const key of MESSAGE_KEYS) {
+    if (fields[key] !== undefined && message === null) {
+      message = String(fields[key]);
+      delete fields[key];
+    }
+  }
+  for (const key of LEVEL_KEYS) {
+    if (fields[key] !== undefined && level === null) {
+      level = String(fields[key]);
+      delete fields[key];
+    }
+  }
+  return { message, level, fields };
+}
+
+/**
+ * Parse a logfmt line made only of key=value tokens, e.g. `level=info msg="user login" latency_ms=42`
+ * @param {string} line - Text line
+ * @returns {object|null} { message, level, fields }, or null if the line isn't logfmt
+ */
+function parseLogfmt(line) {
+  const text = line.trim();
+  if (!text.includes('=')) {
+    return null;
+  }
+
+  // Every token must be key=value, otherwise it's free text (see parseKeyValue)
+  const fields = {};
+  const pattern = new RegExp(LOGFMT_TOKEN_PATTERN);
+  while (pattern.lastIndex < text.length) {
+    const match = pattern.exec(text);
+    if (!match) {
+      return null;
+    }
+    fields[match[1]] = coerceValue(unquote(match[2]));
+  }
+  return splitMessageAndLevel(fields);
+}
+
+/**
+ * Parse key=value pairs embedded in free text, e.g. `user login ok user_id=5 latency_ms=42`
+ * The text outside the pairs becomes the message
+ * @param {string} line - Text line
+ * @returns {object|null} { message, level, fields }, or null if the line has no pairs
+ */
+function parseKeyValue(line) {
+  const fields = {};
+  let found = false;
+  const rest = line.replace(PAIR_PATTERN, (match, key, value) => {
+    fields[key] = coerceValue(unquote(value));
+    found = true;
+    return '';
+  });
+  if (!found) {
+    return null;
+  }
+
+  const result = splitMessageAndLevel(fields);
+  const text = rest.replace(/\s+/g, ' ').trim();
+  if (result.message === null && text) {
+    result.message = text;
+  }
+  return result;
+}
+
+/**
+ * Parse an nginx/Apache common or combined access log line
+ * @param {string} line - Text line
+ * @returns {object|null} { message, level, fields } with explicit metrics and context, or null
+ */
+function parseAccessLog(line) {
+  const match = line.match(ACCESS_LOG_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, remoteAddr, , remoteUser, timeLocal, method, path, protocol, status, bytes, referer, userAgent, requestTime] = match;
+  const statusCode = parseInt(status, 10);
+
+  const context = {
+    remote_addr: remoteAddr,
+    method,
+    path,
+    status: statusCode,
+    time_local: timeLocal,
+  };
+  if (remoteUser !== '-') {
+    context.remote_user = remoteUser;
+  }
+  if (protocol) {
+    context.protocol = protocol;
+  }
+  if (referer !== undefined && referer !== '-') {
+    context.referer = referer;
+  }
+  if (userAgent !== undefined && userAgent !== '-') {
+    context.user_agent = userAgent;
+  }
+
+  const metrics = { body_bytes_sent: bytes === '-' ? 0 : parseInt(bytes, 10) };
+  if (requestTime !== undefined) {
+    metrics.request_time_ms = Math.round(parseFloat(requestTime) * 1000 * 1000) / 1000;
+  }
+
+  let level = 'info';
+  if (statusCode >= 500) {
+    level = 'error';
+  } else if (statusCode >= 400) {
+    level = 'warn';
+  }
+
+  return {
+    message: `${method} ${path} ${statusCode}`,
+    level,
+    fields: { metrics, context },
+  };
+}
+
+const BUILTIN_PARSERS = {
+  accessLog: parseAccessLog,
+  logfmt: parseLogfmt,
+  keyValue: parseKeyValue,
+};
+
+// Most specific first - keyValue would also match logfmt and many access log lines
+const DEFAULT_PARSERS = ['accessLog', 'logfmt', 'keyValue'];
+
+/**
+ * Build a parser from a regex with named groups
+ * @param {object} definition - { name, pattern, level, message }
+ * @returns {Function} Parser (line) => { message, level, fields } | null
+ * @private
+ */
+function compileRegexParser(definition, index) {
+  const pattern = typeof definition.pattern === 'string' ? new RegExp(definition.pattern) : definition.pattern;
+  if (!(pattern instanceof RegExp)) {
+    throw new Error(`Text parser #${index + 1} needs a "pattern" RegExp`);
+  }
+
+  return (line) => {
+    const match = line.match(pattern);
+    if (!match || !match.groups) {
+      return null;
+    }
+    const fields = {};
+    for (const [key, value] of Object.entries(match.groups)) {
+      if (value !== undefined) {
+        fields[key] = coerceValue(value);
+      }
+    }
+    const result = splitMessageAndLevel(fields);
+    if (typeof definition.level === 'function') {
+      result.level = definition.level(result.fields, match) || result.level;
+    } else if (definition.level) {
+      result.level = definition.level;
+    }
+    if (typeof definition.message === 'function') {
+      result.message = definition.message(result.fields, match);
+    } else if (definition.message) {
+      result.message = definition.message;
+    } else if (result.message === null) {
+      result.message = line;
+    }
+    return result;
+  };
+}
+
+/**
+ * Create a text parser that tries each configured parser in order
+ * @param {boolean|Array<string|object|Function>} options - true for the built-in parsers, or a list of
+ *   built-in names ('accessLog', 'logfmt', 'keyValue'), regex definitions { name, pattern, level, message }
+ *   with named groups, or functions (line) => { message, level, fields } | null
+ * @returns {Function|null} (line) => { parser, message, level, fields } | null, or null when disabled
+ */
+function createTextParser(options) {
+  if (!options) {
+    return null;
+  }
+  const definitions = options === true ? DEFAULT_PARSERS : options;
+  if (!Array.isArray(definitions)) {
+    throw new Error('Text parsers must be true or an array');
+  }
+
+  const parsers = definitions.map((definition, index) => {
+    if (typeof definition === 'string') {
+      if (!BUILTIN_PARSERS[definition]) {
+        throw new Error(`Unknown text parser "${definition}". Use one of: ${Object.keys(BUILTIN_PARSERS).join(', ')}`);
+      }
+      return { name: definition, parse: BUILTIN_PARSERS[definition] };
+    }
+    if (typeof definition === 'function') {
+      return { name: definition.name || `custom${index + 1}`, parse: definition };
+    }
+    if (definition && typeof definition === 'object') {
+      return { name: definition.name || `regex${index + 1}`, parse: compileRegexParser(definition, index) };
+    }
+    throw new Error(`Text parser #${index + 1} is invalid`);
+  });
+
+  return (line) => {
+    if (typeof line !== 'string' || !line.trim()) {
+      return null;
+    }
+    for (const { name, parse } of parsers) {
+      let result = null;
+      try {
+        result = parse(line);
+      } catch (e) {
+        result = null;  // A broken custom parser must never lose the log
+      }
+      if (result && result.fields && typeof result.fields === 'object') {
+        return { parser: name, message: result.message, level: result.level, fields: result.fields };
+      }
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  BUILTIN_PARSERS,
+  DEFAULT_PARSERS,
+  coerceValue,
+  parseLogfmt,
+  parseKeyValue,
+  parseAccessLog,
+  createTextParser,
+};
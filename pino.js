@@ -0,0 +1,136 @@
+/**
+ * Vibex Pino Transport
+ * Runs inside pino's transport worker thread:
+ *   pino.transport({ target: 'vibex-sdk/pino', options: { verbose: true } })
+ */
+
+const { Writable } = require('stream');
+const VibexClient = require('./client');
+const { normalizeToHybrid, normalizeLevel } = require('./normalize');
+const { serializeError } = require('./errors');
+const { compileSchema } = require('./schema');
+
+// Fields pino adds to every record that are not part of the payload
+const PINO_FIELDS = new Set(['level', 'time', 'msg', 'v', 'err', 'error']);
+
+/**
+ * Map a pino level (numeric or label) to a Vibex level
+ * @param {number|string} level - Pino level (10 trace, 20 debug, 30 info, 40 warn, 50 error, 60 fatal)
+ * @returns {string} Normalized level
+ */
+function mapPinoLevel(level) {
+  if (typeof level !== 'number') {
+    return normalizeLevel(level);
+  }
+  if (level >= 50) {
+    return normalizeLevel('error');
+  }
+  if (level >= 40) {
+    return normalizeLevel('warn');
+  }
+  if (level >= 30) {
+    return normalizeLevel('info');
+  }
+  return normalizeLevel('debug');
+}
+
+/**
+ * Convert a parsed pino record to a hybrid log
+ * @param {object} record - Pino log record
+ * @param {object} schema - Extraction schema (see schema.js), or null for the built-in heuristics
+ * @returns {object} Hybrid log structure
+ */
+function pinoToHybrid(record, schema = null) {
+  const payload = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (!PINO_FIELDS.has(key)) {
+      payload[key] = value;
+    }
+  }
+
+  const hybrid = normalizeToHybrid(record.msg, mapPinoLevel(record.level), payload, {}, schema);
+
+  // Add exception info if present (pino's err serializer keeps type, message, stack and custom properties)
+  const error = record.err || record.error;
+  if (error) {
+    hybrid.exc_info = error.stack || error.message || String(error);
+    hybrid.exception = serializeError(error);
+  }
+
+  return hybrid;
+}
+
+/**
+ * Get the record timestamp in milliseconds
+ * @private
+ */
+function recordTimestamp(record) {
+  if (typeof record.time === 'number') {
+    return record.time;
+  }
+  const parsed = record.time ? Date.parse(record.time) : NaN;
+  return isNaN(parsed) ? Date.now() : parsed;
+}
+
+/**
+ * Build the pino transport stream
+ * @param {object} options - Transport options (same as VibexHandler options)
+ * @param {object} options.config - VibexConfig options (a VibexConfig instance can't cross the worker boundary)
+ * @param {boolean} options.verbose - If true, print status messages to stderr
+ * @returns {Promise<Writable>} Writable stream receiving newline-delimited pino records
+ */
+async function pinoTransport(options = {}) {
+  const { config = null, verbose = false } = options;
+  const client = new VibexClient(config, verbose, options);
+  let pending = '';
+
+  // An invalid schema only turns schema extraction off - logs are still sent
+  let schema = null;
+  try {
+    schema = compileSchema(options.schema);
+  } catch (error) {
+    if (verbose) {
+      console.error(`⚠️  Vibex SDK: Extraction schema disabled: ${error.message}`);
+    }
+  }
+
+  const handleLine = (line) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      const record = JSON.parse(line);
+      if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+        return;
+      }
+      client.sendLog('json', pinoToHybrid(record, schema), recordTimestamp(record)).catch(() => {});
+    } catch (error) {
+      // Fail-safe: silently ignore malformed lines
+    }
+  };
+
+  return new Writable({
+    write(chunk, encoding, callback) {
+      pending += chunk.toString();
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        handleLine(line);
+      }
+      callback();
+    },
+
+    // Called when the worker closes - deliver everything before exiting
+    final(callback) {
+      handleLine(pending);
+      pending = '';
+      client.flush().then(() => callback(), () => callback());
+    },
+  });
+}
+
+module.exports = pinoTransport;
+module.exports.default = pinoTransport;
+module.exports.pinoTransport = pinoTransport;
+module.exports.pinoToHybrid = pinoToHybrid;
+module.exports.mapPinoLevel = mapPinoLevel;
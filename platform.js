@@ -0,0 +1,362 @@
+/**
+ * Platform Adapters
+ * Everything the client needs from its runtime - environment variables, timers, the HTTP transport
+ * and shutdown hooks - so the same core runs on Node, Bun, Deno, browsers and edge workers
+ */
+
+/**
+ * Load a Node built-in if the runtime has it (bundlers may map it to an empty module)
+ * @param {string} name - Module name
+ * @returns {object|null} The module, or null when unavailable
+ */
+function nodeRequire(name) {
+  try {
+    const mod = require(name);
+    return mod && Object.keys(mod).length > 0 ? mod : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Fallback event emitter for runtimes without Node's events module (browsers, edge workers)
+ * Covers the part of the EventEmitter API the client and its users rely on
+ * @private
+ */
+class SimpleEventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, []);
+    }
+    this._listeners.get(event).push(listener);
+    return this;
+  }
+
+  addListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.apply(this, args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (listeners) {
+      const index = listeners.findIndex((fn) => fn === listener || fn.listener === listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    }
+    return this;
+  }
+
+  removeListener(event, listener) {
+    return this.off(event, listener);
+  }
+
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._listeners.clear();
+    } else {
+      this._listeners.delete(event);
+    }
+    return this;
+  }
+
+  listenerCount(event) {
+    const listeners = this._listeners.get(event);
+    return listeners ? listeners.length : 0;
+  }
+
+  emit(event, ...args) {
+    const listeners = this._listeners.get(event);
+    if (!listeners || listeners.length === 0) {
+      if (event === 'error') {
+        throw args[0] instanceof Error ? args[0] : new Error(`Unhandled 'error' event: ${args[0]}`);
+      }
+      return false;
+    }
+    for (const listener of listeners.slice()) {
+      listener.apply(this, args);
+    }
+    return true;
+  }
+}
+
+// Bundlers map Node built-ins to empty modules for the browser - fall back to the small emitter above
+const events = nodeRequire('events');
+const EventEmitter = events && typeof events.EventEmitter === 'function' ? events.EventEmitter : SimpleEventEmitter;
+
+/**
+ * Check whether we run on Node (or a Node-compatible runtime such as Bun)
+ * @returns {boolean} True on Node
+ */
+function isNode() {
+  return typeof process !== 'undefined' && !!(process.versions && process.versions.node) && typeof process.on === 'function';
+}
+
+/**
+ * Get environment variables
+ * @returns {object} Environment variables (empty where the runtime has none)
+ */
+function getEnv() {
+  if (typeof process !== 'undefined' && process.env) {
+    return process.env;
+  }
+  /* global Deno */
+  if (typeof Deno !== 'undefined' && Deno.env && typeof Deno.env.toObject === 'function') {
+    try {
+      return Deno.env.toObject();
+    } catch (e) {
+      // No --allow-env permission
+    }
+  }
+  return {};
+}
+
+/**
+ * Run a function after the current work (setImmediate where available)
+ * @param {Function} fn - Function to run
+ */
+function defer(fn) {
+  if (typeof setImmediate === 'function') {
+    setImmediate(fn);
+  } else {
+    setTimeout(fn, 0);
+  }
+}
+
+/**
+ * Get the UTF-8 byte length of a string or buffer
+ * @param {string|Uint8Array} data - Data to measure
+ * @returns {number} Size in bytes
+ */
+function byteLength(data) {
+  if (typeof data !== 'string') {
+    return data ? data.byteLength || data.length || 0 : 0;
+  }
+  if (typeof Buffer !== 'undefined' && Buffer.byteLength) {
+    return Buffer.byteLength(data);
+  }
+  return new TextEncoder().encode(data).length;
+}
+
+/**
+ * Get a monotonic timestamp in milliseconds
+ * @returns {number} Milliseconds from an arbitrary origin
+ */
+function now() {
+  if (typeof performance !== 'undefined' && typeof performance.now === 'function') {
+    return performance.now();
+  }
+  return Date.now();
+}
+
+/**
+ * POST with fetch, aborting after a timeout
+ * @param {string} url - Target URL
+ * @param {object} headers - Request headers
+ * @param {string|Uint8Array} body - Request body
+ * @param {object} options - { timeoutMs, keepalive }
+ * @returns {Promise<Response>} fetch Response
+ */
+async function fetchTransport(url, headers, body, options = {}) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timeoutId = controller ? setTimeout(() => controller.abort(), options.timeoutMs || 5000) : null;
+
+  try {
+    return await fetch(url, {
+      method: 'POST',
+      headers: headers,
+      body: body,
+      keepalive: !!options.keepalive,
+      signal: controller ? controller.signal : undefined,
+    });
+  } finally {
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+/**
+ * POST with the Node http/https modules (Node < 18 fallback, and proxy/TLS/keep-alive setups - see transport.js)
+ * @param {string} url - Target URL
+ * @param {object} headers - Request headers
+ * @param {string|Buffer} body - Request body
+ * @param {object} options - { timeoutMs, agent, proxy } - proxy is only used here for plain http URLs, https is tunneled by the agent
+ * @returns {Promise<object>} Response-like object { status, ok, headers.get(), json() }
+ */
+function httpTransport(url, headers, body, options = {}) {
+  return new Promise((resolve, reject) => {
+    const http = require('http');
+    const https = require('https');
+
+    const urlObj = new URL(url);
+    // Plain http through a proxy: send the absolute URL to the proxy itself
+    const proxy = options.proxy && urlObj.protocol === 'http:' ? new URL(options.proxy) : null;
+    const target = proxy || urlObj;
+    const client = target.protocol === 'https:' ? https : http;
+
+    const requestOptions = {
+      hostname: target.hostname,
+      port: target.port || (target.protocol === 'https:' ? 443 : 80),
+      path: proxy ? url : urlObj.pathname + urlObj.search,
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Length': byteLength(body),
+      },
+    };
+    if (options.agent) {
+      requestOptions.agent = options.agent;
+    }
+    if (proxy && proxy.username) {
+      requestOptions.headers['Proxy-Authorization'] = proxyAuthorization(proxy);
+    }
+
+    const req = client.request(requestOptions, (res) => {
+      let responseData = '';
+
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+
+      res.on('end', () => {
+        // Create a response-like object
+        resolve({
+          status: res.statusCode,
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          headers: {
+            get: (name) => {
+              const value = res.headers[String(name).toLowerCase()];
+              return value === undefined ? null : value;
+            },
+          },
+          json: () => Promise.resolve(JSON.parse(responseData || '{}')),
+        });
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    req.setTimeout(options.timeoutMs || 5000, () => {
+      req.destroy(new Error('Request timed out'));
+    });
+
+    req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Build a Basic Proxy-Authorization header from the credentials in a proxy URL
+ * @param {URL} proxy - Proxy URL with username (and password)
+ * @returns {string} Header value
+ */
+function proxyAuthorization(proxy) {
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return `Basic ${Buffer.from(credentials).toString('base64')}`;
+}
+
+/**
+ * POST with the best transport available: native fetch, or http/https on Node < 18
+ * @param {string} url - Target URL
+ * @param {object} headers - Request headers
+ * @param {string|Uint8Array} body - Request body
+ * @param {object} options - { timeoutMs, keepalive }
+ * @returns {Promise<object>} fetch Response or response-like object
+ */
+function defaultTransport(url, headers, body, options) {
+  if (typeof globalThis.fetch === 'undefined') {
+    return httpTransport(url, headers, body, options);
+  }
+  return fetchTransport(url, headers, body, options);
+}
+
+/**
+ * Register Node process shutdown hooks
+ * @param {object} handlers - { exit: sync handler for 'exit', signal: handler for SIGINT/SIGTERM }
+ */
+function nodeShutdown(handlers) {
+  if (!isNode()) {
+    return;
+  }
+  if (handlers.exit) {
+    process.on('exit', handlers.exit);
+  }
+  if (handlers.signal) {
+    process.on('SIGINT', handlers.signal);
+    process.on('SIGTERM', handlers.signal);
+  }
+}
+
+/**
+ * Register browser page lifecycle hooks
+ * pagehide is the last reliable event on unload and bfcache; visibilitychange to hidden also covers
+ * mobile browsers that discard background tabs without firing pagehide
+ * @param {object} handlers - { hide: sync handler called when the page is hidden or unloaded }
+ */
+function browserShutdown(handlers) {
+  if (!handlers.hide || typeof window === 'undefined' || typeof window.addEventListener !== 'function') {
+    return;
+  }
+  window.addEventListener('pagehide', handlers.hide);
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        handlers.hide();
+      }
+    });
+  }
+}
+
+/**
+ * Create the adapters a client runs with
+ * @param {object} overrides - Adapters to replace
+ * @param {object} overrides.env - Environment variables (e.g. Worker bindings)
+ * @param {Function} overrides.transport - (url, headers, body, { timeoutMs, keepalive }) => Promise<Response-like>
+ * @param {Function} overrides.beacon - (url, headers, body) => boolean, fire-and-forget send used when the page is hidden
+ * @param {Function} overrides.defer - (fn) => void, runs fn after the current work
+ * @param {Function} overrides.onShutdown - ({ exit, signal, hide }) => void, registers shutdown hooks
+ * @returns {object} Platform adapters
+ */
+function createPlatform(overrides = {}) {
+  return {
+    env: getEnv(),
+    transport: defaultTransport,
+    beacon: null,
+    defer,
+    onShutdown: nodeShutdown,
+    ...(overrides || {}),
+  };
+}
+
+module.exports = {
+  EventEmitter,
+  nodeRequire,
+  isNode,
+  getEnv,
+  defer,
+  byteLength,
+  now,
+  fetchTransport,
+  httpTransport,
+  proxyAuthorization,
+  defaultTransport,
+  nodeShutdown,
+  browserShutdown,
+  createPlatform,
+};
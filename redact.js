@@ -0,0 +1,246 @@
+/**
+ * Redaction and PII scrubbing
+ * Applied to every log before it is queued, so sensitive data never reaches the ingest API
+ */
+
+const { nodeRequire } = require('./platform');
+
+const crypto = nodeRequire('crypto');
+
+const REDACTED = '[REDACTED]';
+
+// Built-in detectors for sensitive values inside strings
+const DETECTORS = {
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  creditCard: /\b(?:\d[ -]?){12,18}\d\b/g,
+  jwt: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  bearer: /\bBearer\s+[A-Za-z0-9._~+/-]+=*/gi,
+  vibexToken: /\bvb_live_[A-Za-z0-9_-]+/g,
+};
+
+const ACTIONS = ['mask', 'hash', 'remove'];
+
+/**
+ * Luhn checksum, to avoid treating any long number as a credit card
+ * @private
+ */
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check whether a path pattern matches a key path
+ * `*` matches one segment, `**` matches any number of segments
+ * @private
+ */
+function matchPath(pattern, pathSegments, p = 0, s = 0) {
+  if (p === pattern.length) {
+    return s === pathSegments.length;
+  }
+  if (pattern[p] === '**') {
+    for (let i = s; i <= pathSegments.length; i++) {
+      if (matchPath(pattern, pathSegments, p + 1, i)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  if (s === pathSegments.length) {
+    return false;
+  }
+  if (pattern[p] !== '*' && pattern[p] !== pathSegments[s]) {
+    return false;
+  }
+  return matchPath(pattern, pathSegments, p + 1, s + 1);
+}
+
+/**
+ * Normalize a path rule to { segments, action }
+ * @private
+ */
+function normalizePathRule(rule, defaultAction) {
+  const spec = typeof rule === 'string' ? { path: rule } : rule;
+  if (!spec || typeof spec.path !== 'string' || !spec.path) {
+    throw new Error('Redaction path rules need a non-empty "path"');
+  }
+  const action = spec.action || defaultAction;
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown redaction action "${action}" (expected ${ACTIONS.join(', ')})`);
+  }
+  return { segments: spec.path.split('.'), action };
+}
+
+/**
+ * Normalize detector configuration to [{ pattern, action, validate }]
+ * @private
+ */
+function normalizeDetectors(detectors, patterns, defaultAction) {
+  let selected = {};
+  if (detectors === true) {
+    for (const name of Object.keys(DETECTORS)) {
+      selected[name] = defaultAction;
+    }
+  } else if (Array.isArray(detectors)) {
+    for (const name of detectors) {
+      selected[name] = defaultAction;
+    }
+  } else if (detectors && typeof detectors === 'object') {
+    selected = { ...detectors };
+  }
+
+  const result = [];
+  for (const [name, action] of Object.entries(selected)) {
+    if (!action) {
+      continue;
+    }
+    if (!DETECTORS[name]) {
+      throw new Error(`Unknown redaction detector "${name}" (expected ${Object.keys(DETECTORS).join(', ')})`);
+    }
+    const resolvedAction = action === true ? defaultAction : action;
+    if (!ACTIONS.includes(resolvedAction)) {
+      throw new Error(`Unknown redaction action "${resolvedAction}" (expected ${ACTIONS.join(', ')})`);
+    }
+    result.push({
+      pattern: DETECTORS[name],
+      action: resolvedAction,
+      validate: name === 'creditCard' ? passesLuhn : null,
+    });
+  }
+
+  for (const custom of patterns || []) {
+    const spec = custom instanceof RegExp ? { pattern: custom } : custom;
+    if (!spec || !(spec.pattern instanceof RegExp)) {
+      throw new Error('Custom redaction patterns need a RegExp "pattern"');
+    }
+    const flags = spec.pattern.flags.includes('g') ? spec.pattern.flags : `${spec.pattern.flags}g`;
+    const action = spec.action || defaultAction;
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown redaction action "${action}" (expected ${ACTIONS.join(', ')})`);
+    }
+    result.push({ pattern: new RegExp(spec.pattern.source, flags), action, validate: null });
+  }
+
+  return result;
+}
+
+/**
+ * Create a redactor for hybrid log objects
+ * @param {object|boolean} options - Redaction options, or true for all built-in detectors with masking
+ * @param {Array<string|object>} options.paths - Key-path rules, e.g. 'password', 'context.*.token', '**.secret' or { path, action }
+ * @param {boolean|string[]|object} options.detectors - true for all, a list of names, or { name: action } (email, creditCard, jwt, bearer, vibexToken)
+ * @param {Array<RegExp|object>} options.patterns - Extra regex detectors, as RegExp or { pattern, action }
+ * @param {string} options.action - Default action: 'mask' (default), 'hash' or 'remove'
+ * @param {string} options.mask - Replacement text for masked values (default: '[REDACTED]')
+ * @param {string} options.hashSalt - Salt mixed into hashed values
+ * @returns {Function|null} (payload) => redacted copy, or null if redaction is disabled
+ */
+function createRedactor(options) {
+  if (!options) {
+    return null;
+  }
+  const opts = options === true ? { detectors: true } : options;
+  const defaultAction = opts.action || 'mask';
+  if (!ACTIONS.includes(defaultAction)) {
+    throw new Error(`Unknown redaction action "${defaultAction}" (expected ${ACTIONS.join(', ')})`);
+  }
+  const mask = opts.mask !== undefined ? String(opts.mask) : REDACTED;
+  const hashSalt = opts.hashSalt || '';
+
+  const pathRules = (opts.paths || []).map((rule) => normalizePathRule(rule, defaultAction));
+  const detectors = normalizeDetectors(opts.detectors, opts.patterns, defaultAction);
+  if (!crypto && [...pathRules.map((rule) => rule.action), ...detectors.map((detector) => detector.action)].includes('hash')) {
+    throw new Error('The "hash" action needs node:crypto, which this runtime lacks. Use "mask" or "remove" instead');
+  }
+
+  const hashValue = (value) => {
+    const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+    const digest = crypto.createHash('sha256').update(hashSalt + serialized).digest('hex');
+    return `sha256:${digest.substring(0, 16)}`;
+  };
+
+  const scrubString = (str) => {
+    let result = str;
+    for (const detector of detectors) {
+      detector.pattern.lastIndex = 0;
+      result = result.replace(detector.pattern, (match) => {
+        if (detector.validate && !detector.validate(match)) {
+          return match;
+        }
+        if (detector.action === 'hash') {
+          return hashValue(match);
+        }
+        return detector.action === 'remove' ? '' : mask;
+      });
+    }
+    return result;
+  };
+
+  const findPathAction = (pathSegments) => {
+    for (const rule of pathRules) {
+      if (matchPath(rule.segments, pathSegments)) {
+        return rule.action;
+      }
+    }
+    return null;
+  };
+
+  const walk = (value, pathSegments, seen) => {
+    if (typeof value === 'string') {
+      return detectors.length > 0 ? scrubString(value) : value;
+    }
+    if (!value || typeof value !== 'object' || seen.has(value)) {
+      return value;
+    }
+    // Only descend into plain objects and arrays (Dates, Buffers etc. are kept as-is)
+    const proto = Object.getPrototypeOf(value);
+    if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) {
+      return value;
+    }
+
+    seen.add(value);
+    const isArray = Array.isArray(value);
+    const result = isArray ? [] : {};
+
+    const entries = isArray ? value.map((item, index) => [String(index), item]) : Object.entries(value);
+    for (const [key, item] of entries) {
+      const itemPath = pathSegments.concat(key);
+      const action = pathRules.length > 0 ? findPathAction(itemPath) : null;
+
+      if (action === 'remove') {
+        continue;
+      }
+      const redacted = action === 'mask' ? mask
+        : action === 'hash' ? hashValue(item)
+          : walk(item, itemPath, seen);
+
+      if (isArray) {
+        result.push(redacted);
+      } else {
+        result[key] = redacted;
+      }
+    }
+    seen.delete(value);
+
+    return result;
+  };
+
+  return (payload) => walk(payload, [], new Set());
+}
+
+module.exports = {
+  REDACTED,
+  DETECTORS,
+  createRedactor,
+};
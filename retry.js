@@ -0,0 +1,96 @@
+/**
+ * Retry policy for Vibex ingest requests
+ * Exponential backoff with jitter, Retry-After support and attempt/time caps
+ */
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 5,  // Total attempts per batch, including the first one
+  initialDelayMs: 500,  // Delay before the first retry
+  maxDelayMs: 30000,  // Upper bound for a single backoff delay
+  maxElapsedMs: 60000,  // Give up on a batch after this long since its first failure
+  multiplier: 2,  // Exponential growth factor between attempts
+  jitter: true,  // Randomize delays ("full jitter") to avoid thundering herds
+  retryableStatuses: [408, 429, 500, 502, 503, 504],
+};
+
+// Never retried, regardless of configuration - handled explicitly by the client
+const NON_RETRYABLE_STATUSES = new Set([401, 403, 404]);
+
+/**
+ * Resolve user retry options against the defaults
+ * @param {object|boolean} options - Retry options, or false to disable retries
+ * @returns {object} Resolved retry policy
+ */
+function resolveRetryOptions(options) {
+  if (options === false) {
+    return { ...DEFAULT_RETRY_OPTIONS, maxAttempts: 1 };
+  }
+  const resolved = { ...DEFAULT_RETRY_OPTIONS, ...(options && typeof options === 'object' ? options : {}) };
+  resolved.maxAttempts = Math.max(1, Math.floor(Number(resolved.maxAttempts) || 1));
+  return resolved;
+}
+
+/**
+ * Check whether an HTTP status should be retried under the given policy
+ * @param {number} status - HTTP status code
+ * @param {object} policy - Resolved retry policy
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryableStatus(status, policy) {
+  if (NON_RETRYABLE_STATUSES.has(status)) {
+    return false;
+  }
+  const retryable = policy.retryableStatuses;
+  if (typeof retryable === 'function') {
+    try {
+      return !!retryable(status);
+    } catch (e) {
+      return false;
+    }
+  }
+  return Array.isArray(retryable) && retryable.includes(status);
+}
+
+/**
+ * Parse a Retry-After header value (delta-seconds or HTTP-date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    return Math.round(parseFloat(str) * 1000);
+  }
+  const date = Date.parse(str);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - now);
+}
+
+/**
+ * Compute the backoff delay before the given retry attempt
+ * @param {number} attempt - Number of attempts already made (1 after the first failure)
+ * @param {object} policy - Resolved retry policy
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempt, policy) {
+  const exponent = Math.max(0, attempt - 1);
+  const base = Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(policy.multiplier, exponent));
+  if (!policy.jitter) {
+    return base;
+  }
+  return Math.floor(Math.random() * base);
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  resolveRetryOptions,
+  isRetryableStatus,
+  parseRetryAfter,
+  computeBackoff,
+};
@@ -0,0 +1,151 @@
+/**
+ * Log Routing
+ * Rule-based routing of logs to multiple sessions
+ */
+
+const { normalizeLevel } = require('./normalize');
+
+const LEVEL_PRIORITY = { debug: 0, info: 1, warn: 2, error: 3 };
+
+/**
+ * Check one expected value against an actual field value
+ * @private
+ */
+function matchValue(expected, actual) {
+  if (expected instanceof RegExp) {
+    return actual !== undefined && actual !== null && expected.test(String(actual));
+  }
+  if (typeof expected === 'function') {
+    try {
+      return !!expected(actual);
+    } catch (e) {
+      return false;
+    }
+  }
+  if (Array.isArray(expected)) {
+    return expected.some((item) => matchValue(item, actual));
+  }
+  if (expected === true) {
+    return actual !== undefined && actual !== null;
+  }
+  return actual === expected;
+}
+
+/**
+ * Build a predicate from a rule's match conditions (all conditions must hold)
+ * @private
+ */
+function buildPredicate(match) {
+  const conditions = [];
+
+  if (match.level !== undefined) {
+    const levels = (Array.isArray(match.level) ? match.level : [match.level]).map(normalizeLevel);
+    conditions.push((log) => levels.includes(log.level));
+  }
+  if (match.minLevel !== undefined) {
+    const min = LEVEL_PRIORITY[normalizeLevel(match.minLevel)];
+    conditions.push((log) => LEVEL_PRIORITY[log.level] >= min);
+  }
+  if (match.message !== undefined) {
+    const expected = match.message;
+    conditions.push((log) => {
+      if (typeof expected === 'string') {
+        return typeof log.message === 'string' && log.message.includes(expected);
+      }
+      return matchValue(expected, log.message);
+    });
+  }
+  if (match.context !== undefined) {
+    if (!match.context || typeof match.context !== 'object') {
+      throw new Error('Route "context" must be an object of field conditions');
+    }
+    const fields = Object.entries(match.context);
+    conditions.push((log) => fields.every(([field, expected]) => {
+      const fromContext = log.context[field];
+      return matchValue(expected, fromContext !== undefined ? fromContext : log.fields[field]);
+    }));
+  }
+  if (match.match !== undefined) {
+    if (typeof match.match !== 'function') {
+      throw new Error('Route "match" must be a function');
+    }
+    const predicate = match.match;
+    conditions.push((log) => {
+      try {
+        return !!predicate(log.payload, log.logType);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+
+  return (log) => conditions.every((condition) => condition(log));
+}
+
+/**
+ * Compile routing rules
+ * @param {Array<object>} routes - Rules, checked in order; the first match wins
+ * @param {string} routes[].sessionId - Target session ID
+ * @param {string} routes[].token - Optional token for the target session (default: the configured token)
+ * @param {string|string[]} routes[].level - Match these levels
+ * @param {string} routes[].minLevel - Match this level or above
+ * @param {string|RegExp} routes[].message - Match a message substring or pattern
+ * @param {object} routes[].context - Match context (or top-level payload) fields by value, RegExp, list or predicate
+ * @param {Function} routes[].match - Custom predicate (payload, logType) => boolean
+ * @returns {Array<object>} Compiled rules [{ sessionId, token, test }]
+ */
+function compileRoutes(routes) {
+  if (!routes) {
+    return [];
+  }
+  if (!Array.isArray(routes)) {
+    throw new Error('Routes must be an array of rules');
+  }
+
+  return routes.map((route, index) => {
+    if (!route || typeof route !== 'object') {
+      throw new Error(`Route #${index + 1} must be an object`);
+    }
+    if (!route.sessionId || typeof route.sessionId !== 'string') {
+      throw new Error(`Route #${index + 1} needs a "sessionId"`);
+    }
+    if (route.token !== undefined && (typeof route.token !== 'string' || !route.token)) {
+      throw new Error(`Route #${index + 1} has an invalid "token"`);
+    }
+    return {
+      sessionId: route.sessionId,
+      token: route.token || null,
+      test: buildPredicate(route),
+    };
+  });
+}
+
+/**
+ * Find the first rule matching a log
+ * @param {Array<object>} compiled - Rules from compileRoutes
+ * @param {string} logType - Type of log ('json' or 'text')
+ * @param {any} payload - Log payload
+ * @returns {object|null} Matching rule, or null for the default session
+ */
+function findRoute(compiled, logType, payload) {
+  if (compiled.length === 0) {
+    return null;
+  }
+
+  const isObject = payload && typeof payload === 'object';
+  const log = {
+    logType,
+    payload,
+    level: normalizeLevel(isObject ? payload.level : null),
+    message: isObject ? payload.message : payload,
+    context: isObject && payload.context && typeof payload.context === 'object' ? payload.context : {},
+    fields: isObject ? payload : {},
+  };
+
+  return compiled.find((rule) => rule.test(log)) || null;
+}
+
+module.exports = {
+  compileRoutes,
+  findRoute,
+};
@@ -0,0 +1,242 @@
+/**
+ * Extraction Schema
+ * Declarative rules deciding which payload fields become hybrid metrics and context:
+ * key lists or globs over dotted paths (nested objects included), numeric-string coercion,
+ * renames and metric units. The built-in heuristics in normalize.js stay on unless disabled.
+ */
+
+// Top-level fields normalizeToHybrid handles itself
+const RESERVED_FIELDS = new Set(['message', 'msg', 'level', 'severity', 'log_level', 'metrics', 'context', '_annotation', '_units']);
+
+const MAX_DEPTH = 8;
+const NUMERIC_STRING = /^\s*-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+
+// Compiled schemas by options object, so callers can pass the same options on every log
+const compiledCache = new WeakMap();
+const COMPILED = Symbol('vibex.compiledSchema');
+
+/**
+ * Compile one path glob segment
+ * @private
+ */
+function compileSegment(segment) {
+  if (segment === '**') {
+    return '**';
+  }
+  if (!segment.includes('*')) {
+    return segment;
+  }
+  const escaped = segment.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Check a compiled glob against path segments
+ * `**` matches any number of segments, `*` inside a segment matches any characters
+ * @private
+ */
+function matchSegments(pattern, segments, p = 0, s = 0) {
+  if (p === pattern.length) {
+    return s === segments.length;
+  }
+  if (pattern[p] === '**') {
+    for (let i = s; i <= segments.length; i++) {
+      if (matchSegments(pattern, segments, p + 1, i)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  if (s === segments.length) {
+    return false;
+  }
+  const segment = pattern[p];
+  const matches = segment instanceof RegExp ? segment.test(segments[s]) : segment === segments[s];
+  return matches && matchSegments(pattern, segments, p + 1, s + 1);
+}
+
+/**
+ * Compile a list of field rules (dotted paths, globs or RegExps over the dotted path)
+ * @private
+ */
+function compileRules(rules, name) {
+  if (rules === undefined || rules === null) {
+    return [];
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(`Schema "${name}" must be an array of field paths, globs or RegExps`);
+  }
+  return rules.map((rule) => {
+    if (rule instanceof RegExp) {
+      return (segments) => {
+        rule.lastIndex = 0;
+        return rule.test(segments.join('.'));
+      };
+    }
+    if (typeof rule !== 'string' || !rule) {
+      throw new Error(`Schema "${name}" entries must be non-empty strings or RegExps`);
+    }
+    const pattern = rule.split('.').map(compileSegment);
+    return (segments) => matchSegments(pattern, segments);
+  });
+}
+
+/**
+ * Validate a { from: to } string map
+ * @private
+ */
+function compileMap(map, name) {
+  if (map === undefined || map === null) {
+    return {};
+  }
+  if (typeof map !== 'object' || Array.isArray(map)) {
+    throw new Error(`Schema "${name}" must be an object`);
+  }
+  for (const [key, value] of Object.entries(map)) {
+    if (typeof value !== 'string' || !value) {
+      throw new Error(`Schema "${name}" value for "${key}" must be a non-empty string`);
+    }
+  }
+  return { ...map };
+}
+
+/**
+ * Compile schema options
+ * @param {object} options - Schema options
+ * @param {Array<string|RegExp>} options.metrics - Fields to extract as metrics: dotted paths ('db.query_ms'), globs ('*_ms', '**.latency') or RegExps over the dotted path
+ * @param {Array<string|RegExp>} options.context - Fields to extract as context, same syntax (objects can be taken whole)
+ * @param {object} options.rename - Output names by dotted path, e.g. { 'http.status': 'status_code', usr: 'user_id' }
+ * @param {object} options.units - Units by output metric name, e.g. { latency: 'ms', payload: 'bytes' }
+ * @param {boolean} options.coerce - Turn numeric strings matched by metrics rules into numbers (default: true)
+ * @param {boolean} options.heuristics - Keep the built-in name heuristics for fields no rule matches (default: true)
+ * @returns {object} Compiled schema (pass it, or the options object, to normalizeToHybrid)
+ */
+function compileSchema(options) {
+  if (!options) {
+    return null;
+  }
+  if (options[COMPILED]) {
+    return options;
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Schema must be an object: { metrics, context, rename, units, coerce, heuristics }');
+  }
+  const cached = compiledCache.get(options);
+  if (cached) {
+    return cached;
+  }
+
+  const schema = {
+    [COMPILED]: true,
+    metrics: compileRules(options.metrics, 'metrics'),
+    context: compileRules(options.context, 'context'),
+    rename: compileMap(options.rename, 'rename'),
+    units: compileMap(options.units, 'units'),
+    coerce: options.coerce !== false,
+    heuristics: options.heuristics !== false,
+  };
+  compiledCache.set(options, schema);
+  return schema;
+}
+
+/**
+ * Convert a metric value to a number
+ * @private
+ */
+function toMetric(value, coerce) {
+  if (typeof value === 'number') {
+    return isFinite(value) ? value : undefined;
+  }
+  if (coerce && typeof value === 'string' && NUMERIC_STRING.test(value)) {
+    return Number(value);
+  }
+  if (coerce && typeof value === 'bigint') {
+    return Number(value);
+  }
+  return undefined;
+}
+
+/**
+ * Extract metrics and context from a payload with a compiled schema
+ * @param {object} payload - Log payload (after errors are serialized)
+ * @param {object} schema - Compiled schema
+ * @returns {object} { metrics, context, claimed } - claimed holds the top-level keys each rule set took
+ */
+function applySchema(payload, schema) {
+  const result = {
+    metrics: {},
+    context: {},
+    claimed: { metrics: new Set(), context: new Set() },
+  };
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return result;
+  }
+
+  const outputName = (segments) => schema.rename[segments.join('.')] || segments.join('.');
+  const matches = (rules, segments) => rules.some((rule) => rule(segments));
+
+  const visit = (node, segments, seen) => {
+    for (const [key, value] of Object.entries(node)) {
+      if (segments.length === 0 && RESERVED_FIELDS.has(key)) {
+        continue;
+      }
+      const path = [...segments, key];
+      const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+
+      if (matches(schema.context, path)) {
+        result.context[outputName(path)] = value;
+        result.claimed.context.add(path[0]);
+        continue;
+      }
+      if (!isObject && matches(schema.metrics, path)) {
+        const metric = toMetric(value, schema.coerce);
+        if (metric !== undefined) {
+          result.metrics[outputName(path)] = metric;
+          result.claimed.metrics.add(path[0]);
+        }
+        continue;
+      }
+      if (isObject && path.length < MAX_DEPTH && !seen.has(value)) {
+        seen.add(value);
+        visit(value, path, seen);
+        seen.delete(value);
+      }
+    }
+  };
+  visit(payload, [], new Set([payload]));
+
+  // Explicit metrics objects may hold numeric strings too
+  if (schema.coerce && payload.metrics && typeof payload.metrics === 'object' && !Array.isArray(payload.metrics)) {
+    for (const [key, value] of Object.entries(payload.metrics)) {
+      const metric = toMetric(value, true);
+      if (metric !== undefined && typeof value !== 'number') {
+        result.metrics[schema.rename[key] || key] = metric;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the units of the metrics present in a log
+ * @param {object} metrics - Hybrid metrics
+ * @param {object} schema - Compiled schema
+ * @returns {object|null} { metricName: unit }, or null if none apply
+ */
+function unitsFor(metrics, schema) {
+  let units = null;
+  for (const name of Object.keys(metrics)) {
+    if (schema.units[name]) {
+      units = units || {};
+      units[name] = schema.units[name];
+    }
+  }
+  return units;
+}
+
+module.exports = {
+  compileSchema,
+  applySchema,
+  unitsFor,
+};
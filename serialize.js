@@ -0,0 +1,257 @@
+/**
+ * Safe Serialization
+ * Turns any log payload into plain JSON data before it is queued: cycles become markers, BigInt,
+ * Buffer, Map, Set, Date and typed arrays get JSON-friendly forms, and depth, string, array and
+ * total size limits are enforced with truncation markers - so one bad log can't break a batch
+ */
+
+const { isErrorLike, serializeError } = require('./errors');
+const { byteLength } = require('./platform');
+
+const DEFAULT_SERIALIZE_OPTIONS = {
+  maxDepth: 10,  // Deeper objects and arrays are replaced with a marker
+  maxStringLength: 16 * 1024,  // Longer strings are cut, with a marker saying how much was cut
+  maxArrayLength: 1000,  // Longer arrays, Sets and Maps keep this many items plus a marker
+  maxBytes: 256 * 1024,  // Max serialized size of one log; larger logs are shrunk, then reduced to a stub
+};
+
+const CIRCULAR = '[Circular]';
+
+// How hard each retry shrinks the limits of a log that is still too large
+const SHRINK_FACTOR = 4;
+const MAX_SHRINK_ATTEMPTS = 3;
+
+/**
+ * Resolve user serialization options
+ * @param {object} options - Limits to override
+ * @returns {object} Resolved options
+ */
+function resolveSerializeOptions(options) {
+  const resolved = { ...DEFAULT_SERIALIZE_OPTIONS };
+  if (options && typeof options === 'object') {
+    for (const key of Object.keys(DEFAULT_SERIALIZE_OPTIONS)) {
+      const value = Number(options[key]);
+      if (options[key] !== undefined && isFinite(value) && value > 0) {
+        resolved[key] = Math.floor(value);
+      }
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Cut a string to a maximum length with a marker
+ * @private
+ */
+function truncateString(str, maxLength) {
+  if (str.length <= maxLength) {
+    return str;
+  }
+  return `${str.substring(0, maxLength)}…[truncated ${str.length - maxLength} chars]`;
+}
+
+/**
+ * Encode bytes as base64 (Buffer on Node, btoa elsewhere)
+ * @private
+ */
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined' && Buffer.from) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+  }
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return typeof btoa === 'function' ? btoa(binary) : '';
+}
+
+/**
+ * Describe binary data: { type, bytes, base64 } with the base64 cut to the string limit
+ * @private
+ */
+function binaryValue(type, bytes, limits) {
+  const maxBytes = Math.floor(limits.maxStringLength * 3 / 4);
+  const shown = bytes.length > maxBytes ? bytes.subarray(0, maxBytes) : bytes;
+  const value = { type, bytes: bytes.length, base64: toBase64(shown) };
+  if (shown.length < bytes.length) {
+    value.truncated = true;
+  }
+  return value;
+}
+
+/**
+ * Convert a value to plain JSON data
+ * @param {any} value - Value to convert
+ * @param {object} limits - Resolved serialization options
+ * @param {number} depth - Current depth
+ * @param {Set} ancestors - Objects on the current path (cycle detection)
+ * @returns {any} JSON-safe value (undefined for values JSON leaves out)
+ * @private
+ */
+function toSafe(value, limits, depth, ancestors) {
+  switch (typeof value) {
+    case 'string':
+      return truncateString(value, limits.maxStringLength);
+    case 'number':
+      return isFinite(value) ? value : String(value);
+    case 'boolean':
+      return value;
+    case 'bigint':
+      return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+    case 'symbol':
+      return value.toString();
+    case 'function':
+      return `[Function${value.name ? ` ${value.name}` : ''}]`;
+    case 'undefined':
+      return undefined;
+    default:
+      break;
+  }
+  if (value === null) {
+    return null;
+  }
+
+  if (ancestors.has(value)) {
+    return CIRCULAR;
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+  }
+  if (value instanceof RegExp) {
+    return value.toString();
+  }
+  if (typeof Buffer !== 'undefined' && Buffer.isBuffer && Buffer.isBuffer(value)) {
+    return binaryValue('Buffer', value, limits);
+  }
+  if (value instanceof ArrayBuffer) {
+    return binaryValue('ArrayBuffer', new Uint8Array(value), limits);
+  }
+  if (value instanceof Uint8Array) {
+    return binaryValue(value.constructor.name, value, limits);
+  }
+  if (depth >= limits.maxDepth) {
+    return Array.isArray(value) ? '[Array: max depth]' : '[Object: max depth]';
+  }
+  if (isErrorLike(value)) {
+    return toSafe(serializeError(value), limits, depth, ancestors);
+  }
+
+  ancestors.add(value);
+  try {
+    if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+      return truncateArray(Array.from(value), limits, depth, ancestors);
+    }
+    if (Array.isArray(value)) {
+      return truncateArray(value, limits, depth, ancestors);
+    }
+    if (value instanceof Set) {
+      return truncateArray(Array.from(value), limits, depth, ancestors);
+    }
+    if (value instanceof Map) {
+      const entries = {};
+      let count = 0;
+      for (const [key, item] of value) {
+        if (count++ >= limits.maxArrayLength) {
+          entries['…'] = `[${value.size - limits.maxArrayLength} more entries]`;
+          break;
+        }
+        entries[typeof key === 'string' ? key : String(toSafe(key, limits, depth + 1, ancestors))] = toSafe(item, limits, depth + 1, ancestors);
+      }
+      return entries;
+    }
+    if (typeof value.toJSON === 'function') {
+      return toSafe(value.toJSON(), limits, depth, ancestors);
+    }
+
+    const result = {};
+    for (const key of Object.keys(value)) {
+      let item;
+      try {
+        item = toSafe(value[key], limits, depth + 1, ancestors);
+      } catch (error) {
+        // Throwing getters, revoked proxies, ...
+        item = `[Unserializable: ${error && error.message ? error.message : 'error'}]`;
+      }
+      if (item !== undefined) {
+        result[key] = item;
+      }
+    }
+    return result;
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+/**
+ * Convert array items, keeping at most maxArrayLength of them
+ * @private
+ */
+function truncateArray(items, limits, depth, ancestors) {
+  const kept = items.length > limits.maxArrayLength ? items.slice(0, limits.maxArrayLength) : items;
+  const result = kept.map((item) => {
+    const safe = toSafe(item, limits, depth + 1, ancestors);
+    return safe === undefined ? null : safe;
+  });
+  if (kept.length < items.length) {
+    result.push(`[${items.length - kept.length} more items]`);
+  }
+  return result;
+}
+
+/**
+ * Build the stand-in for a log that can't be made small enough
+ * @private
+ */
+function oversizedStub(payload, originalBytes, options) {
+  const isObject = payload && typeof payload === 'object' && !Array.isArray(payload);
+  const message = isObject ? payload.message : payload;
+  return {
+    message: truncateString(typeof message === 'string' ? message : String(message), Math.min(1024, options.maxStringLength)),
+    level: isObject && typeof payload.level === 'string' ? payload.level : undefined,
+    metrics: {},
+    context: {},
+    _truncated: { reason: 'maxBytes', bytes: originalBytes, maxBytes: options.maxBytes },
+  };
+}
+
+/**
+ * Make a log payload safe to serialize and within the size limit
+ * Throws only if the payload can't be serialized at all (the caller drops that one log)
+ * @param {any} payload - Log payload
+ * @param {object} options - Resolved serialization options
+ * @returns {object} { value, bytes, truncated } - JSON-safe payload and its serialized size
+ */
+function serializeLog(payload, options) {
+  let limits = options;
+  let textLength = options.maxBytes;  // Text logs aren't cut at maxStringLength, only to fit maxBytes
+  let originalBytes = 0;
+  for (let attempt = 0; attempt <= MAX_SHRINK_ATTEMPTS; attempt++) {
+    const value = typeof payload === 'string'
+      ? truncateString(payload, textLength)
+      : toSafe(payload, limits, 0, new Set());
+    const bytes = byteLength(JSON.stringify(value === undefined ? null : value));
+    if (attempt === 0) {
+      originalBytes = bytes;
+    }
+    if (bytes <= options.maxBytes) {
+      return { value, bytes, truncated: attempt > 0 };
+    }
+    textLength = Math.floor(textLength / SHRINK_FACTOR);
+    limits = {
+      ...limits,
+      maxStringLength: Math.max(64, Math.floor(limits.maxStringLength / SHRINK_FACTOR)),
+      maxArrayLength: Math.max(10, Math.floor(limits.maxArrayLength / SHRINK_FACTOR)),
+      maxDepth: Math.max(2, limits.maxDepth - 2),
+    };
+  }
+
+  // Still too large - keep only the message and level, and say what happened
+  const value = toSafe(oversizedStub(payload, originalBytes, options), limits, 0, new Set());
+  return { value, bytes: byteLength(JSON.stringify(value)), truncated: true };
+}
+
+module.exports = {
+  DEFAULT_SERIALIZE_OPTIONS,
+  resolveSerializeOptions,
+  serializeLog,
+};
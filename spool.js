@@ -0,0 +1,341 @@
+/**
+ * Disk Spool
+ * Persists queued batches to append-only segment files so logs survive crashes,
+ * restarts and long offline periods. Segments are replayed on the next start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SEGMENT_EXTENSION = '.ndjson';
+const DEFAULT_SPOOL_OPTIONS = {
+  directory: null,  // Required - where segment files are stored
+  maxBytes: 50 * 1024 * 1024,  // Oldest segments are deleted beyond this total size
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000,  // Segments older than this are discarded
+};
+
+class DiskSpool {
+  /**
+   * Initialize DiskSpool
+   * @param {object|string} options - Spool options, or a directory path
+   * @param {string} options.directory - Directory holding segment files (created if missing)
+   * @param {number} options.maxBytes - Maximum total size of all segments in bytes
+   * @param {number} options.maxAgeMs - Maximum age of a segment in milliseconds
+   */
+  constructor(options = {}) {
+    const opts = typeof options === 'string' ? { directory: options } : options;
+    this.options = { ...DEFAULT_SPOOL_OPTIONS, ...opts };
+    if (!this.options.directory) {
+      throw new Error('Spool directory is required');
+    }
+    this.directory = path.resolve(this.options.directory);
+
+    this._sequence = 0;
+    this._sizes = new Map();  // On-disk segment name -> size in bytes (insertion order = age order)
+    this._totalBytes = 0;
+    this._loaded = new Map();  // Segment name -> { pending: entries still in memory, total, released: entries given back undelivered }
+    this._entrySegments = new WeakMap();  // Queue entry -> segment name
+    this._hasUnloaded = false;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this._scan();
+  }
+
+  /**
+   * Index existing segment files on disk
+   * @private
+   */
+  _scan() {
+    const files = fs.readdirSync(this.directory);
+    for (const name of files.filter((file) => file.endsWith(`${SEGMENT_EXTENSION}.tmp`))) {
+      // Leftover of a rewrite interrupted by a crash - the segment itself is intact
+      try {
+        fs.unlinkSync(path.join(this.directory, name));
+      } catch (e) {
+        // Ignore
+      }
+    }
+    const names = files
+      .filter((name) => name.endsWith(SEGMENT_EXTENSION))
+      .sort();
+
+    for (const name of names) {
+      try {
+        const size = fs.statSync(path.join(this.directory, name)).size;
+        this._sizes.set(name, size);
+        this._totalBytes += size;
+      } catch (e) {
+        // Segment vanished between readdir and stat - ignore
+      }
+    }
+
+    this._hasUnloaded = this._sizes.size > 0;
+    this._enforceLimits();
+  }
+
+  /**
+   * Build a new, sortable segment file name
+   * @private
+   */
+  _nextSegmentName() {
+    this._sequence += 1;
+    const time = String(Date.now()).padStart(15, '0');
+    const seq = String(this._sequence).padStart(6, '0');
+    return `${time}-${process.pid}-${seq}${SEGMENT_EXTENSION}`;
+  }
+
+  /**
+   * Get creation time encoded in a segment name
+   * @private
+   */
+  _segmentTime(name) {
+    const time = parseInt(name.split('-')[0], 10);
+    return isNaN(time) ? 0 : time;
+  }
+
+  /**
+   * Delete a segment file and forget about it
+   * @private
+   */
+  _deleteSegment(name) {
+    try {
+      fs.unlinkSync(path.join(this.directory, name));
+    } catch (e) {
+      // Already gone - nothing to do
+    }
+    if (this._sizes.has(name)) {
+      this._totalBytes -= this._sizes.get(name);
+      this._sizes.delete(name);
+    }
+    this._loaded.delete(name);
+  }
+
+  /**
+   * Drop segments beyond the age and size caps, oldest first
+   * @private
+   */
+  _enforceLimits() {
+    const cutoff = Date.now() - this.options.maxAgeMs;
+    for (const name of Array.from(this._sizes.keys())) {
+      if (this._segmentTime(name) >= cutoff && this._totalBytes <= this.options.maxBytes) {
+        break;
+      }
+      this._deleteSegment(name);
+    }
+  }
+
+  /**
+   * Write batch entries that are not yet on disk to a new segment
+   * @param {Array} batch - Array of log entries [logType, payload, timestamp]
+   */
+  write(batch) {
+    const entries = batch.filter((entry) => !this._entrySegments.has(entry));
+    if (entries.length === 0) {
+      return;
+    }
+
+    const lines = [];
+    const written = [];
+    for (const entry of entries) {
+      try {
+        lines.push(JSON.stringify(entry));
+        written.push(entry);
+      } catch (e) {
+        // Unserializable entry - it cannot be replayed, so don't spool it
+      }
+    }
+    if (written.length === 0) {
+      return;
+    }
+
+    const name = this._nextSegmentName();
+    const data = lines.join('\n') + '\n';
+    fs.appendFileSync(path.join(this.directory, name), data);
+
+    const size = Buffer.byteLength(data);
+    this._sizes.set(name, size);
+    this._totalBytes += size;
+    this._loaded.set(name, { pending: written.length, total: written.length, released: [] });
+    for (const entry of written) {
+      this._entrySegments.set(entry, name);
+    }
+
+    this._enforceLimits();
+  }
+
+  /**
+   * Mark entries as delivered (or deliberately dropped); fully acknowledged segments are deleted
+   * @param {Array} batch - Array of log entries
+   */
+  ack(batch) {
+    for (const entry of batch) {
+      const name = this._entrySegments.get(entry);
+      if (!name) {
+        continue;
+      }
+      this._entrySegments.delete(entry);
+      const segment = this._loaded.get(name);
+      if (segment) {
+        segment.pending -= 1;
+        this._settle(name, segment);
+      }
+    }
+  }
+
+  /**
+   * Release entries from memory without deleting them from disk, so they are replayed later
+   * A segment becomes replayable only once none of its entries are left in memory
+   * @param {Array} batch - Array of log entries
+   */
+  release(batch) {
+    for (const entry of batch) {
+      const name = this._entrySegments.get(entry);
+      if (!name) {
+        continue;
+      }
+      this._entrySegments.delete(entry);
+      const segment = this._loaded.get(name);
+      if (segment) {
+        segment.pending -= 1;
+        segment.released.push(entry);
+        this._settle(name, segment);
+      }
+    }
+  }
+
+  /**
+   * Finish with a segment once none of its entries are in memory: delete it if everything was
+   * delivered, otherwise keep only the released entries on disk for the next replay
+   * @private
+   */
+  _settle(name, segment) {
+    if (segment.pending > 0) {
+      return;
+    }
+    this._loaded.delete(name);
+    if (segment.released.length === 0) {
+      this._deleteSegment(name);
+      return;
+    }
+    this._hasUnloaded = true;
+    if (segment.released.length < segment.total) {
+      this._rewriteSegment(name, segment.released);
+    }
+  }
+
+  /**
+   * Replace a segment's content with the given entries (same name, so its age is kept)
+   * @private
+   */
+  _rewriteSegment(name, entries) {
+    const file = path.join(this.directory, name);
+    const data = entries.map((entry) => JSON.stringify(entry)).join('\n') + '\n';
+    try {
+      fs.writeFileSync(`${file}.tmp`, data);
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+      // Keep the old content - a replay may resend some delivered entries, but loses nothing
+      return;
+    }
+    if (this._sizes.has(name)) {
+      const size = Buffer.byteLength(data);
+      this._totalBytes += size - this._sizes.get(name);
+      this._sizes.set(name, size);
+    }
+  }
+
+  /**
+   * Check whether there are segments on disk that are not queued in memory
+   * @returns {boolean} True if a replay would load something
+   */
+  hasUnloaded() {
+    return this._hasUnloaded;
+  }
+
+  /**
+   * Read a segment file, skipping corrupt or truncated lines
+   * @private
+   */
+  _readSegment(name) {
+    let content;
+    try {
+      content = fs.readFileSync(path.join(this.directory, name), 'utf8');
+    } catch (e) {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (Array.isArray(entry) && typeof entry[0] === 'string' && typeof entry[2] === 'number') {
+          entries.push(entry);
+        }
+      } catch (e) {
+        // Corrupt line (e.g. partial write during a crash) - skip it
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Load on-disk segments that are not queued in memory yet, oldest first
+   * @param {number} limit - Maximum number of entries to load (the first segment is loaded whole if limit > 0)
+   * @returns {Array} Loaded log entries [logType, payload, timestamp]
+   */
+  load(limit) {
+    this._enforceLimits();
+
+    const loaded = [];
+    this._hasUnloaded = false;
+    if (limit <= 0) {
+      this._hasUnloaded = Array.from(this._sizes.keys()).some((name) => !this._loaded.has(name));
+      return loaded;
+    }
+
+    for (const name of Array.from(this._sizes.keys())) {
+      if (this._loaded.has(name)) {
+        continue;
+      }
+
+      const entries = this._readSegment(name);
+      if (entries.length === 0) {
+        // Nothing recoverable in this segment
+        this._deleteSegment(name);
+        continue;
+      }
+      // The first segment is always taken whole, even past the limit (e.g. after maxQueueSize was lowered):
+      // skipping it would leave it on disk forever and have every replay re-read it
+      if (loaded.length > 0 && loaded.length + entries.length > limit) {
+        this._hasUnloaded = true;
+        break;
+      }
+
+      this._loaded.set(name, { pending: entries.length, total: entries.length, released: [] });
+      for (const entry of entries) {
+        this._entrySegments.set(entry, name);
+        loaded.push(entry);
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Get spool statistics
+   * @returns {object} Segment count, total bytes and directory
+   */
+  getStats() {
+    return {
+      directory: this.directory,
+      segments: this._sizes.size,
+      bytes: this._totalBytes,
+    };
+  }
+}
+
+module.exports = DiskSpool;
+module.exports.DEFAULT_SPOOL_OPTIONS = DEFAULT_SPOOL_OPTIONS;
@@ -0,0 +1,154 @@
+/**
+ * Self-Telemetry
+ * Cumulative delivery metrics of a VibexClient, with Prometheus text rendering
+ */
+
+// Send latency histogram bucket bounds in milliseconds
+const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+class SelfTelemetry {
+  constructor() {
+    this.logsSent = 0;
+    this.bytesSent = 0;
+    this.batchesSent = 0;
+    this.batchesFailed = 0;
+    this.lastSuccessAt = null;
+    this.lastError = null;  // { message, status, sessionId, at }
+    this._latencyCounts = LATENCY_BUCKETS_MS.map(() => 0);  // Non-cumulative counts per bucket
+    this._latencyOverflow = 0;  // Sends slower than the largest bucket
+    this._latencySum = 0;
+    this._latencyCount = 0;
+  }
+
+  /**
+   * Record a delivered batch
+   * @param {number} count - Logs in the batch
+   * @param {number} bytes - Bytes sent on the wire (after compression)
+   */
+  recordSent(count, bytes) {
+    this.logsSent += count;
+    this.bytesSent += bytes;
+    this.batchesSent += 1;
+    this.lastSuccessAt = Date.now();
+  }
+
+  /**
+   * Record a failed send attempt
+   * @param {string} message - Error description
+   * @param {number|null} status - HTTP status, or null for network errors
+   * @param {string|null} sessionId - Target session
+   */
+  recordFailure(message, status, sessionId) {
+    this.batchesFailed += 1;
+    this.lastError = { message, status, sessionId, at: Date.now() };
+  }
+
+  /**
+   * Add a request duration to the latency histogram (every answered request, successful or not)
+   * @param {number} latencyMs - Request duration in milliseconds
+   */
+  recordLatency(latencyMs) {
+    const index = LATENCY_BUCKETS_MS.findIndex((bound) => latencyMs <= bound);
+    if (index === -1) {
+      this._latencyOverflow += 1;
+    } else {
+      this._latencyCounts[index] += 1;
+    }
+    this._latencySum += latencyMs;
+    this._latencyCount += 1;
+  }
+
+  /**
+   * Get the latency histogram with cumulative bucket counts
+   * @returns {object} { buckets: { [le]: count }, sum, count }
+   */
+  getLatencyHistogram() {
+    const buckets = {};
+    let cumulative = 0;
+    LATENCY_BUCKETS_MS.forEach((bound, i) => {
+      cumulative += this._latencyCounts[i];
+      buckets[bound] = cumulative;
+    });
+    buckets['+Inf'] = cumulative + this._latencyOverflow;
+    return { buckets, sum: this._latencySum, count: this._latencyCount };
+  }
+
+  /**
+   * Get a snapshot of all counters
+   * @returns {object} Telemetry snapshot
+   */
+  snapshot() {
+    return {
+      logsSent: this.logsSent,
+      bytesSent: this.bytesSent,
+      batchesSent: this.batchesSent,
+      batchesFailed: this.batchesFailed,
+      sendLatencyMs: this.getLatencyHistogram(),
+      lastSuccessAt: this.lastSuccessAt ? new Date(this.lastSuccessAt).toISOString() : null,
+      lastError: this.lastError ? { ...this.lastError, at: new Date(this.lastError.at).toISOString() } : null,
+    };
+  }
+}
+
+/**
+ * Escape a Prometheus label value
+ * @private
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render client status and telemetry in the Prometheus text exposition format
+ * @param {object} status - Result of VibexClient.getStatus()
+ * @param {SelfTelemetry} telemetry - Client telemetry
+ * @param {string} prefix - Metric name prefix (default: 'vibex_sdk')
+ * @returns {string} Prometheus text
+ */
+function renderPrometheus(status, telemetry, prefix = 'vibex_sdk') {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${prefix}_${name} ${help}`);
+    lines.push(`# TYPE ${prefix}_${name} ${type}`);
+    for (const [suffix, labels, value] of samples) {
+      const labelText = Object.keys(labels).length > 0
+        ? `{${Object.entries(labels).map(([key, val]) => `${key}="${escapeLabel(val)}"`).join(',')}}`
+        : '';
+      lines.push(`${prefix}_${name}${suffix}${labelText} ${value}`);
+    }
+  };
+
+  metric('enabled', 'gauge', 'Whether the client can send logs (1) or is disabled (0).', [['', {}, status.enabled ? 1 : 0]]);
+  metric('queue_size', 'gauge', 'Logs waiting to be sent.', [['', {}, status.queueSize]]);
+  metric('logs_sent_total', 'counter', 'Logs accepted by the ingest API.', [['', {}, telemetry.logsSent]]);
+  metric('bytes_sent_total', 'counter', 'Request body bytes sent, after compression.', [['', {}, telemetry.bytesSent]]);
+  metric('batches_sent_total', 'counter', 'Batches accepted by the ingest API.', [['', {}, telemetry.batchesSent]]);
+  metric('batches_failed_total', 'counter', 'Failed send attempts (including retried ones).', [['', {}, telemetry.batchesFailed]]);
+  metric('logs_dropped_total', 'counter', 'Logs dropped, by reason.',
+    Object.entries(status.dropped || {}).map(([reason, count]) => ['', { reason }, count]));
+  metric('logs_truncated_total', 'counter', 'Logs shrunk to fit the serialization size limit.', [['', {}, status.truncated || 0]]);
+  metric('logs_suppressed_total', 'counter', 'Logs sampled out or suppressed before queueing, by reason.', [
+    ['', { reason: 'sampled' }, status.sampled || 0],
+    ...Object.entries(status.suppressed || {}).map(([reason, count]) => ['', { reason }, count]),
+  ]);
+
+  const histogram = telemetry.getLatencyHistogram();
+  metric('send_latency_ms', 'histogram', 'Ingest request duration in milliseconds.', [
+    ...Object.entries(histogram.buckets).map(([le, count]) => ['_bucket', { le }, count]),
+    ['_sum', {}, histogram.sum],
+    ['_count', {}, histogram.count],
+  ]);
+
+  if (telemetry.lastError) {
+    metric('last_error_timestamp_seconds', 'gauge', 'Time of the last failed send attempt.',
+      [['', {}, Math.floor(telemetry.lastError.at / 1000)]]);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  LATENCY_BUCKETS_MS,
+  SelfTelemetry,
+  renderPrometheus,
+};
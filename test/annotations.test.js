@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { VibexClient, createLogger } = require('..');
+const { validateAnnotation, buildAnnotationLog, detectBuildInfo, deployAnnotationFromEnv } = require('../annotations');
+const { createCapture } = require('../testing');
+const { TEST_PLATFORM } = require('./helpers');
+
+const GITHUB_ENV = {
+  GITHUB_ACTIONS: 'true',
+  GITHUB_SHA: '1a2b3c4d5e6f',
+  GITHUB_RUN_NUMBER: '128',
+  GITHUB_RUN_ID: '9001',
+  GITHUB_REF_NAME: 'main',
+  GITHUB_REPOSITORY: 'acme/api',
+  GITHUB_SERVER_URL: 'https://github.com',
+};
+
+test('annotations are built as hybrid logs with an _annotation marker', () => {
+  const { payload, timestamp } = buildAnnotationLog({
+    title: ' Incident: checkout errors ',
+    kind: 'incident',
+    tags: { service: 'api', ignored: null },
+    links: ['https://status.example.com/1', { url: 'https://runbook.example.com', title: 'Runbook' }],
+    time: '2026-10-19T10:00:00Z',
+    durationMs: 90000,
+    level: 'error',
+  });
+
+  assert.strictEqual(timestamp, Date.parse('2026-10-19T10:00:00Z'));
+  assert.deepStrictEqual(payload, {
+    message: 'Incident: checkout errors',
+    level: 'error',
+    metrics: { duration_ms: 90000 },
+    context: { service: 'api', annotation_kind: 'incident' },
+    _annotation: {
+      kind: 'incident',
+      title: 'Incident: checkout errors',
+      start_time: '2026-10-19T10:00:00.000Z',
+      tags: { service: 'api' },
+      links: [{ url: 'https://status.example.com/1' }, { url: 'https://runbook.example.com', title: 'Runbook' }],
+      end_time: '2026-10-19T10:01:30.000Z',
+      duration_ms: 90000,
+    },
+  });
+});
+
+test('invalid annotations are rejected', () => {
+  assert.throws(() => validateAnnotation(null), /must be an object/);
+  assert.throws(() => validateAnnotation({ title: '  ' }), /"title" must be a non-empty string/);
+  assert.throws(() => validateAnnotation({ title: 'x', kind: 'outage' }), /Unknown annotation kind "outage"/);
+  assert.throws(() => validateAnnotation({ title: 'x', tags: { nested: {} } }), /tag "nested" must be a string/);
+  assert.throws(() => validateAnnotation({ title: 'x', links: ['ftp://host'] }), /is not an http\(s\) URL/);
+  assert.throws(() => validateAnnotation({ title: 'x', time: 'yesterday' }), /"time" must be a Date/);
+  assert.throws(() => validateAnnotation({ title: 'x', endTime: 2, durationMs: 1 }), /either "endTime" or "durationMs"/);
+  assert.throws(() => validateAnnotation({ title: 'x', time: 10, endTime: 5 }), /must not be before "time"/);
+  assert.strictEqual(validateAnnotation({ title: 'x' }).kind, 'custom');
+});
+
+test('build info is read from CI environment variables', () => {
+  assert.deepStrictEqual(detectBuildInfo(GITHUB_ENV), {
+    provider: 'github_actions',
+    commit: '1a2b3c4d5e6f',
+    build: '128',
+    branch: 'main',
+    repository: 'acme/api',
+    environment: null,
+    buildUrl: 'https://github.com/acme/api/actions/runs/9001',
+    commitUrl: 'https://github.com/acme/api/commit/1a2b3c4d5e6f',
+  });
+
+  const generic = detectBuildInfo({ GIT_SHA: 'abcdef1234', BUILD_ID: '7', NODE_ENV: 'production' });
+  assert.strictEqual(generic.provider, null);
+  assert.strictEqual(generic.commit, 'abcdef1234');
+  assert.strictEqual(generic.build, '7');
+  assert.strictEqual(generic.environment, 'production');
+});
+
+test('deploy annotations are titled and tagged from the build info', () => {
+  const annotation = deployAnnotationFromEnv({ service: 'api', tags: { region: 'eu' } }, GITHUB_ENV);
+
+  assert.strictEqual(annotation.kind, 'deploy');
+  assert.strictEqual(annotation.title, 'Deploy api 1a2b3c4 (#128)');
+  assert.deepStrictEqual(annotation.tags, {
+    service: 'api',
+    commit: '1a2b3c4d5e6f',
+    build: '128',
+    branch: 'main',
+    repository: 'acme/api',
+    ci_provider: 'github_actions',
+    region: 'eu',
+  });
+  assert.deepStrictEqual(annotation.links.map((link) => link.title), ['Build', 'Commit']);
+  assert.strictEqual(deployAnnotationFromEnv({ version: '1.4.0' }, {}).title, 'Deploy 1.4.0');
+});
+
+test('client.annotate skips sampling and markDeploy reads the platform environment', async () => {
+  const capture = createCapture();
+  const client = new VibexClient({ configFile: false }, false, {
+    capture,
+    sampling: { info: 0 },
+    platform: { ...TEST_PLATFORM, env: GITHUB_ENV },
+  });
+
+  await client.annotate({ title: 'Flag checkout_v2 on', kind: 'feature_flag' });
+  await client.markDeploy({ service: 'api' });
+  await client.sendLog('json', { message: 'sampled out', level: 'info' });
+
+  const flag = await capture.waitFor({ message: 'Flag checkout_v2 on' });
+  assert.strictEqual(flag.payload._annotation.kind, 'feature_flag');
+  const deploy = await capture.waitFor({ message: 'Deploy api 1a2b3c4 (#128)' });
+  assert.strictEqual(deploy.payload._annotation.tags.commit, '1a2b3c4d5e6f');
+  assert.strictEqual(capture.logs.length, 2);
+  assert.throws(() => client.annotate({ kind: 'deploy' }), /"title" must be a non-empty string/);
+});
+
+test('logger.mark adds scalar bindings as tags', async () => {
+  const capture = createCapture();
+  const logger = createLogger({ config: { configFile: false }, capture, platform: TEST_PLATFORM })
+    .child({ service: 'billing', request: { id: 1 } });
+
+  await logger.mark({ title: 'Release 2.0', kind: 'release', tags: { version: '2.0' } });
+
+  const log = await capture.waitFor({ message: 'Release 2.0' });
+  assert.deepStrictEqual(log.payload._annotation.tags, { service: 'billing', version: '2.0' });
+});
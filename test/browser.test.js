@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { startServer, deliveredMessages, bundle } = require('./helpers');
+
+/**
+ * Load the bundled browser build into a fresh jsdom page
+ * jsdom has no fetch or TextEncoder - the page gets Node's, as a browser would have its own
+ */
+function loadPage(t) {
+  const dom = new JSDOM('<!doctype html><html><body></body></html>', { url: 'http://localhost/', runScripts: 'outside-only' });
+  t.after(() => dom.window.close());
+  dom.window.fetch = fetch;
+  dom.window.TextEncoder = TextEncoder;
+  dom.window.eval(bundle('browser.js'));
+  return dom.window;
+}
+
+test('the browser build bundles without Node built-ins and runs in a page', (t) => {
+  const window = loadPage(t);
+
+  assert.strictEqual(typeof window.process, 'undefined');
+  assert.strictEqual(typeof window.Vibex.createBrowserClient, 'function');
+});
+
+test('a page sends logs with fetch and lifecycle events still work', async (t) => {
+  const server = await startServer(t);
+  const window = loadPage(t);
+  const client = window.Vibex.createBrowserClient({ config: server.config() });
+  const sent = [];
+  client.on('batch:sent', (event) => sent.push(event.count));
+
+  await client.sendLog('json', { message: 'checkout opened', level: 'info' });
+  await client.flush();
+
+  assert.deepStrictEqual(deliveredMessages(server), ['checkout opened']);
+  assert.deepStrictEqual(sent, [1]);
+});
+
+test('logs still queued when the page is hidden go out with sendBeacon', async (t) => {
+  const server = await startServer(t);
+  const window = loadPage(t);
+  const beacons = [];
+  window.navigator.sendBeacon = (url, body) => {
+    beacons.push({ url, type: body.type });
+    return true;
+  };
+  const client = window.Vibex.createBrowserClient({
+    config: server.config(),
+    beaconUrl: '/api/vibex-beacon',
+    batchIntervalMs: 60000,
+  });
+
+  await client.sendLog('json', { message: 'leaving', level: 'info' });
+  window.dispatchEvent(new window.Event('pagehide'));
+
+  assert.deepStrictEqual(beacons, [{ url: '/api/vibex-beacon', type: 'application/json' }]);
+  assert.strictEqual(server.requests.length, 0);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseArgs, lineToHybrid } = require('../cli');
+const { version } = require('../package.json');
+const { startServer, tempDir } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+/**
+ * Run vibex-pipe with a clean environment (no config file, no VIBEX_* variables)
+ * closeStdout stops reading its output after the first chunk; signal is sent once it prints "ready"
+ * @returns {Promise<object>} { code, stdout, stderr }
+ */
+function runCli(t, args, { input = '', env = {}, closeStdout = false, signal = null } = {}) {
+  const home = tempDir(t);
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI, ...args], {
+      env: { PATH: process.env.PATH, HOME: home, USERPROFILE: home, ...env },
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (closeStdout) {
+        child.stdout.destroy();  // Like `vibex-pipe | head -1`
+      }
+      if (signal && stdout.includes('ready')) {
+        child.kill(signal);
+        signal = null;
+      }
+    });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+    child.stdin.end(input);
+  });
+}
+
+const serverEnv = (server) => {
+  const config = server.config();
+  return { VIBEX_TOKEN: config.token, VIBEX_SESSION_ID: config.sessionId, VIBEX_API_URL: config.apiUrl };
+};
+
+test('options are parsed per command', () => {
+  const { command, options, commandArgs } = parseArgs(['wrap', '--tag', 'job=nightly', '--quiet', '--', './job.sh', '--fast']);
+  assert.strictEqual(command, 'wrap');
+  assert.deepStrictEqual(options.tags, { job: 'nightly' });
+  assert.strictEqual(options.quiet, true);
+  assert.deepStrictEqual(commandArgs, ['./job.sh', '--fast']);
+
+  assert.throws(() => parseArgs(['--tag', 'novalue']), /--tag must look like key=value/);
+  assert.throws(() => parseArgs(['--bogus']), /Unknown option "--bogus"/);
+});
+
+test('text, logfmt and JSON lines become hybrid logs', () => {
+  assert.deepStrictEqual(lineToHybrid('[warn] disk almost full', {}, 'info'), {
+    message: '[warn] disk almost full', level: 'warn', metrics: {}, context: {},
+  });
+  const logfmt = lineToHybrid('level=error msg="db failed" duration_ms=12', { stream: 'stdout' }, 'info');
+  assert.strictEqual(logfmt.level, 'error');
+  assert.strictEqual(logfmt.message, 'db failed');
+  assert.strictEqual(logfmt.metrics.duration_ms, 12);
+  assert.strictEqual(logfmt.context.stream, 'stdout');
+
+  const url = lineToHybrid('GET https://example.com/?a=1 took long', {}, 'info');
+  assert.strictEqual(url.message, 'GET https://example.com/?a=1 took long');
+  assert.deepStrictEqual(url.context, {});
+  assert.strictEqual(lineToHybrid('{"message":"hi","level":"debug"}', {}, 'info').level, 'debug');
+});
+
+test('--version prints the CLI version and --release sets the released version', async (t) => {
+  const printed = await runCli(t, ['--version']);
+  assert.strictEqual(printed.code, 0);
+  assert.strictEqual(printed.stdout.trim(), version);
+
+  assert.strictEqual(parseArgs(['mark', 'deploy', '--release', '2.4.1']).options.release, '2.4.1');
+});
+
+test('mark sends an annotation with the released version', async (t) => {
+  const server = await startServer(t);
+  const result = await runCli(t, ['mark', 'release', '--title', 'Release', '--release', '2.4.1'], { env: serverEnv(server) });
+
+  assert.strictEqual(result.code, 0, result.stderr);
+  const [log] = server.requests[0].body.logs;
+  assert.strictEqual(log.payload.context.version, '2.4.1');
+});
+
+test('piped lines are echoed and sent', async (t) => {
+  const server = await startServer(t);
+  const result = await runCli(t, ['--tag', 'job=nightly'], { input: 'first\nERROR second\n', env: serverEnv(server) });
+
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.strictEqual(result.stdout, 'first\nERROR second\n');
+  const logs = server.requests.reduce((all, request) => all.concat(request.body.logs), []);
+  assert.deepStrictEqual(logs.map((log) => [log.payload.message, log.payload.level]), [['first', 'info'], ['ERROR second', 'error']]);
+  assert.strictEqual(logs[0].payload.context.job, 'nightly');
+});
+
+test('piping keeps sending after the reader of its output goes away', async (t) => {
+  const server = await startServer(t);
+  const lines = Array.from({ length: 20000 }, (_, i) => `line ${i}`);
+  const result = await runCli(t, [], { input: `${lines.join('\n')}\n`, env: serverEnv(server), closeStdout: true });
+
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.doesNotMatch(result.stderr, /EPIPE/);
+  const sent = server.requests.reduce((total, request) => total + request.body.logs.length, 0);
+  assert.strictEqual(sent, lines.length);
+});
+
+test('piping without a token passes input through and exits with 0', async (t) => {
+  const result = await runCli(t, [], { input: 'first\nsecond\n' });
+
+  assert.strictEqual(result.code, 0);
+  assert.strictEqual(result.stdout, 'first\nsecond\n');
+  assert.match(result.stderr, /vibex-pipe: warning: logs are not being sent/);
+});
+
+// Counts the signals it gets, then exits with that count
+const TRAP_SCRIPT = `
+  let count = 0;
+  process.on('SIGINT', () => { count++; });
+  process.on('SIGTERM', () => { count++; });
+  console.log('ready');
+  setTimeout(() => process.exit(count), 1000);
+`;
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  test(`wrap without a terminal passes ${signal} on to the command once`, async (t) => {
+    const server = await startServer(t);
+    const result = await runCli(t, ['wrap', '--', process.execPath, '-e', TRAP_SCRIPT], { env: serverEnv(server), signal });
+
+    assert.strictEqual(result.code, 1, result.stderr);
+    assert.strictEqual(result.stdout, 'ready\n');
+  });
+}
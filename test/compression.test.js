@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { resolveCompressionOptions, encodeBody } = require('../compression');
+const { startServer, createClient, deliveredMessages } = require('./helpers');
+
+const bigMessage = (i) => `log ${i} ${'x'.repeat(200)}`;
+
+test('compression options resolve to a supported encoding', () => {
+  assert.strictEqual(resolveCompressionOptions(true).encoding, 'gzip');
+  assert.strictEqual(resolveCompressionOptions('brotli').encoding, 'br');
+  assert.strictEqual(resolveCompressionOptions('zstd').encoding, 'identity');
+  assert.strictEqual(resolveCompressionOptions(undefined).encoding, 'identity');
+  assert.deepStrictEqual(resolveCompressionOptions({ threshold: 10 }), { encoding: 'gzip', threshold: 10 });
+});
+
+test('bodies below the threshold are sent as-is', async () => {
+  const options = resolveCompressionOptions({ encoding: 'gzip', threshold: 1024 });
+  assert.deepStrictEqual(await encodeBody('{"small":true}', options), { body: '{"small":true}', encoding: 'identity' });
+
+  const large = JSON.stringify({ data: 'y'.repeat(4096) });
+  const encoded = await encodeBody(large, options);
+  assert.strictEqual(encoded.encoding, 'gzip');
+  assert.strictEqual(zlib.gunzipSync(encoded.body).toString(), large);
+});
+
+for (const encoding of ['gzip', 'deflate', 'br']) {
+  test(`batches are sent with ${encoding} and a matching Content-Encoding`, async (t) => {
+    const server = await startServer(t);
+    const client = createClient(server, { compression: encoding });
+
+    for (let i = 0; i < 10; i++) {
+      await client.sendLog('json', { message: bigMessage(i) });
+    }
+    await client.flush();
+
+    assert.strictEqual(server.requests[0].headers['content-encoding'], encoding);
+    assert.strictEqual(deliveredMessages(server).length, 10);
+  });
+}
+
+test('a 415 response turns compression off and resends the batch uncompressed', async (t) => {
+  const server = await startServer(t);
+  server.respondOnce(415);
+  const client = createClient(server, { compression: 'gzip' });
+
+  for (let i = 0; i < 10; i++) {
+    await client.sendLog('json', { message: bigMessage(i) });
+  }
+  await client.flush();
+
+  assert.deepStrictEqual(server.requests.map((request) => request.headers['content-encoding']), ['gzip', undefined]);
+  assert.strictEqual(deliveredMessages(server).length, 10);
+  assert.strictEqual(client.getStatus().compression, 'identity');
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const VibexConfig = require('../config');
+const { tempDir } = require('./helpers');
+
+const TOKEN = 'vb_live_abc123';
+
+function writeConfig(dir, name, data) {
+  fs.writeFileSync(path.join(dir, name), typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+test('options override environment variables, which override the config file', (t) => {
+  const cwd = tempDir(t);
+  writeConfig(cwd, '.vibexrc', { token: 'vb_live_file', sessionId: 'from-file', apiUrl: 'https://file.example/ingest' });
+
+  const config = new VibexConfig({
+    cwd,
+    sessionId: 'from-options',
+    env: { VIBEX_TOKEN: TOKEN, VIBEX_SESSION_ID: 'from-env' },
+  });
+
+  assert.strictEqual(config.configFile, path.join(cwd, '.vibexrc'));
+  assert.strictEqual(config.token, TOKEN);
+  assert.strictEqual(config.getSessionId(), 'vibex-from-options');
+  assert.strictEqual(config.apiUrl, 'https://file.example/ingest');
+  assert.ok(config.isValid());
+});
+
+test('the selected profile overrides top-level file settings', (t) => {
+  const cwd = tempDir(t);
+  writeConfig(cwd, '.vibexrc.json', {
+    token: TOKEN,
+    sessionId: 'top-level',
+    defaultProfile: 'staging',
+    profiles: {
+      staging: { sessionId: 'staging' },
+      production: { sessionId: 'production', workerUrl: 'https://worker.example/' },
+    },
+  });
+
+  assert.strictEqual(new VibexConfig({ cwd, env: {} }).getSessionId(), 'vibex-staging');
+
+  const production = new VibexConfig({ cwd, env: { VIBEX_PROFILE: 'production' } });
+  assert.strictEqual(production.profile, 'production');
+  assert.strictEqual(production.getSessionId(), 'vibex-production');
+  assert.strictEqual(production.apiUrl, 'https://worker.example/api/v1/ingest');
+  assert.strictEqual(production.token, TOKEN);
+});
+
+test('settings are read from package.json#vibex', (t) => {
+  const cwd = tempDir(t);
+  writeConfig(cwd, 'package.json', { name: 'app', vibex: { token: TOKEN, sessionId: 'app' } });
+
+  const config = new VibexConfig({ cwd, env: {} });
+
+  assert.strictEqual(config.getSessionId(), 'vibex-app');
+  assert.ok(config.isValid());
+});
+
+test('a broken config file is a warning when the environment supplies every setting', (t) => {
+  const cwd = tempDir(t);
+  writeConfig(cwd, '.vibexrc', '{ not json');
+
+  const config = new VibexConfig({ cwd, env: { VIBEX_TOKEN: TOKEN, VIBEX_SESSION_ID: 'env' } });
+  assert.ok(config.isValid());
+  assert.strictEqual(config.getWarnings().length, 1);
+  assert.match(config.getWarnings()[0], /Could not load config file .*\.vibexrc/);
+
+  const missing = new VibexConfig({ cwd, env: { VIBEX_TOKEN: TOKEN } });
+  assert.ok(!missing.isValid());
+  assert.ok(missing.getMissing().some((error) => /Could not load config file/.test(error)));
+  assert.ok(missing.getMissing().some((error) => /VIBEX_SESSION_ID is not set/.test(error)));
+});
+
+test('an unknown profile lists the available ones', (t) => {
+  const cwd = tempDir(t);
+  writeConfig(cwd, '.vibexrc', { profiles: { staging: { token: TOKEN, sessionId: 'staging' } } });
+
+  const config = new VibexConfig({ cwd, profile: 'prod', env: {} });
+
+  assert.ok(!config.isValid());
+  assert.ok(config.getMissing().some((error) => /Profile "prod" not found.*Available profiles: staging/.test(error)));
+});
+
+test('missing and malformed settings are reported', () => {
+  const empty = new VibexConfig({ configFile: false, env: {} });
+  assert.strictEqual(empty.apiUrl, 'https://ingest.vibex.sh/api/v1/ingest');
+  assert.strictEqual(empty.getMissing().length, 2);
+
+  const invalid = new VibexConfig({ configFile: false, env: {}, token: TOKEN, sessionId: 'has spaces', apiUrl: 'ftp://x' });
+  const errors = invalid.getMissing();
+  assert.ok(errors.some((error) => /VIBEX_SESSION_ID "has spaces" is invalid/.test(error)));
+  assert.ok(errors.some((error) => /API URL "ftp:\/\/x" is not a valid http\(s\) URL/.test(error)));
+
+  const quoted = new VibexConfig({ configFile: false, env: {}, token: `"${TOKEN}"`, sessionId: 'app' });
+  assert.ok(quoted.isValid());
+  assert.match(quoted.getWarnings()[0], /doesn't look like a Vibex token/);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const { VibexClient, VibexHandler, runWithContext, setContext, getContext } = require('..');
+const { applyContext } = require('../context');
+const { createCapture } = require('../testing');
+const { TEST_PLATFORM } = require('./helpers');
+
+test('nested scopes inherit and override their parent fields', () => {
+  runWithContext({ request_id: 'r1', user_id: 'u1' }, () => {
+    runWithContext({ user_id: 'u2' }, () => {
+      assert.deepStrictEqual(getContext(), { request_id: 'r1', user_id: 'u2' });
+    });
+    assert.deepStrictEqual(getContext(), { request_id: 'r1', user_id: 'u1' });
+  });
+  assert.deepStrictEqual(getContext(), {});
+});
+
+test('context follows async work and setContext adds to the current scope', async () => {
+  const seen = await runWithContext({ request_id: 'r1' }, async () => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    setContext({ user_id: 'u1' });
+    await Promise.resolve();
+    return getContext();
+  });
+
+  assert.deepStrictEqual(seen, { request_id: 'r1', user_id: 'u1' });
+  assert.deepStrictEqual(getContext(), {});
+});
+
+test('explicit context fields win and text payloads are left alone', () => {
+  runWithContext({ request_id: 'r1', user_id: 'u1' }, () => {
+    const payload = { message: 'a', context: { user_id: 'explicit' } };
+    assert.deepStrictEqual(applyContext(payload), { message: 'a', context: { request_id: 'r1', user_id: 'explicit' } });
+    assert.deepStrictEqual(payload.context, { user_id: 'explicit' });
+    assert.strictEqual(applyContext('plain text'), 'plain text');
+  });
+});
+
+test('client.sendLog merges the scope into hybrid.context', async () => {
+  const capture = createCapture();
+  const client = new VibexClient({ configFile: false }, false, { capture, platform: TEST_PLATFORM });
+
+  await runWithContext({ request_id: 'r1' }, async () => {
+    await client.sendLog('json', { message: 'inside', context: { user_id: 'u1' } });
+  });
+  await client.sendLog('json', { message: 'outside' });
+
+  assert.deepStrictEqual((await capture.waitFor({ message: 'inside' })).payload.context, { request_id: 'r1', user_id: 'u1' });
+  assert.strictEqual((await capture.waitFor({ message: 'outside' })).payload.context, undefined);
+});
+
+test('the Winston handler merges the scope, with per-call fields winning', async () => {
+  const capture = createCapture();
+  const handler = new VibexHandler({ capture, passthroughConsole: false, platform: TEST_PLATFORM });
+  const logger = winston.createLogger({ transports: [handler] });
+
+  runWithContext({ request_id: 'r1', user_id: 'u1' }, () => {
+    logger.info(JSON.stringify({ message: 'checkout', user_id: 'u2' }));
+  });
+
+  const log = await capture.waitFor({ message: 'checkout' });
+  assert.strictEqual(log.payload.context.request_id, 'r1');
+  assert.strictEqual(log.payload.context.user_id, 'u2');
+});
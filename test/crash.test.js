@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { buildCrashLog } = require('../crash');
+const { startServer, tempDir } = require('./helpers');
+
+const root = path.join(__dirname, '..');
+
+/**
+ * Run a script with a crash-reporting client pointed at a fake ingest server
+ * @private
+ */
+function runApp(server, directory, script, { execArgv = [], crashReporter = {} } = {}) {
+  const setup = `
+    const { VibexClient } = require('./');
+    const client = new VibexClient(${JSON.stringify(server.config())}, false, {
+      crashReporter: ${JSON.stringify({ directory, ...crashReporter })},
+    });
+  `;
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [...execArgv, '-e', `${setup}\n${script}`], { cwd: root });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+test('crash logs carry the exception and process details', () => {
+  const hybrid = buildCrashLog('uncaughtException', new TypeError('bad input'), 'error');
+  assert.strictEqual(hybrid.message, 'TypeError: bad input');
+  assert.strictEqual(hybrid.level, 'error');
+  assert.strictEqual(hybrid.exception.message, 'bad input');
+  assert.strictEqual(hybrid.context.event, 'uncaughtException');
+  assert.strictEqual(hybrid.context.pid, process.pid);
+  assert.strictEqual(hybrid.context.node_version, process.version);
+
+  const rejection = buildCrashLog('unhandledRejection', 'plain reason', 'error');
+  assert.strictEqual(rejection.message, 'plain reason');
+  assert.strictEqual(rejection.exception.type, 'NonErrorRejection');
+});
+
+test('an uncaught exception is delivered before the process exits with code 1', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+
+  const result = await runApp(server, directory, `
+    client.sendLog('json', { message: 'before the crash' });
+    setTimeout(() => { throw new Error('boom'); }, 10);
+  `);
+
+  assert.strictEqual(result.code, 1);
+  assert.match(result.stderr, /Error: boom/);
+  const messages = server.logs.map((log) => log.payload.message);
+  assert.ok(messages.includes('before the crash'), messages.join(', '));
+  const crash = server.logs.find((log) => log.payload.message === 'Error: boom');
+  assert.strictEqual(crash.payload.context.event, 'uncaughtException');
+  assert.deepStrictEqual(fs.readdirSync(directory).filter((name) => !name.startsWith('.')), []);
+});
+
+test('undelivered crash logs are written to disk and replayed on the next start', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+  server.respondWith('hang');
+
+  const crashed = await runApp(server, directory, `
+    setTimeout(() => { throw new Error('offline'); }, 10);
+  `, { crashReporter: { deadlineMs: 200 } });
+  assert.strictEqual(crashed.code, 1);
+  assert.match(crashed.stderr, /Error: offline/);
+  assert.ok(server.requests.every((request) => request.response.hang));
+
+  server.reset();
+  const restarted = await runApp(server, directory, 'client.flush();');
+  assert.strictEqual(restarted.code, 0, restarted.stderr);
+  const replayed = server.logs.find((log) => log.payload.message === 'Error: offline');
+  assert.ok(replayed, 'crash log was not replayed');
+  assert.strictEqual(replayed.payload.context.event, 'uncaughtException');
+});
+
+test('the app keeps control when it handles uncaught exceptions itself', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+
+  const result = await runApp(server, directory, `
+    process.on('uncaughtException', (error) => {
+      console.log('handled ' + error.message);
+      setTimeout(() => client.flush(), 50);
+    });
+    setTimeout(() => { throw new Error('recoverable'); }, 10);
+  `);
+
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.strictEqual(result.stdout.trim(), 'handled recoverable');
+  assert.ok(server.logs.some((log) => log.payload.message === 'Error: recoverable'));
+});
+
+test('unhandled rejections follow --unhandled-rejections=warn and warnings are recorded', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+
+  const result = await runApp(server, directory, `
+    Promise.reject(new Error('ignored'));
+    process.emitWarning('careful');
+    setTimeout(() => client.flush(), 50);
+  `, { execArgv: ['--unhandled-rejections=warn'] });
+
+  assert.strictEqual(result.code, 0, result.stderr);
+  const rejection = server.logs.find((log) => log.payload.message === 'Error: ignored');
+  assert.strictEqual(rejection.payload.context.event, 'unhandledRejection');
+  const warning = server.logs.find((log) => log.payload.context && log.payload.context.event === 'warning');
+  assert.strictEqual(warning.payload.level, 'warn');
+  assert.match(warning.payload.message, /careful/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EdgeVM } = require('@edge-runtime/vm');
+const { startServer, deliveredMessages, bundle } = require('./helpers');
+
+/**
+ * Load the bundled edge build into a fresh edge runtime (no process, no Node built-ins)
+ */
+function loadWorker() {
+  const vm = new EdgeVM();
+  vm.evaluate(bundle('edge.js'));
+  return vm;
+}
+
+const workerEnv = (server) => {
+  const config = server.config();
+  return { VIBEX_TOKEN: config.token, VIBEX_SESSION_ID: config.sessionId, VIBEX_API_URL: config.apiUrl };
+};
+
+test('the edge build runs without Node globals', () => {
+  const vm = loadWorker();
+
+  assert.strictEqual(vm.evaluate('typeof process'), 'undefined');
+  assert.strictEqual(vm.evaluate('typeof Vibex.withVibex'), 'function');
+});
+
+test('withVibex delivers a request\'s logs through waitUntil', async (t) => {
+  const server = await startServer(t);
+  const vm = loadWorker();
+  const handler = vm.evaluate(`Vibex.withVibex(async (request, env, ctx, client) => {
+    client.sendLog('json', { message: 'request ' + new URL(request.url).pathname, level: 'info' });
+    return new Response('ok');
+  })`);
+  const pending = [];
+  const ctx = { waitUntil: (promise) => pending.push(promise) };
+
+  const response = await handler(new vm.context.Request('https://worker.example/checkout'), workerEnv(server), ctx);
+  assert.strictEqual(await response.text(), 'ok');
+  assert.strictEqual(pending.length, 1);
+  await Promise.all(pending);
+
+  assert.deepStrictEqual(deliveredMessages(server), ['request /checkout']);
+});
+
+test('createEdgeClient reads its settings from env bindings and keeps logging after a drain', async (t) => {
+  const server = await startServer(t);
+  const vm = loadWorker();
+  const client = vm.context.Vibex.createEdgeClient({ env: workerEnv(server) });
+
+  await client.sendLog('json', { message: 'first' });
+  await vm.context.Vibex.flushWith(client, null);
+  await client.sendLog('json', { message: 'second' });
+  await client.drain();
+
+  assert.deepStrictEqual(deliveredMessages(server), ['first', 'second']);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const { VibexHandler } = require('..');
+const { serializeError, serializeErrors, parseStack } = require('../errors');
+const { createCapture } = require('../testing');
+const { TEST_PLATFORM } = require('./helpers');
+
+test('serializeError keeps type, message, code, properties and the cause chain', () => {
+  const cause = new TypeError('bad input');
+  const error = new Error('request failed', { cause });
+  error.code = 'E_FAILED';
+  error.statusCode = 502;
+
+  const serialized = serializeError(error);
+  assert.strictEqual(serialized.type, 'Error');
+  assert.strictEqual(serialized.message, 'request failed');
+  assert.strictEqual(serialized.code, 'E_FAILED');
+  assert.deepStrictEqual(serialized.properties, { statusCode: 502 });
+  assert.strictEqual(serialized.cause.type, 'TypeError');
+  assert.match(serialized.fingerprint, /^[0-9a-f]{16}$/);
+  assert.ok(serialized.stack.length > 0);
+});
+
+test('parseStack reads V8 frames', () => {
+  const frames = parseStack('Error: x\n    at handler (/app/src/index.js:10:5)\n    at node:internal/timers:1:1');
+  assert.deepStrictEqual(frames[0], { function: 'handler', file: '/app/src/index.js', line: 10, column: 5, in_app: true });
+  assert.strictEqual(frames[1].in_app, false);
+});
+
+test('an error that references itself is serialized with a marker', () => {
+  const error = new Error('loop');
+  error.self = error;
+
+  const serialized = serializeError(error);
+  assert.strictEqual(serialized.properties.self, '[Circular]');
+});
+
+test('errors that reference each other are serialized with a marker', () => {
+  const first = new Error('first');
+  const second = new Error('second');
+  first.other = second;
+  second.other = first;
+
+  const serialized = serializeErrors({ error: first });
+  assert.strictEqual(serialized.error.properties.other.message, 'second');
+  assert.strictEqual(serialized.error.properties.other.properties.other, '[Circular]');
+});
+
+test('the Winston handler logs circular errors without crashing the logger', async () => {
+  const capture = createCapture();
+  const handler = new VibexHandler({ capture, passthroughConsole: false, platform: TEST_PLATFORM });
+  const logger = winston.createLogger({ transports: [handler] });
+  const errors = [];
+  logger.on('error', (error) => errors.push(error));
+
+  const first = new Error('first');
+  const second = new Error('second');
+  first.other = second;
+  second.other = first;
+  first.self = first;
+  logger.error('request failed', { error: first });
+
+  const log = await capture.waitFor({ message: 'request failed' });
+  assert.strictEqual(log.payload.exception.message, 'first');
+  assert.deepStrictEqual(errors, []);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SelfTelemetry, renderPrometheus } = require('../telemetry');
+const { startServer, createClient } = require('./helpers');
+
+const FAST_RETRY = { initialDelayMs: 10, maxDelayMs: 50, jitter: false };
+
+/**
+ * Record every lifecycle event a client emits
+ * @private
+ */
+function recordEvents(client) {
+  const events = [];
+  for (const name of ['batch:sent', 'batch:failed', 'log:dropped', 'rateLimited', 'disabled']) {
+    client.on(name, (data) => events.push([name, data]));
+  }
+  return events;
+}
+
+test('a delivered batch emits batch:sent and updates the telemetry', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server);
+  const events = recordEvents(client);
+
+  await client.sendLog('json', { message: 'a' });
+  await client.sendLog('json', { message: 'b' });
+  await client.flush();
+
+  assert.deepStrictEqual(events.map(([name]) => name), ['batch:sent']);
+  const sent = events[0][1];
+  assert.strictEqual(sent.sessionId, 'vibex-test-session');
+  assert.strictEqual(sent.count, 2);
+  assert.strictEqual(sent.status, 200);
+  assert.ok(sent.bytes > 0);
+
+  const { telemetry } = client.getStatus();
+  assert.strictEqual(telemetry.logsSent, 2);
+  assert.strictEqual(telemetry.bytesSent, sent.bytes);
+  assert.strictEqual(telemetry.batchesSent, 1);
+  assert.strictEqual(telemetry.sendLatencyMs.count, 1);
+  assert.ok(telemetry.lastSuccessAt);
+  assert.strictEqual(telemetry.lastError, null);
+});
+
+test('failed and rate-limited attempts are reported before the retry succeeds', async (t) => {
+  const server = await startServer(t);
+  server.respondOnce('serverError', { status: 429, body: { error: 'Rate limit exceeded' }, headers: { 'Retry-After': '0' } });
+  const client = createClient(server, { retry: FAST_RETRY });
+  const events = recordEvents(client);
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.deepStrictEqual(events.map(([name]) => name), ['batch:failed', 'batch:failed', 'rateLimited', 'batch:sent']);
+  assert.strictEqual(events[0][1].status, 500);
+  assert.strictEqual(events[0][1].retry, true);
+  assert.strictEqual(events[1][1].status, 429);
+  assert.deepStrictEqual(events[2][1], { sessionId: 'vibex-test-session', count: 1, status: 429, retryAfterMs: 0 });
+
+  const { telemetry } = client.getStatus();
+  assert.strictEqual(telemetry.batchesFailed, 2);
+  assert.strictEqual(telemetry.lastError.status, 429);
+  assert.strictEqual(telemetry.sendLatencyMs.count, 3);
+});
+
+test('a rejected token emits disabled and drops the batch', async (t) => {
+  const server = await startServer(t);
+  server.respondWith('unauthorized');
+  const client = createClient(server);
+  const events = recordEvents(client);
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  const disabled = events.find(([name]) => name === 'disabled')[1];
+  assert.deepStrictEqual(disabled, { sessionId: null, reason: 'Token expired or invalid (401/403)', status: 401 });
+  assert.deepStrictEqual(events.find(([name]) => name === 'log:dropped')[1], { reason: 'disabled', count: 1 });
+  assert.strictEqual(client.getStatus().dropped.disabled, 1);
+});
+
+test('a throwing listener does not break logging', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server);
+  client.on('batch:sent', () => {
+    throw new Error('listener bug');
+  });
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.strictEqual(server.logs.length, 1);
+  assert.strictEqual(client.getStatus().telemetry.logsSent, 1);
+});
+
+test('the latency histogram is cumulative', () => {
+  const telemetry = new SelfTelemetry();
+  [3, 7, 40, 20000].forEach((latencyMs) => telemetry.recordLatency(latencyMs));
+
+  const { buckets, sum, count } = telemetry.getLatencyHistogram();
+  assert.strictEqual(buckets[5], 1);
+  assert.strictEqual(buckets[10], 2);
+  assert.strictEqual(buckets[50], 3);
+  assert.strictEqual(buckets[10000], 3);
+  assert.strictEqual(buckets['+Inf'], 4);
+  assert.strictEqual(sum, 20050);
+  assert.strictEqual(count, 4);
+});
+
+test('status and telemetry render in the Prometheus text format', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server);
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  const text = client.getPrometheusMetrics();
+  assert.match(text, /^# TYPE vibex_sdk_logs_sent_total counter$/m);
+  assert.match(text, /^vibex_sdk_logs_sent_total 1$/m);
+  assert.match(text, /^vibex_sdk_send_latency_ms_bucket\{le="\+Inf"\} 1$/m);
+  assert.match(text, /^vibex_sdk_send_latency_ms_count 1$/m);
+
+  const custom = renderPrometheus({ enabled: true, queueSize: 0, dropped: { 'odd"reason': 2 } }, new SelfTelemetry(), 'app');
+  assert.match(custom, /^app_enabled 1$/m);
+  assert.match(custom, /^app_logs_dropped_total\{reason="odd\\"reason"\} 2$/m);
+});
@@ -0,0 +1,89 @@
+/**
+ * Shared helpers for the test suite
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VibexClient } = require('..');
+const { FakeIngestServer } = require('../testing');
+
+const ROOT = path.join(__dirname, '..');
+
+// Shutdown hooks are process-wide - tests create many clients, so none are registered
+const TEST_PLATFORM = { onShutdown: () => {} };
+
+/**
+ * Start a fake ingest server that is stopped when the test ends
+ * @param {TestContext} t - node:test context
+ * @returns {Promise<FakeIngestServer>} Running server
+ */
+async function startServer(t) {
+  const server = new FakeIngestServer();
+  await server.start();
+  t.after(() => server.stop());
+  return server;
+}
+
+/**
+ * Create a client that sends to a fake ingest server
+ * @param {FakeIngestServer} server - Target server
+ * @param {object} options - VibexClient options
+ * @param {object} config - VibexConfig overrides
+ * @returns {VibexClient} Client
+ */
+function createClient(server, options = {}, config = {}) {
+  return new VibexClient({ ...server.config(), ...config }, false, { platform: TEST_PLATFORM, ...options });
+}
+
+/**
+ * Create a temporary directory that is removed when the test ends
+ * @param {TestContext} t - node:test context
+ * @returns {string} Directory path
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibex-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Messages of received logs, without duplicates (failed requests are recorded too)
+ * @param {FakeIngestServer} server - Server
+ * @returns {string[]} Sorted messages
+ */
+function deliveredMessages(server) {
+  const delivered = server.requests
+    .filter((request) => request.body && request.response.status === 200)
+    .reduce((all, request) => all.concat(request.body.logs), []);
+  return Array.from(new Set(delivered.map((log) => log.payload.message))).sort();
+}
+
+/**
+ * Bundle an entry point for browsers the way a web or worker bundler would, honouring the browser field
+ * @param {string} entry - Entry file, relative to the package root (e.g. 'browser.js')
+ * @returns {string} Script that defines the entry's exports as the global `Vibex`
+ */
+function bundle(entry) {
+  const esbuild = require('esbuild');
+  const result = esbuild.buildSync({
+    entryPoints: [entry],
+    absWorkingDir: ROOT,
+    bundle: true,
+    platform: 'browser',
+    format: 'iife',
+    globalName: 'Vibex',
+    write: false,
+    logLevel: 'silent',
+  });
+  return result.outputFiles[0].text;
+}
+
+module.exports = {
+  TEST_PLATFORM,
+  startServer,
+  createClient,
+  tempDir,
+  deliveredMessages,
+  bundle,
+};
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const root = path.join(__dirname, '..');
+
+// Run a script with winston hidden from require(), as if the peer dependency were not installed
+const withoutWinston = (script) => spawnSync(process.execPath, ['-e', `
+  const Module = require('module');
+  const resolve = Module._resolveFilename;
+  Module._resolveFilename = function (request, ...args) {
+    if (request === 'winston') {
+      const error = new Error("Cannot find module 'winston'");
+      error.code = 'MODULE_NOT_FOUND';
+      throw error;
+    }
+    return resolve.call(this, request, ...args);
+  };
+  ${script}
+`], { cwd: root, encoding: 'utf8' });
+
+test('the package exports the Winston handler and the standalone pieces', () => {
+  const sdk = require('..');
+  for (const name of ['VibexClient', 'VibexConfig', 'VibexLogger', 'VibexHandler', 'createLogger', 'runWithContext']) {
+    assert.strictEqual(typeof sdk[name], 'function', name);
+  }
+});
+
+test('without winston the exports can still be spread', () => {
+  const result = withoutWinston(`
+    const sdk = { ...require('./') };
+    Object.assign({}, require('./'));
+    console.log(typeof sdk.VibexHandler, typeof sdk.createLogger);
+  `);
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.strictEqual(result.stdout.trim(), 'function function');
+});
+
+test('without winston constructing VibexHandler throws a clear error', () => {
+  const result = withoutWinston(`
+    const { VibexHandler } = require('./');
+    try {
+      new VibexHandler();
+    } catch (error) {
+      console.log(error.message);
+    }
+  `);
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /VibexHandler needs winston \(npm install winston\)/);
+});
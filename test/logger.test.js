@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger } = require('..');
+const { formatMessage } = require('../logger');
+const { createCapture } = require('../testing');
+const { TEST_PLATFORM } = require('./helpers');
+
+const captureLogger = (options = {}) => {
+  const capture = createCapture();
+  const logger = createLogger({ config: { configFile: false }, capture, platform: TEST_PLATFORM, ...options });
+  return { capture, logger };
+};
+
+// Logs are written asynchronously - wait for the client to take them
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('messages are interpolated printf-style', () => {
+  assert.deepStrictEqual(formatMessage('charged %s in %dms (%i%%)', ['acme', '87.5', '12.9', 'extra']), {
+    message: 'charged acme in 87.5ms (12%)',
+    rest: ['extra'],
+  });
+  assert.strictEqual(formatMessage('%j %f %s', [{ a: 1 }, '1.50']).message, '{"a":1} 1.5 %s');
+});
+
+test('logs below the level threshold are not sent', async () => {
+  const { capture, logger } = captureLogger({ level: 'warn' });
+
+  logger.debug('debug');
+  logger.info('info');
+  logger.warn('warn');
+  logger.error('error');
+  await settle();
+
+  assert.deepStrictEqual(capture.logs.map((log) => log.level), ['warn', 'error']);
+  assert.strictEqual(logger.isLevelEnabled('info'), false);
+
+  logger.level = 'silent';
+  logger.error('silenced');
+  await settle();
+  assert.strictEqual(capture.logs.length, 2);
+});
+
+test('fields, leftover values and errors are normalized into the hybrid log', async () => {
+  const { capture, logger } = captureLogger();
+
+  logger.info({ latency_ms: 42, request_id: 'r1' }, 'charged %s', 'acme', 'twice', { amount: 19.99 });
+  logger.error(new Error('card declined'));
+
+  const charged = await capture.waitFor({ message: 'charged acme twice' });
+  assert.strictEqual(charged.payload.metrics.latency_ms, 42);
+  assert.strictEqual(charged.payload.amount, 19.99);
+  assert.strictEqual(charged.payload.context.request_id, 'r1');
+
+  const failed = await capture.waitFor({ message: 'card declined' });
+  assert.strictEqual(failed.level, 'error');
+  assert.strictEqual(failed.payload.exception.message, 'card declined');
+  assert.match(failed.payload.exc_info, /Error: card declined/);
+});
+
+test('child loggers merge their bindings into context', async () => {
+  const { capture, logger } = captureLogger({ bindings: { service: 'billing' } });
+  const child = logger.child({ request_id: 'r1' }, { level: 'error' });
+
+  child.info('skipped');
+  child.error('failed', { context: { request_id: 'explicit' } });
+  logger.info('parent');
+
+  const failed = await capture.waitFor({ message: 'failed' });
+  assert.deepStrictEqual(failed.payload.context, { service: 'billing', request_id: 'explicit' });
+  const parent = await capture.waitFor({ message: 'parent' });
+  assert.deepStrictEqual(parent.payload.context, { service: 'billing' });
+  assert.strictEqual(capture.logs.some((log) => log.message === 'skipped'), false);
+  assert.strictEqual(child.client, logger.client);
+});
+
+test('logging never throws into the application', async () => {
+  const { capture, logger } = captureLogger();
+  const circular = { name: 'loop' };
+  circular.self = circular;
+
+  assert.doesNotThrow(() => logger.info('state %j', circular));
+  assert.doesNotThrow(() => logger.info(circular, 'object'));
+  await capture.waitFor({ message: 'state [Circular]' });
+});
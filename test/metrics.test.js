@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runWithContext } = require('..');
+const { createCapture } = require('../testing');
+const { MetricsRegistry } = require('../metrics');
+const { createClient, startServer } = require('./helpers');
+
+test('counters sum, gauges keep their last value and histograms report percentiles', () => {
+  const emitted = [];
+  const registry = new MetricsRegistry((payload) => emitted.push(payload), { intervalMs: 60000 });
+  registry.instrument('counter', 'requests').add(2, { route: '/a' });
+  registry.instrument('counter', 'requests').add(3, { route: '/a' });
+  registry.instrument('gauge', 'queue_size').set(7);
+  const latency = registry.instrument('histogram', 'latency_ms');
+  for (let i = 1; i <= 100; i++) {
+    latency.record(i);
+  }
+  registry.flush();
+  registry.stop();
+
+  const counter = emitted.find((payload) => payload.metrics.requests !== undefined);
+  assert.strictEqual(counter.metrics.requests, 5);
+  assert.strictEqual(counter.context.route, '/a');
+  const rest = emitted.find((payload) => payload.metrics.queue_size !== undefined);
+  assert.strictEqual(rest.metrics.queue_size, 7);
+  assert.strictEqual(rest.metrics['latency_ms.count'], 100);
+  assert.strictEqual(rest.metrics['latency_ms.max'], 100);
+});
+
+test('gauges that are not set again are dropped after gaugeTtlMs', async () => {
+  const emitted = [];
+  const registry = new MetricsRegistry((payload) => emitted.push(payload), { intervalMs: 60000, gaugeTtlMs: 20 });
+  registry.instrument('gauge', 'connections').set(3);
+  registry.flush();
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  registry.flush();
+  registry.stop();
+
+  assert.strictEqual(emitted.filter((payload) => payload.metrics.connections !== undefined).length, 1);
+});
+
+test('metrics summaries never carry the context of the request that started the timer', async (t) => {
+  const server = await startServer(t);
+  const capture = createCapture();
+  const client = createClient(server, { capture, metrics: { intervalMs: 20 } });
+  t.after(() => client._metrics.stop());
+
+  runWithContext({ request_id: 'first-request' }, () => {
+    client.counter('requests').add();
+  });
+  const summary = await capture.waitFor({ message: 'metrics' });
+
+  assert.strictEqual(summary.payload.metrics.requests, 1);
+  assert.strictEqual(summary.payload.context.request_id, undefined);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toLogRecord, encodeOtlpLogs } = require('../otel');
+const { startServer, createClient } = require('./helpers');
+
+const attribute = (record, key) => {
+  const found = record.attributes.find((entry) => entry.key === key);
+  return found && found.value;
+};
+
+test('levels, message, context and metrics map to LogRecord fields and attributes', () => {
+  const record = toLogRecord(['json', {
+    message: 'checkout done',
+    level: 'warn',
+    context: { user_id: 'u1' },
+    metrics: { duration_ms: 12 },
+    region: 'eu',
+  }, 1700000000000]);
+
+  assert.strictEqual(record.severityNumber, 13);
+  assert.strictEqual(record.severityText, 'WARN');
+  assert.deepStrictEqual(record.body, { stringValue: 'checkout done' });
+  assert.strictEqual(record.timeUnixNano, '1700000000000000000');
+  assert.deepStrictEqual(attribute(record, 'user_id'), { stringValue: 'u1' });
+  assert.deepStrictEqual(attribute(record, 'metrics.duration_ms'), { intValue: '12' });
+  assert.deepStrictEqual(attribute(record, 'region'), { stringValue: 'eu' });
+});
+
+test('valid trace ids become LogRecord trace fields', () => {
+  const record = toLogRecord(['json', {
+    message: 'x',
+    context: { trace_id: '4BF92F3577B34DA6A3CE929D0E0E4736', span_id: '00f067aa0ba902b7', trace_flags: 1 },
+  }, 0]);
+
+  assert.strictEqual(record.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+  assert.strictEqual(record.spanId, '00f067aa0ba902b7');
+  assert.strictEqual(record.flags, 1);
+  assert.deepStrictEqual(record.attributes, []);
+});
+
+test('invalid trace ids are kept as attributes', () => {
+  const record = toLogRecord(['json', {
+    message: 'x',
+    context: { trace_id: 'req-123', span_id: 42, trace_flags: 'sampled' },
+  }, 0]);
+
+  assert.strictEqual(record.traceId, undefined);
+  assert.strictEqual(record.spanId, undefined);
+  assert.strictEqual(record.flags, undefined);
+  assert.deepStrictEqual(attribute(record, 'trace_id'), { stringValue: 'req-123' });
+  assert.deepStrictEqual(attribute(record, 'span_id'), { intValue: '42' });
+  assert.deepStrictEqual(attribute(record, 'trace_flags'), { stringValue: 'sampled' });
+});
+
+test('a batch is encoded as one ExportLogsServiceRequest with resource attributes', () => {
+  const body = encodeOtlpLogs([['text', 'plain line', 0]], { 'service.name': 'api' });
+  const [resourceLogs] = body.resourceLogs;
+
+  assert.deepStrictEqual(resourceLogs.resource.attributes, [{ key: 'service.name', value: { stringValue: 'api' } }]);
+  assert.deepStrictEqual(resourceLogs.scopeLogs[0].logRecords[0].body, { stringValue: 'plain line' });
+});
+
+test('OTLP batches go to otlp.url without the Vibex token', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, {
+    format: 'otlp',
+    otlp: { url: new URL('/v1/logs', server.config().apiUrl).href, headers: { 'x-api-key': 'k' } },
+  }, { token: null, sessionId: null });
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  const [request] = server.requests;
+  assert.strictEqual(request.path, '/v1/logs');
+  assert.strictEqual(request.headers.authorization, undefined);
+  assert.strictEqual(request.headers['x-api-key'], 'k');
+  assert.strictEqual(request.body.resourceLogs[0].scopeLogs[0].logRecords.length, 1);
+});
+
+test('the OTLP format without otlp.url disables the client', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, { format: 'otlp' });
+
+  assert.strictEqual(client.isEnabled(), false);
+  assert.strictEqual(await client.sendLog('json', { message: 'a' }), false);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, deliveredMessages } = require('./helpers');
+
+// A batch is only sent on flush: the queue fills up before batchSize or the interval is reached
+const HOLD = { maxQueueSize: 5, batchSize: 100, batchIntervalMs: 60000 };
+
+async function sendAll(client, messages, level = 'info') {
+  for (const message of messages) {
+    await client.sendLog('json', { message, level });
+  }
+}
+
+test('drop-newest keeps the queued logs', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, { ...HOLD, overflowPolicy: 'drop-newest' });
+
+  await sendAll(client, ['1', '2', '3', '4', '5', '6', '7']);
+  await client.flush();
+
+  assert.deepStrictEqual(deliveredMessages(server), ['1', '2', '3', '4', '5']);
+  assert.strictEqual(client.getStatus().dropped.queueFull, 2);
+});
+
+test('drop-oldest keeps the newest logs', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, { ...HOLD, overflowPolicy: 'drop-oldest' });
+
+  await sendAll(client, ['1', '2', '3', '4', '5', '6', '7']);
+  await client.flush();
+
+  assert.deepStrictEqual(deliveredMessages(server), ['3', '4', '5', '6', '7']);
+  assert.strictEqual(client.getStatus().dropped.queueFull, 2);
+});
+
+test('drop-lowest-level evicts less important logs for more important ones', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, { ...HOLD, overflowPolicy: 'drop-lowest-level' });
+
+  await sendAll(client, ['d1', 'd2'], 'debug');
+  await sendAll(client, ['i1', 'i2', 'i3'], 'info');
+  await sendAll(client, ['e1', 'e2'], 'error');
+  await sendAll(client, ['i4'], 'info');
+  await client.flush();
+
+  assert.deepStrictEqual(deliveredMessages(server), ['e1', 'e2', 'i1', 'i2', 'i3']);
+  assert.strictEqual(client.getStatus().dropped.queueFull, 3);
+});
+
+test('block waits for space without going over maxQueueSize', async (t) => {
+  const server = await startServer(t);
+  server.respondWith({ status: 200, body: {}, delayMs: 5 });
+  const client = createClient(server, { maxQueueSize: 10, batchSize: 5, overflowPolicy: 'block', blockTimeoutMs: 10000 });
+
+  let maxQueued = 0;
+  const enqueue = client._enqueue.bind(client);
+  client._enqueue = (channel, entry) => {
+    enqueue(channel, entry);
+    maxQueued = Math.max(maxQueued, channel.queue.length);
+  };
+
+  const messages = Array.from({ length: 100 }, (_, i) => `log ${String(i).padStart(3, '0')}`);
+  const results = await Promise.all(messages.map((message) => client.sendLog('json', { message })));
+  await client.flush();
+
+  assert.ok(results.every(Boolean), 'a log was not queued');
+  assert.ok(maxQueued <= 10, `queue grew to ${maxQueued}`);
+  assert.deepStrictEqual(deliveredMessages(server), messages);
+});
+
+test('block gives up after blockTimeoutMs', async (t) => {
+  const server = await startServer(t);
+  server.respondWith('hang');
+  const client = createClient(server, {
+    maxQueueSize: 1,
+    batchSize: 1,
+    overflowPolicy: 'block',
+    blockTimeoutMs: 50,
+    transport: { timeoutMs: 200 },
+    retry: false,
+  });
+
+  await client.sendLog('json', { message: 'sent' });
+  await new Promise((resolve) => setTimeout(resolve, 20));  // In flight, hanging
+  await client.sendLog('json', { message: 'queued' });
+  const queued = await client.sendLog('json', { message: 'blocked' });
+
+  assert.strictEqual(queued, false);
+  assert.strictEqual(client.getStatus().dropped.blockTimeout, 1);
+  await client.flush();
+});
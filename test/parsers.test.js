@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const { VibexHandler } = require('..');
+const { coerceValue, parseLogfmt, parseKeyValue, parseAccessLog, createTextParser } = require('../parsers');
+const { createCapture } = require('../testing');
+const { TEST_PLATFORM } = require('./helpers');
+
+test('values are coerced to numbers, booleans and null', () => {
+  assert.strictEqual(coerceValue('42'), 42);
+  assert.strictEqual(coerceValue('-1.5'), -1.5);
+  assert.strictEqual(coerceValue('true'), true);
+  assert.strictEqual(coerceValue('null'), null);
+  assert.strictEqual(coerceValue('12345678901234567890'), '12345678901234567890');
+  assert.strictEqual(coerceValue('abc'), 'abc');
+});
+
+test('logfmt lines become message, level and fields', () => {
+  assert.deepStrictEqual(parseLogfmt('level=warn msg="disk \\"almost\\" full" free_mb=512 ok=true'), {
+    message: 'disk "almost" full',
+    level: 'warn',
+    fields: { free_mb: 512, ok: true },
+  });
+  assert.strictEqual(parseLogfmt('user login ok user_id=5'), null);
+  assert.strictEqual(parseLogfmt('url=http://x/?a=b'), null);
+  assert.strictEqual(parseLogfmt('no pairs here'), null);
+});
+
+test('key=value pairs in free text leave the rest as the message', () => {
+  assert.deepStrictEqual(parseKeyValue('user login ok user_id=5 latency_ms=42'), {
+    message: 'user login ok',
+    level: null,
+    fields: { user_id: 5, latency_ms: 42 },
+  });
+  assert.strictEqual(parseKeyValue('nothing to see'), null);
+});
+
+test('combined access log lines become context and metrics', () => {
+  const line = '10.0.0.1 - alice [10/Oct/2026:13:55:36 +0000] "GET /api/users?id=1 HTTP/1.1" 503 2326 "-" "curl/8.0" 0.042';
+  const parsed = parseAccessLog(line);
+
+  assert.strictEqual(parsed.message, 'GET /api/users?id=1 503');
+  assert.strictEqual(parsed.level, 'error');
+  assert.deepStrictEqual(parsed.fields.metrics, { body_bytes_sent: 2326, request_time_ms: 42 });
+  assert.deepStrictEqual(parsed.fields.context, {
+    remote_addr: '10.0.0.1',
+    remote_user: 'alice',
+    method: 'GET',
+    path: '/api/users?id=1',
+    protocol: 'HTTP/1.1',
+    status: 503,
+    time_local: '10/Oct/2026:13:55:36 +0000',
+    user_agent: 'curl/8.0',
+  });
+  assert.strictEqual(parseAccessLog('127.0.0.1 - - [10/Oct/2026:13:55:36 +0000] "GET / HTTP/1.1" 404 -').level, 'warn');
+  assert.strictEqual(parseAccessLog('latency_ms=42'), null);
+});
+
+test('parsers are tried in order, and a throwing custom parser is skipped', () => {
+  const parse = createTextParser([
+    () => {
+      throw new Error('broken');
+    },
+    { name: 'deploy', pattern: /^deployed (?<version>\S+) in (?<duration_ms>\d+)ms$/, level: 'info' },
+    'logfmt',
+  ]);
+
+  assert.deepStrictEqual(parse('deployed v1.2.3 in 900ms'), {
+    parser: 'deploy',
+    message: 'deployed v1.2.3 in 900ms',
+    level: 'info',
+    fields: { version: 'v1.2.3', duration_ms: 900 },
+  });
+  assert.strictEqual(parse('a=1').parser, 'logfmt');
+  assert.strictEqual(parse('plain text'), null);
+  assert.strictEqual(parse('   '), null);
+});
+
+test('invalid parser options are rejected', () => {
+  assert.strictEqual(createTextParser(false), null);
+  assert.throws(() => createTextParser('logfmt'), /must be true or an array/);
+  assert.throws(() => createTextParser(['xml']), /Unknown text parser "xml"/);
+  assert.throws(() => createTextParser([{ pattern: 42 }]), /Text parser #1 needs a "pattern" RegExp/);
+});
+
+test('the Winston handler turns parsed text into metrics and context', async () => {
+  const capture = createCapture();
+  const handler = new VibexHandler({ capture, textParsers: true, passthroughConsole: false, platform: TEST_PLATFORM });
+  const logger = winston.createLogger({ transports: [handler] });
+
+  logger.info('msg="request done" latency_ms=42 request_id=abc');
+  logger.info('just a sentence');
+
+  const parsed = await capture.waitFor({ message: 'request done' });
+  assert.strictEqual(parsed.payload.metrics.latency_ms, 42);
+  assert.strictEqual(parsed.payload.context.request_id, 'abc');
+  const plain = await capture.waitFor({ message: 'just a sentence' });
+  assert.deepStrictEqual(plain.payload.metrics, {});
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const pino = require('pino');
+const pinoTransport = require('../pino');
+const { pinoToHybrid, mapPinoLevel } = require('../pino');
+const { startServer } = require('./helpers');
+
+test('pino levels map to Vibex levels', () => {
+  assert.deepStrictEqual([10, 20, 30, 40, 50, 60].map(mapPinoLevel), ['debug', 'debug', 'info', 'warn', 'error', 'error']);
+  assert.strictEqual(mapPinoLevel('warning'), 'warn');
+});
+
+test('pino records become hybrid logs without pino\'s own fields', () => {
+  const hybrid = pinoToHybrid({
+    level: 50,
+    time: 1700000000000,
+    msg: 'payment failed',
+    pid: 1,
+    duration_ms: 12,
+    err: { type: 'Error', message: 'card declined', stack: 'Error: card declined\n    at pay (/app/pay.js:1:1)' },
+  });
+
+  assert.strictEqual(hybrid.message, 'payment failed');
+  assert.strictEqual(hybrid.level, 'error');
+  assert.strictEqual(hybrid.metrics.duration_ms, 12);
+  assert.strictEqual(hybrid.context.time, undefined);
+  assert.strictEqual(hybrid.exception.message, 'card declined');
+});
+
+test('the transport stream sends every complete line and the last one on close', async (t) => {
+  const server = await startServer(t);
+  const stream = await pinoTransport({ config: server.config(), platform: { onShutdown: () => {} } });
+
+  stream.write('{"level":30,"time":1700000000000,"msg":"first"}\n{"level":40,"msg":"sec');
+  stream.write('ond"}\nnot json\n{"level":30,"msg":"last"}');
+  await new Promise((resolve) => stream.end(resolve));
+
+  const logs = server.requests.reduce((all, request) => all.concat(request.body.logs), []);
+  assert.deepStrictEqual(logs.map((log) => [log.payload.message, log.payload.level]), [
+    ['first', 'info'], ['second', 'warn'], ['last', 'info'],
+  ]);
+  assert.strictEqual(logs[0].timestamp, 1700000000000);
+});
+
+test('pino delivers through the transport worker', { timeout: 10000 }, async (t) => {
+  const server = await startServer(t);
+  const transport = pino.transport({ target: path.join(__dirname, '..', 'pino.js'), options: { config: server.config() } });
+  const logger = pino(transport);
+
+  logger.info({ user_id: 'u1' }, 'hello from pino');
+  // transport.end() blocks this thread while the worker drains, and the fake server runs on it too -
+  // so wait for the delivery first
+  while (server.logs.length === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  await new Promise((resolve) => {
+    transport.on('close', resolve);
+    transport.end();
+  });
+
+  const [log] = server.logs;
+  assert.strictEqual(log.payload.message, 'hello from pino');
+  assert.strictEqual(log.payload.context.user_id, 'u1');
+});
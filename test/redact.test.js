@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger } = require('..');
+const { startServer, createClient } = require('./helpers');
+
+const REDACT = { paths: ['context.password'], detectors: ['email'] };
+
+test('sensitive data is scrubbed before logs are sent', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, { redact: REDACT });
+
+  await client.sendLog('json', { message: 'login by jane@example.com', level: 'info', context: { password: 'hunter2', user: 'jane' } });
+  await client.flush();
+
+  const [log] = server.logs;
+  assert.strictEqual(log.payload.message, 'login by [REDACTED]');
+  assert.deepStrictEqual(log.payload.context, { password: '[REDACTED]', user: 'jane' });
+});
+
+test('invalid redaction options disable the client instead of sending unredacted logs', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, { redact: { action: 'scramble' } });
+
+  assert.strictEqual(client.isEnabled(), false);
+  await client.sendLog('json', { message: 'jane@example.com' });
+  await client.flush();
+  assert.strictEqual(server.requests.length, 0);
+});
+
+test('console passthrough output is redacted like sent logs', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, { redact: REDACT });
+  const printed = [];
+  t.mock.method(console, 'error', (output) => printed.push(output));
+
+  const logger = createLogger({ client, passthroughConsole: true });
+  logger.info({ context: { password: 'hunter2' } }, 'login by jane@example.com');
+  await client.flush();
+
+  assert.strictEqual(printed.length, 1);
+  assert.ok(!printed[0].includes('hunter2'), printed[0]);
+  assert.ok(!printed[0].includes('jane@example.com'), printed[0]);
+  assert.deepStrictEqual(server.logs.map((log) => log.payload.message), ['login by [REDACTED]']);
+});
+
+test('console passthrough prints nothing when redaction is broken', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, { redact: { action: 'scramble' } });
+  const printed = [];
+  t.mock.method(console, 'error', (output) => printed.push(output));
+
+  const logger = createLogger({ client, passthroughConsole: true });
+  logger.info('login by jane@example.com');
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepStrictEqual(printed, []);
+});
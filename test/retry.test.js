@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeBackoff, parseRetryAfter, resolveRetryOptions } = require('../retry');
+const { startServer, createClient, deliveredMessages } = require('./helpers');
+
+const FAST_RETRY = { initialDelayMs: 10, maxDelayMs: 50, jitter: false };
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.strictEqual(parseRetryAfter('2'), 2000);
+  assert.strictEqual(parseRetryAfter('Wed, 21 Oct 2015 07:28:10 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT')), 10000);
+  assert.strictEqual(parseRetryAfter('soon'), null);
+  assert.strictEqual(parseRetryAfter(null), null);
+});
+
+test('computeBackoff grows exponentially up to maxDelayMs', () => {
+  const policy = resolveRetryOptions({ initialDelayMs: 100, maxDelayMs: 300, jitter: false });
+  assert.deepStrictEqual([1, 2, 3, 4].map((attempt) => computeBackoff(attempt, policy)), [100, 200, 300, 300]);
+});
+
+test('a batch that fails with a retryable status is resent', async (t) => {
+  const server = await startServer(t);
+  server.respondOnce('serverError', 'serverError');
+  const client = createClient(server, { retry: FAST_RETRY });
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.deepStrictEqual(server.requests.map((request) => request.response.status), [500, 500, 200]);
+  assert.deepStrictEqual(deliveredMessages(server), ['a']);
+  assert.strictEqual(client.getStatus().dropped.retriesExhausted, 0);
+});
+
+test('a batch is dropped once maxAttempts is reached', async (t) => {
+  const server = await startServer(t);
+  server.respondWith('serverError');
+  const client = createClient(server, { retry: { ...FAST_RETRY, maxAttempts: 3 } });
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.strictEqual(server.requests.length, 3);
+  assert.strictEqual(client.getStatus().dropped.retriesExhausted, 1);
+});
+
+test('a Retry-After beyond maxElapsedMs gives the batch up instead of sending early', async (t) => {
+  const server = await startServer(t);
+  server.respondOnce({ status: 503, headers: { 'Retry-After': '60' } });
+  const client = createClient(server, { retry: { maxElapsedMs: 200 } });
+  const dropped = [];
+  client.on('log:dropped', (event) => dropped.push(event));
+
+  const started = Date.now();
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.ok(Date.now() - started < 5000, 'waited for the full Retry-After');
+  assert.deepStrictEqual(server.requests.map((request) => request.response.status), [503]);
+  assert.deepStrictEqual(dropped, [{ reason: 'retriesExhausted', count: 1 }]);
+});
+
+test('404 responses are not retried', async (t) => {
+  const server = await startServer(t);
+  server.respondOnce('notFound');
+  const client = createClient(server, { retry: FAST_RETRY });
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.strictEqual(server.requests.length, 1);
+  assert.strictEqual(client.getStatus().dropped.sessionNotFound, 1);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileRoutes, findRoute } = require('../routing');
+const { startServer, createClient } = require('./helpers');
+
+const sessionOf = (routes, payload, logType = 'json') => {
+  const route = findRoute(routes, logType, payload);
+  return route ? route.sessionId : null;
+};
+
+const bySession = (server) => server.requests
+  .filter((request) => request.response.status === 200)
+  .reduce((sessions, request) => {
+    const messages = request.body.logs.map((log) => log.payload.message);
+    sessions[request.body.sessionId] = (sessions[request.body.sessionId] || []).concat(messages);
+    return sessions;
+  }, {});
+
+test('the first matching rule wins and unmatched logs use the default session', () => {
+  const routes = compileRoutes([
+    { level: 'error', sessionId: 'errors' },
+    { context: { event: /^audit\./ }, sessionId: 'audit' },
+    { level: 'debug', message: /heartbeat/, sessionId: 'noise' },
+  ]);
+
+  assert.strictEqual(sessionOf(routes, { level: 'error', message: 'boom', context: { event: 'audit.login' } }), 'errors');
+  assert.strictEqual(sessionOf(routes, { level: 'info', message: 'login', context: { event: 'audit.login' } }), 'audit');
+  assert.strictEqual(sessionOf(routes, { level: 'debug', message: 'heartbeat ok' }), 'noise');
+  assert.strictEqual(sessionOf(routes, { level: 'debug', message: 'cache miss' }), null);
+  assert.strictEqual(sessionOf(routes, 'plain text', 'text'), null);
+});
+
+test('rules match on minimum level, substrings, field lists and presence, and predicates', () => {
+  const routes = compileRoutes([
+    { minLevel: 'warn', sessionId: 'alerts' },
+    { message: 'payment', sessionId: 'payments' },
+    { context: { tenant: ['acme', 'globex'], user: true }, sessionId: 'tenants' },
+    { match: (payload, logType) => logType === 'text', sessionId: 'text' },
+    { match: () => { throw new Error('broken rule'); }, sessionId: 'never' },
+  ]);
+
+  assert.strictEqual(sessionOf(routes, { level: 'WARNING', message: 'disk' }), 'alerts');
+  assert.strictEqual(sessionOf(routes, { level: 'info', message: 'payment captured' }), 'payments');
+  assert.strictEqual(sessionOf(routes, { message: 'a', context: { tenant: 'acme', user: 'u1' } }), 'tenants');
+  assert.strictEqual(sessionOf(routes, { message: 'a', tenant: 'globex', user: 'u1' }), 'tenants');
+  assert.strictEqual(sessionOf(routes, { message: 'a', context: { tenant: 'acme' } }), null);
+  assert.strictEqual(sessionOf(routes, 'hello', 'text'), 'text');
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => compileRoutes({ level: 'error' }), /Routes must be an array/);
+  assert.throws(() => compileRoutes([{ level: 'error' }]), /Route #1 needs a "sessionId"/);
+  assert.throws(() => compileRoutes([{ sessionId: 'a', token: '' }]), /Route #1 has an invalid "token"/);
+  assert.throws(() => compileRoutes([{ sessionId: 'a', context: 'x' }]), /"context" must be an object/);
+  assert.throws(() => compileRoutes([{ sessionId: 'a', match: 'x' }]), /"match" must be a function/);
+});
+
+test('routed logs are batched per session with their own token', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, {
+    routes: [
+      { level: 'error', sessionId: 'errors' },
+      { context: { event: 'audit' }, sessionId: 'audit', token: 'vb_live_audit' },
+    ],
+  });
+
+  await client.sendLog('json', { level: 'info', message: 'a' });
+  await client.sendLog('json', { level: 'error', message: 'b' });
+  await client.sendLog('json', { level: 'info', message: 'c', context: { event: 'audit' } });
+  await client.flush();
+
+  assert.deepStrictEqual(bySession(server), {
+    'vibex-test-session': ['a'],
+    'vibex-errors': ['b'],
+    'vibex-audit': ['c'],
+  });
+  const audit = server.requests.find((request) => request.body.sessionId === 'vibex-audit');
+  const errors = server.requests.find((request) => request.body.sessionId === 'vibex-errors');
+  assert.strictEqual(audit.headers.authorization, 'Bearer vb_live_audit');
+  assert.strictEqual(errors.headers.authorization, `Bearer ${server.token}`);
+});
+
+test('a session that reaches its history limit does not stop delivery to the others', async (t) => {
+  const server = await startServer(t);
+  server.respondOnce('historyLimit');
+  const client = createClient(server, { routes: [{ level: 'error', sessionId: 'errors' }] });
+
+  await client.sendLog('json', { level: 'error', message: 'a' });
+  await client.drain();
+  await client.sendLog('json', { level: 'error', message: 'b' });
+  await client.sendLog('json', { level: 'info', message: 'c' });
+  await client.flush();
+
+  assert.deepStrictEqual(bySession(server), { 'vibex-test-session': ['c'] });
+  const { sessions } = client.getStatus();
+  assert.strictEqual(sessions['vibex-errors'].enabled, false);
+  assert.match(sessions['vibex-errors'].reason, /History limit reached/);
+  assert.strictEqual(sessions['vibex-test-session'].enabled, true);
+});
+
+test('invalid routes disable the client', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, { routes: [{ level: 'error' }] });
+
+  assert.strictEqual(client.disabled, true);
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+  assert.strictEqual(server.requests.length, 0);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const winston = require('winston');
+const { VibexHandler, createLogger } = require('..');
+const { normalizeToHybrid } = require('../normalize');
+const { compileSchema, applySchema } = require('../schema');
+const { createCapture } = require('../testing');
+const { TEST_PLATFORM } = require('./helpers');
+
+const SCHEMA = {
+  metrics: ['elapsed', 'db.*.ms', '**.bytes', /^http\.(status|retries)$/],
+  context: ['usr', 'tenant', 'http.route'],
+  rename: { usr: 'user_id', 'db.query.ms': 'db_query_ms', elapsed: 'elapsed_ms' },
+  units: { db_query_ms: 'ms', elapsed_ms: 'ms' },
+};
+
+test('rules extract renamed, coerced and nested fields with units', () => {
+  const hybrid = normalizeToHybrid('query', 'info', {
+    usr: 'u1',
+    elapsed: '87',
+    db: { query: { ms: 12.5, rows: 3 } },
+    upload: { file: { bytes: 2048 } },
+    http: { status: 200, route: '/users', method: 'GET' },
+  }, {}, SCHEMA);
+
+  assert.deepStrictEqual(hybrid.metrics, {
+    elapsed_ms: 87,
+    db_query_ms: 12.5,
+    'upload.file.bytes': 2048,
+    'http.status': 200,
+  });
+  assert.deepStrictEqual(hybrid.context, { user_id: 'u1', 'http.route': '/users' });
+  assert.deepStrictEqual(hybrid._units, { elapsed_ms: 'ms', db_query_ms: 'ms' });
+});
+
+test('the built-in heuristics are the default and can be turned off', () => {
+  const payload = { latency_ms: 42, request_id: 'r1', tenant: 'acme' };
+
+  const heuristic = normalizeToHybrid('a', 'info', payload);
+  assert.deepStrictEqual(heuristic.metrics, { latency_ms: 42 });
+  assert.deepStrictEqual(heuristic.context, { request_id: 'r1' });
+
+  const withRules = normalizeToHybrid('a', 'info', payload, {}, { context: ['tenant'] });
+  assert.deepStrictEqual(withRules.metrics, { latency_ms: 42 });
+  assert.deepStrictEqual(withRules.context, { request_id: 'r1', tenant: 'acme' });
+
+  const rulesOnly = normalizeToHybrid('a', 'info', payload, {}, { context: ['tenant'], heuristics: false });
+  assert.deepStrictEqual(rulesOnly.metrics, {});
+  assert.deepStrictEqual(rulesOnly.context, { tenant: 'acme' });
+});
+
+test('a field claimed by a context rule is not also a heuristic metric', () => {
+  const hybrid = normalizeToHybrid('a', 'info', { queue_size: 7 }, {}, { context: ['queue_size'] });
+
+  assert.deepStrictEqual(hybrid.metrics, {});
+  assert.deepStrictEqual(hybrid.context, { queue_size: 7 });
+});
+
+test('coercion can be turned off and applies to explicit metrics objects', () => {
+  const schema = compileSchema({ metrics: ['elapsed'], coerce: false });
+  assert.deepStrictEqual(applySchema({ elapsed: '87' }, schema).metrics, {});
+
+  const coerced = normalizeToHybrid('a', 'info', { metrics: { rows: '3', ratio: 'n/a' } }, {}, { metrics: [] });
+  assert.strictEqual(coerced.metrics.rows, 3);
+  assert.strictEqual(coerced.metrics.ratio, undefined);
+});
+
+test('nested cycles are not followed', () => {
+  const payload = { http: { status: 200 } };
+  payload.http.parent = payload;
+
+  const { metrics } = applySchema(payload, compileSchema({ metrics: ['**.status'] }));
+  assert.deepStrictEqual(metrics, { 'http.status': 200 });
+});
+
+test('invalid schemas are rejected and compiled schemas are cached', () => {
+  assert.throws(() => compileSchema([]), /Schema must be an object/);
+  assert.throws(() => compileSchema({ metrics: 'elapsed' }), /"metrics" must be an array/);
+  assert.throws(() => compileSchema({ context: [''] }), /entries must be non-empty strings or RegExps/);
+  assert.throws(() => compileSchema({ rename: { usr: 1 } }), /"rename" value for "usr"/);
+  assert.strictEqual(compileSchema(null), null);
+
+  const compiled = compileSchema(SCHEMA);
+  assert.strictEqual(compileSchema(SCHEMA), compiled);
+  assert.strictEqual(compileSchema(compiled), compiled);
+});
+
+test('the Winston handler applies the schema and falls back to the heuristics when it is invalid', async () => {
+  const capture = createCapture();
+  const logger = winston.createLogger({
+    transports: [new VibexHandler({ capture, schema: SCHEMA, passthroughConsole: false, platform: TEST_PLATFORM })],
+  });
+  logger.info(JSON.stringify({ message: 'query', usr: 'u1', elapsed: '87' }));
+  const log = await capture.waitFor({ message: 'query' });
+  assert.deepStrictEqual(log.payload.metrics, { elapsed_ms: 87 });
+  assert.deepStrictEqual(log.payload.context, { user_id: 'u1' });
+
+  const fallback = createCapture();
+  const invalid = winston.createLogger({
+    transports: [new VibexHandler({ capture: fallback, schema: { metrics: 'x' }, passthroughConsole: false, platform: TEST_PLATFORM })],
+  });
+  invalid.info(JSON.stringify({ message: 'fallback', latency_ms: 5 }));
+  assert.deepStrictEqual((await fallback.waitFor({ message: 'fallback' })).payload.metrics, { latency_ms: 5 });
+
+  assert.throws(() => createLogger({ config: { configFile: false }, capture, schema: { metrics: 'x' } }), /"metrics" must be an array/);
+});
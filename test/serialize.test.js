@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveSerializeOptions, serializeLog } = require('../serialize');
+const { startServer, createClient, deliveredMessages } = require('./helpers');
+
+const safe = (payload, options = {}) => serializeLog(payload, resolveSerializeOptions(options));
+
+test('cycles become markers while shared references are kept', () => {
+  const shared = { id: 1 };
+  const payload = { message: 'a', first: shared, second: shared };
+  payload.self = payload;
+
+  assert.deepStrictEqual(safe(payload).value, { message: 'a', first: { id: 1 }, second: { id: 1 }, self: '[Circular]' });
+});
+
+test('non-JSON types get JSON-friendly forms', () => {
+  const { value } = safe({
+    small: 42n,
+    big: 2n ** 70n,
+    buffer: Buffer.from('hi'),
+    typed: new Uint16Array([1, 2]),
+    map: new Map([['a', 1], [2, 'b']]),
+    set: new Set(['x', 'y']),
+    date: new Date('2026-10-19T10:00:00Z'),
+    invalidDate: new Date('nope'),
+    regexp: /ab+c/i,
+    infinite: Infinity,
+    fn: function handler() {},
+    missing: undefined,
+    error: new TypeError('bad'),
+  });
+
+  assert.strictEqual(value.small, 42);
+  assert.strictEqual(value.big, '1180591620717411303424');
+  assert.deepStrictEqual(value.buffer, { type: 'Buffer', bytes: 2, base64: 'aGk=' });
+  assert.deepStrictEqual(value.typed, [1, 2]);
+  assert.deepStrictEqual(value.map, { a: 1, 2: 'b' });
+  assert.deepStrictEqual(value.set, ['x', 'y']);
+  assert.strictEqual(value.date, '2026-10-19T10:00:00.000Z');
+  assert.strictEqual(value.invalidDate, 'Invalid Date');
+  assert.strictEqual(value.regexp, '/ab+c/i');
+  assert.strictEqual(value.infinite, 'Infinity');
+  assert.strictEqual(value.fn, '[Function handler]');
+  assert.ok(!('missing' in value));
+  assert.strictEqual(value.error.message, 'bad');
+});
+
+test('depth, string and array limits leave truncation markers', () => {
+  const { value } = safe({
+    deep: { a: { b: { c: 1 } } },
+    text: 'x'.repeat(20),
+    list: [1, 2, 3, 4, 5],
+  }, { maxDepth: 3, maxStringLength: 8, maxArrayLength: 2 });
+
+  assert.deepStrictEqual(value.deep, { a: { b: '[Object: max depth]' } });
+  assert.strictEqual(value.text, 'xxxxxxxx…[truncated 12 chars]');
+  assert.deepStrictEqual(value.list, [1, 2, '[3 more items]']);
+});
+
+test('throwing getters are isolated to their field', () => {
+  const payload = { message: 'a' };
+  Object.defineProperty(payload, 'broken', { enumerable: true, get: () => { throw new Error('nope'); } });
+
+  assert.deepStrictEqual(safe(payload).value, { message: 'a', broken: '[Unserializable: nope]' });
+});
+
+test('logs over maxBytes are shrunk, then reduced to a stub', () => {
+  const shrunk = safe({ message: 'a', blob: 'x'.repeat(3000) }, { maxBytes: 2048 });
+  assert.strictEqual(shrunk.truncated, true);
+  assert.ok(shrunk.bytes <= 2048);
+  assert.match(shrunk.value.blob, /…\[truncated \d+ chars\]$/);
+
+  const fields = {};
+  for (let i = 0; i < 200; i++) {
+    fields[`field_${i}`] = i;
+  }
+  const stub = safe({ message: 'huge', level: 'warn', ...fields }, { maxBytes: 1024 });
+  assert.strictEqual(stub.value._truncated.reason, 'maxBytes');
+  assert.strictEqual(stub.value.message, 'huge');
+  assert.strictEqual(stub.value.level, 'warn');
+
+  const text = safe('y'.repeat(5000), { maxBytes: 1024 });
+  assert.ok(text.bytes <= 1024);
+  assert.strictEqual(typeof text.value, 'string');
+});
+
+test('a log that cannot be serialized is dropped without losing its batch', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server);
+  const circular = { message: 'circular' };
+  circular.self = circular;
+
+  await client.sendLog('json', { message: 'a', id: 2n ** 64n });
+  await client.sendLog('json', { toJSON: () => { throw new Error('cannot serialize'); } });
+  await client.sendLog('json', circular);
+  await client.flush();
+
+  assert.deepStrictEqual(deliveredMessages(server), ['a', 'circular']);
+  assert.strictEqual(server.logs[0].payload.id, '18446744073709551616');
+  assert.strictEqual(client.getStatus().dropped.unserializable, 1);
+});
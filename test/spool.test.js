@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const DiskSpool = require('../spool');
+const { startServer, createClient, tempDir, deliveredMessages } = require('./helpers');
+
+const entry = (message) => ['json', { message }, Date.now()];
+
+test('acknowledged segments are deleted', (t) => {
+  const spool = new DiskSpool(tempDir(t));
+  const batch = [entry('a'), entry('b')];
+  spool.write(batch);
+  assert.strictEqual(spool.getStats().segments, 1);
+
+  spool.ack(batch);
+  assert.strictEqual(spool.getStats().segments, 0);
+});
+
+test('a segment is replayable only once none of its entries are in memory', (t) => {
+  const directory = tempDir(t);
+  const spool = new DiskSpool(directory);
+  const batch = [entry('a'), entry('b'), entry('c')];
+  spool.write(batch);
+
+  spool.release([batch[0]]);
+  assert.strictEqual(spool.hasUnloaded(), false);
+  assert.deepStrictEqual(spool.load(100), []);
+
+  spool.ack([batch[1], batch[2]]);
+  assert.strictEqual(spool.hasUnloaded(), true);
+  assert.deepStrictEqual(new DiskSpool(directory).load(100).map((e) => e[1].message), ['a']);
+});
+
+test('a segment larger than the limit is loaded whole', (t) => {
+  const directory = tempDir(t);
+  const writer = new DiskSpool(directory);
+  writer.write([entry('a'), entry('b'), entry('c')]);
+  writer.write([entry('d')]);
+
+  const spool = new DiskSpool(directory);
+  assert.deepStrictEqual(spool.load(0), []);
+  assert.strictEqual(spool.hasUnloaded(), true);
+  assert.deepStrictEqual(spool.load(2).map((e) => e[1].message), ['a', 'b', 'c']);
+  assert.strictEqual(spool.hasUnloaded(), true);
+  assert.deepStrictEqual(spool.load(2).map((e) => e[1].message), ['d']);
+  assert.strictEqual(spool.hasUnloaded(), false);
+});
+
+test('leftover temporary files are removed on start', (t) => {
+  const directory = tempDir(t);
+  fs.writeFileSync(`${directory}/0000000000001-000001.ndjson.tmp`, 'partial');
+  new DiskSpool(directory);
+  assert.deepStrictEqual(fs.readdirSync(directory), []);
+});
+
+test('logs that could not be delivered are replayed by the next client', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+  server.respondWith('serverError');
+
+  const first = createClient(server, { spool: directory, retry: false });
+  await first.sendLog('json', { message: 'a' });
+  await first.sendLog('json', { message: 'b' });
+  await first.flush();
+  assert.deepStrictEqual(deliveredMessages(server), []);
+  assert.strictEqual(first.getStatus().spool.segments, 1);
+
+  server.reset();
+  const second = createClient(server, { spool: directory });
+  await second.flush();
+
+  assert.deepStrictEqual(deliveredMessages(server), ['a', 'b']);
+  assert.strictEqual(second.getStatus().spool.segments, 0);
+});
+
+test('a full queue spills to the spool while delivery fails', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+  server.respondWith('serverError');
+
+  const first = createClient(server, { spool: directory, maxQueueSize: 20, batchSize: 5, retry: false });
+  await first.sendLog('json', { message: 'log 100' });
+  await first.drain();
+  for (let i = 0; i < 100; i++) {
+    await first.sendLog('json', { message: `log ${String(i).padStart(3, '0')}` });
+  }
+  await first.flush();
+  assert.strictEqual(first.getStatus().dropped.queueFull, 0);
+
+  server.reset();
+  const second = createClient(server, { spool: directory, maxQueueSize: 20, batchSize: 5 });
+  // Replay loads as much as fits in the queue, the rest follows as batches are delivered
+  await second.flush();
+
+  assert.strictEqual(deliveredMessages(server).length, 101);
+  assert.strictEqual(second.getStatus().spool.segments, 0);
+});
+
+test('a full queue gets the overflow policy while delivery succeeds', async (t) => {
+  const server = await startServer(t);
+  const directory = tempDir(t);
+
+  const client = createClient(server, { spool: directory, maxQueueSize: 2, overflowPolicy: 'drop-oldest' });
+  for (const message of ['a', 'b', 'c', 'd']) {
+    await client.sendLog('json', { message });
+  }
+  await client.flush();
+
+  assert.deepStrictEqual(deliveredMessages(server), ['c', 'd']);
+  assert.strictEqual(client.getStatus().dropped.queueFull, 2);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const zlib = require('zlib');
+const { VibexClient } = require('..');
+const { createCapture, FakeIngestServer } = require('../testing');
+const { TEST_PLATFORM, startServer } = require('./helpers');
+
+/**
+ * POST a JSON body to the fake server
+ */
+function post(url, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers } }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks).toString() }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+test('LogCapture records logs without a token or session', async () => {
+  const capture = createCapture();
+  const client = new VibexClient({ configFile: false }, false, { capture, platform: TEST_PLATFORM });
+
+  assert.strictEqual(client.isEnabled(), true);
+  await client.sendLog('json', { message: 'user login', level: 'warning', context: { user: 'jane' } });
+  await client.flush();
+
+  assert.strictEqual(capture.logs.length, 1);
+  assert.strictEqual(capture.logs[0].level, 'warn');
+  assert.strictEqual(capture.logs[0].message, 'user login');
+});
+
+test('LogCapture queries match substrings, RegExps and field subsets', async () => {
+  const capture = createCapture();
+  capture.record(['json', { message: 'user login ok', level: 'info', context: { user: 'jane', ip: '1.2.3.4' } }, 1]);
+  capture.record(['json', { message: 'disk full', level: 'error', context: {} }, 2]);
+
+  assert.strictEqual(capture.filter({ message: 'login' }).length, 1);
+  assert.strictEqual(capture.filter({ message: /^disk/, level: 'error' }).length, 1);
+  assert.strictEqual(capture.filter({ context: { user: 'jane' } }).length, 1);
+  assert.strictEqual(capture.find((log) => log.timestamp === 2).message, 'disk full');
+
+  capture.expectLog({ level: 'info' }, 1);
+  capture.expectNoLog({ level: 'debug' });
+  assert.throws(() => capture.expectLog({ message: 'missing' }), assert.AssertionError);
+  assert.throws(() => capture.expectNoLog({ level: 'error' }), assert.AssertionError);
+
+  capture.clear();
+  assert.deepStrictEqual(capture.logs, []);
+});
+
+test('LogCapture.waitFor resolves on a later log and times out otherwise', async () => {
+  const capture = createCapture();
+  const waiting = capture.waitFor({ message: 'later' });
+  setTimeout(() => capture.record(['json', { message: 'later', level: 'info' }, 1]), 10);
+  assert.strictEqual((await waiting).message, 'later');
+
+  await assert.rejects(capture.waitFor({ message: 'never' }, 20), assert.AssertionError);
+});
+
+test('FakeIngestServer records batches and decodes compressed bodies', async (t) => {
+  const server = await startServer(t);
+  const body = JSON.stringify({ sessionId: 's', logs: [{ type: 'json', payload: { message: 'a' }, timestamp: 1 }] });
+
+  await post(server.url, body);
+  await post(server.url, zlib.gzipSync(body), { 'Content-Encoding': 'gzip' });
+
+  assert.strictEqual(server.requests.length, 2);
+  assert.strictEqual(server.requests[0].path, '/api/v1/ingest');
+  assert.deepStrictEqual(server.logs.map((log) => log.payload.message), ['a', 'a']);
+  assert.strictEqual(server.batches.length, 2);
+});
+
+test('FakeIngestServer scripts one-shot and default responses', async (t) => {
+  const server = await startServer(t);
+  server.respondWith('serverError').respondOnce('rateLimited', 418);
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    statuses.push(await post(server.url, '{}'));
+  }
+  assert.deepStrictEqual(statuses.map((response) => response.status), [429, 418, 500]);
+  assert.strictEqual(statuses[0].headers['retry-after'], '1');
+
+  server.reset();
+  assert.deepStrictEqual(server.requests, []);
+  assert.strictEqual((await post(server.url, '{}')).status, 200);
+  assert.throws(() => server.respondWith('teapot'), /Unknown response "teapot"/);
+});
+
+test('FakeIngestServer.waitForRequests waits for requests and times out', async (t) => {
+  const server = await startServer(t);
+  setTimeout(() => post(server.url, '{}'), 10);
+  assert.strictEqual((await server.waitForRequests(1)).length, 1);
+
+  await assert.rejects(server.waitForRequests(2, 30), assert.AssertionError);
+});
+
+test('FakeIngestServer.config() points a client at the server', async (t) => {
+  const server = new FakeIngestServer({ token: 'vb_live_fake', sessionId: 'fake-session' });
+  await server.start();
+  t.after(() => server.stop());
+  const client = new VibexClient(server.config(), false, { platform: TEST_PLATFORM });
+
+  await client.sendLog('json', { message: 'hello' });
+  await client.flush();
+
+  assert.strictEqual(server.requests[0].headers.authorization, 'Bearer vb_live_fake');
+  assert.strictEqual(server.requests[0].body.sessionId, 'vibex-fake-session');
+  assert.deepStrictEqual(server.logs.map((log) => log.payload.message), ['hello']);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { VibexClient, runWithContext } = require('..');
+const { createCapture } = require('../testing');
+const LogThrottle = require('../throttle');
+const { TEST_PLATFORM, createClient, startServer } = require('./helpers');
+
+test('sampling at 0 drops every log of that level only', () => {
+  const throttle = new LogThrottle({ sampling: { debug: 0 } });
+  assert.strictEqual(throttle.allow('json', { message: 'x', level: 'debug' }), false);
+  assert.strictEqual(throttle.allow('json', { message: 'x', level: 'info' }), true);
+  assert.strictEqual(throttle.counts.sampled, 1);
+});
+
+test('the rate limit lets a burst through, then refills over time', () => {
+  const throttle = new LogThrottle({ rateLimit: { ratePerSec: 1, burst: 2 } });
+  const log = { message: 'x', level: 'info' };
+  assert.strictEqual(throttle.allow('json', log, 0), true);
+  assert.strictEqual(throttle.allow('json', log, 0), true);
+  assert.strictEqual(throttle.allow('json', log, 0), false);
+  assert.strictEqual(throttle.allow('json', log, 1000), true);
+  assert.strictEqual(throttle.counts.rateLimited, 1);
+});
+
+test('repeats within the dedup window are summarized when it closes', () => {
+  const summaries = [];
+  const throttle = new LogThrottle({ dedup: { windowMs: 100 } }, (logType, payload) => summaries.push(payload));
+  const log = { message: 'db failed', level: 'error' };
+  assert.strictEqual(throttle.allow('json', log, 0), true);
+  assert.strictEqual(throttle.allow('json', log, 10), false);
+  assert.strictEqual(throttle.allow('json', log, 20), false);
+  throttle.sweep(true);
+
+  assert.strictEqual(summaries.length, 1);
+  assert.strictEqual(summaries[0].message, 'db failed');
+  assert.strictEqual(summaries[0].context.repeat_count, 2);
+});
+
+test('an evicted dedup window reports its repeats early', () => {
+  const summaries = [];
+  const throttle = new LogThrottle({ dedup: { windowMs: 1000, maxKeys: 1 } }, (logType, payload) => summaries.push(payload));
+  throttle.allow('json', { message: 'a' }, 0);
+  throttle.allow('json', { message: 'a' }, 1);
+  throttle.allow('json', { message: 'b' }, 2);
+  throttle.sweep(true);
+
+  assert.deepStrictEqual(summaries.map((payload) => payload.message), ['a']);
+});
+
+test('invalid throttling options disable the client', () => {
+  const client = new VibexClient({ token: 'vb_test_token', sessionId: 'test-session', configFile: false }, false, {
+    platform: TEST_PLATFORM,
+    sampling: { debug: 2 },
+  });
+  assert.strictEqual(client.isEnabled(), false);
+});
+
+test('repeat summaries never carry the context of the request that opened the window', async (t) => {
+  const server = await startServer(t);
+  const capture = createCapture();
+  const client = createClient(server, { capture, dedup: { windowMs: 200 } });
+
+  runWithContext({ request_id: 'first-request' }, () => {
+    client.sendLog('json', { message: 'db failed', level: 'error' });
+    client.sendLog('json', { message: 'db failed', level: 'error' });
+  });
+  const summary = await capture.waitFor((log) => log.payload.context && log.payload.context.repeat_count);
+  t.after(() => client.flush());
+
+  assert.strictEqual(summary.payload.context.repeat_count, 1);
+  assert.strictEqual(summary.payload.context.request_id, undefined);
+});
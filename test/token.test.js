@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, createClient, tempDir, deliveredMessages } = require('./helpers');
+
+const authorizations = (server) => server.requests.map((request) => request.headers.authorization);
+
+test('a rejected callback token is refreshed once and the batch resent', async (t) => {
+  const server = await startServer(t);
+  server.respondOnce('unauthorized');
+  let calls = 0;
+  const client = createClient(server, {}, { token: undefined, tokenProvider: async () => `vb_live_token${++calls}` });
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.deepStrictEqual(authorizations(server), ['Bearer vb_live_token1', 'Bearer vb_live_token2']);
+  assert.deepStrictEqual(deliveredMessages(server), ['a']);
+  assert.strictEqual(client.disabledPermanently, false);
+});
+
+test('a 403 also triggers a refresh', async (t) => {
+  const server = await startServer(t);
+  server.respondOnce('forbidden');
+  let calls = 0;
+  const client = createClient(server, {}, { token: undefined, tokenProvider: async () => `vb_live_token${++calls}` });
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.deepStrictEqual(deliveredMessages(server), ['a']);
+});
+
+test('the client is disabled when the refreshed token is rejected too', async (t) => {
+  const server = await startServer(t);
+  server.respondWith('unauthorized');
+  let calls = 0;
+  const client = createClient(server, {}, { token: undefined, tokenProvider: async () => `vb_live_token${++calls}` });
+  const disabled = [];
+  client.on('disabled', (event) => disabled.push(event.status));
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.strictEqual(server.requests.length, 2);
+  assert.deepStrictEqual(disabled, [401]);
+  assert.strictEqual(client.isEnabled(), false);
+});
+
+test('a static token is not refreshed', async (t) => {
+  const server = await startServer(t);
+  server.respondOnce('unauthorized');
+  const client = createClient(server);
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.strictEqual(server.requests.length, 1);
+  assert.strictEqual(client.disabledPermanently, true);
+});
+
+test('a changed token file re-enables a client disabled by a rejected token', async (t) => {
+  const server = await startServer(t);
+  const tokenFile = path.join(tempDir(t), 'token');
+  fs.writeFileSync(tokenFile, 'vb_live_old\n');
+  server.respondOnce('unauthorized');
+  const client = createClient(server, {}, { token: undefined, tokenFile });
+  client.config.tokenProvider.checkIntervalMs = 10;
+
+  await client.sendLog('json', { message: 'a' });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.strictEqual(client.isEnabled(), false);
+
+  fs.writeFileSync(tokenFile, 'vb_live_rotated\n');
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.strictEqual(client.isEnabled(), true);
+
+  await client.sendLog('json', { message: 'b' });
+  await client.flush();
+  assert.deepStrictEqual(authorizations(server), ['Bearer vb_live_old', 'Bearer vb_live_rotated']);
+  assert.deepStrictEqual(deliveredMessages(server), ['b']);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveTransportOptions } = require('../transport');
+const { startServer, createClient, deliveredMessages } = require('./helpers');
+
+test('proxies come from the environment, except for NO_PROXY hosts', () => {
+  const resolved = resolveTransportOptions({}, {
+    HTTPS_PROXY: 'proxy.corp:3128',
+    NO_PROXY: 'localhost,.internal.corp',
+  });
+
+  assert.strictEqual(resolved.proxy['https:'], 'http://proxy.corp:3128/');
+  assert.strictEqual(resolved.proxy['http:'], null);
+  assert.deepStrictEqual(resolved.warnings, []);
+  assert.strictEqual(resolved.useAgent, true);
+});
+
+test('an unusable proxy environment variable is ignored with a warning', () => {
+  const resolved = resolveTransportOptions({}, { HTTPS_PROXY: 'socks5://proxy.corp:1080' });
+
+  assert.strictEqual(resolved.proxy['https:'], null);
+  assert.strictEqual(resolved.useAgent, false);
+  assert.strictEqual(resolved.warnings.length, 1);
+  assert.match(resolved.warnings[0], /HTTPS_PROXY "socks5:\/\/proxy.corp:1080"/);
+});
+
+test('an explicit proxy that is not http(s) is an error', () => {
+  assert.throws(() => resolveTransportOptions({ proxy: 'socks5://proxy.corp:1080' }), /must be an http:\/\/ or https:\/\/ URL/);
+  assert.throws(() => resolveTransportOptions({ timeoutMs: -1 }), /"timeoutMs" must be a positive number/);
+});
+
+test('a client with an unusable proxy environment variable still sends logs', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, {
+    platform: { onShutdown: () => {}, env: { HTTP_PROXY: 'socks5://proxy.corp:1080' } },
+  });
+
+  await client.sendLog('json', { message: 'a' });
+  await client.flush();
+
+  assert.deepStrictEqual(deliveredMessages(server), ['a']);
+  assert.match(client.getStatus().configWarnings.join('\n'), /Ignoring HTTP_PROXY/);
+});
+
+test('invalid explicit transport options disable the client', async (t) => {
+  const server = await startServer(t);
+  const client = createClient(server, { transport: { proxy: 'socks5://proxy.corp:1080' } });
+
+  assert.strictEqual(client.isEnabled(), false);
+});
@@ -0,0 +1,435 @@
+/**
+ * Testing Kit
+ * require('vibex-sdk/testing')
+ *
+ * - LogCapture: pass as the `capture` option to VibexHandler/VibexClient/pino transport to record
+ *   hybrid logs in memory instead of sending them, with assertion helpers
+ * - FakeIngestServer: a local stand-in for /api/v1/ingest that records batches and can script
+ *   responses (401, 403, 404, 429, 5xx, slow or hanging) to exercise the SDK's real failure paths
+ */
+
+const assert = require('assert');
+const http = require('http');
+const zlib = require('zlib');
+const { normalizeLevel } = require('./normalize');
+
+const INGEST_PATH = '/api/v1/ingest';
+
+/**
+ * Check one expected value against an actual value
+ * RegExps test strings, functions are predicates, objects match a subset of fields
+ * @private
+ */
+function matches(expected, actual) {
+  if (expected instanceof RegExp) {
+    return actual !== undefined && actual !== null && expected.test(String(actual));
+  }
+  if (typeof expected === 'function') {
+    try {
+      return !!expected(actual);
+    } catch (e) {
+      return false;
+    }
+  }
+  if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+    if (!actual || typeof actual !== 'object') {
+      return false;
+    }
+    return Object.keys(expected).every((key) => matches(expected[key], actual[key]));
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.length === actual.length &&
+      expected.every((item, i) => matches(item, actual[i]));
+  }
+  return actual === expected;
+}
+
+/**
+ * Build a predicate for captured logs
+ * @param {object|Function} query - Predicate (log) => boolean, or fields to match:
+ *   { level, message (substring or RegExp), context, metrics, sessionId, type, ...payload fields }
+ * @returns {Function} Predicate over captured logs
+ * @private
+ */
+function toPredicate(query = {}) {
+  if (typeof query === 'function') {
+    return query;
+  }
+  return (log) => Object.keys(query).every((key) => {
+    const expected = query[key];
+    if (key === 'level') {
+      return log.level === normalizeLevel(expected);
+    }
+    if (key === 'message' && typeof expected === 'string') {
+      return typeof log.message === 'string' && log.message.includes(expected);
+    }
+    if (key === 'sessionId' || key === 'type') {
+      return matches(expected, log[key]);
+    }
+    return matches(expected, log.payload && typeof log.payload === 'object' ? log.payload[key] : undefined);
+  });
+}
+
+/**
+ * Describe a query for assertion messages
+ * @private
+ */
+function describeQuery(query) {
+  if (typeof query === 'function') {
+    return 'predicate';
+  }
+  return JSON.stringify(query, (key, value) => (value instanceof RegExp ? String(value) : value));
+}
+
+class LogCapture {
+  constructor() {
+    this.logs = [];  // [{ type, payload, timestamp, sessionId, level, message }]
+    this._waiters = [];
+  }
+
+  /**
+   * Record a log (called by VibexClient in capture mode)
+   * @param {Array} entry - Log entry [logType, payload, timestamp]
+   * @param {string} sessionId - Session the log was routed to
+   */
+  record([type, payload, timestamp], sessionId) {
+    const isObject = payload && typeof payload === 'object';
+    const log = {
+      type,
+      payload,
+      timestamp,
+      sessionId,
+      level: normalizeLevel(isObject ? payload.level : null),
+      message: isObject ? payload.message : payload,
+    };
+    this.logs.push(log);
+
+    for (const waiter of this._waiters.slice()) {
+      if (waiter.predicate(log)) {
+        waiter.resolve(log);
+      }
+    }
+  }
+
+  /**
+   * Forget all captured logs
+   */
+  clear() {
+    this.logs = [];
+  }
+
+  /**
+   * Find captured logs
+   * @param {object|Function} query - Fields to match, or a predicate
+   * @returns {Array<object>} Matching logs
+   */
+  filter(query) {
+    return this.logs.filter(toPredicate(query));
+  }
+
+  /**
+   * Find the first captured log
+   * @param {object|Function} query - Fields to match, or a predicate
+   * @returns {object|undefined} First matching log
+   */
+  find(query) {
+    return this.logs.find(toPredicate(query));
+  }
+
+  /**
+   * Assert that a log was captured
+   * @param {object|Function} query - Fields to match, or a predicate
+   * @param {number} times - Exact number of expected matches (default: at least one)
+   * @returns {object} First matching log
+   */
+  expectLog(query, times = null) {
+    const found = this.filter(query);
+    const ok = times === null ? found.length > 0 : found.length === times;
+    if (!ok) {
+      const expected = times === null ? 'at least one log' : `${times} log(s)`;
+      throw new assert.AssertionError({
+        message: `Expected ${expected} matching ${describeQuery(query)}, found ${found.length}. ` +
+          `Captured: ${JSON.stringify(this.logs.map((log) => log.payload))}`,
+      });
+    }
+    return found[0];
+  }
+
+  /**
+   * Assert that no matching log was captured
+   * @param {object|Function} query - Fields to match, or a predicate
+   */
+  expectNoLog(query) {
+    const found = this.filter(query);
+    if (found.length > 0) {
+      throw new assert.AssertionError({
+        message: `Expected no log matching ${describeQuery(query)}, found ${found.length}: ` +
+          JSON.stringify(found.map((log) => log.payload)),
+      });
+    }
+  }
+
+  /**
+   * Wait until a matching log is captured (handlers queue logs asynchronously)
+   * @param {object|Function} query - Fields to match, or a predicate
+   * @param {number} timeoutMs - Max time to wait (default: 1000)
+   * @returns {Promise<object>} The matching log
+   */
+  waitFor(query, timeoutMs = 1000) {
+    const predicate = toPredicate(query);
+    const existing = this.logs.find(predicate);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        predicate,
+        resolve: (log) => {
+          clearTimeout(timer);
+          this._waiters = this._waiters.filter((w) => w !== waiter);
+          resolve(log);
+        },
+      };
+      const timer = setTimeout(() => {
+        this._waiters = this._waiters.filter((w) => w !== waiter);
+        reject(new assert.AssertionError({
+          message: `Timed out after ${timeoutMs}ms waiting for a log matching ${describeQuery(query)}`,
+        }));
+      }, timeoutMs);
+      this._waiters.push(waiter);
+    });
+  }
+}
+
+/**
+ * Create an in-memory log capture
+ * @returns {LogCapture} Capture to pass as the `capture` option
+ */
+function createCapture() {
+  return new LogCapture();
+}
+
+/**
+ * Decode a request body according to its Content-Encoding
+ * @private
+ */
+function decodeBody(buffer, encoding) {
+  switch (encoding) {
+    case 'gzip':
+      return zlib.gunzipSync(buffer);
+    case 'deflate':
+      return zlib.inflateSync(buffer);
+    case 'br':
+      return zlib.brotliDecompressSync(buffer);
+    default:
+      return buffer;
+  }
+}
+
+// Ready-made scripted responses
+const RESPONSES = {
+  ok: { status: 200, body: { success: true } },
+  unauthorized: { status: 401, body: { error: 'Unauthorized' } },
+  forbidden: { status: 403, body: { error: 'Forbidden' } },
+  notFound: { status: 404, body: { error: 'Session not found' } },
+  rateLimited: { status: 429, body: { error: 'Rate limit exceeded' }, headers: { 'Retry-After': '1' } },
+  historyLimit: { status: 429, body: { error: 'History Limit Reached', message: 'History limit reached for this session' } },
+  serverError: { status: 500, body: { error: 'Internal Server Error' } },
+  unavailable: { status: 503, body: { error: 'Service Unavailable' }, headers: { 'Retry-After': '1' } },
+  hang: { hang: true },
+};
+
+class FakeIngestServer {
+  /**
+   * Initialize FakeIngestServer
+   * @param {object} options - Server options
+   * @param {string} options.token - Token the config() helper returns (default: 'vb_test_token')
+   * @param {string} options.sessionId - Session ID the config() helper returns (default: 'test-session')
+   */
+  constructor(options = {}) {
+    this.token = options.token || 'vb_test_token';
+    this.sessionId = options.sessionId || 'test-session';
+    this.requests = [];  // [{ method, path, headers, body, receivedAt, response }]
+    this._queued = [];  // One-shot responses, used in order
+    this._default = RESPONSES.ok;
+    this._sockets = new Set();
+    this._server = null;
+    this.url = null;
+  }
+
+  /**
+   * Start listening on localhost
+   * @param {number} port - Port (default: a random free port)
+   * @returns {Promise<string>} Ingest URL
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this._server = http.createServer((req, res) => this._handle(req, res));
+      this._server.on('connection', (socket) => {
+        this._sockets.add(socket);
+        socket.on('close', () => this._sockets.delete(socket));
+      });
+      this._server.once('error', reject);
+      this._server.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this._server.address().port}${INGEST_PATH}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server, dropping hanging requests
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this._server) {
+      return Promise.resolve();
+    }
+    for (const socket of this._sockets) {
+      socket.destroy();
+    }
+    return new Promise((resolve) => {
+      this._server.close(() => resolve());
+      this._server = null;
+    });
+  }
+
+  /**
+   * VibexConfig options pointing at this server
+   * @returns {object} { token, sessionId, apiUrl, configFile: false }
+   */
+  config() {
+    return { token: this.token, sessionId: this.sessionId, apiUrl: this.url, configFile: false };
+  }
+
+  /**
+   * Set the response for every following request
+   * @param {number|string|object} response - Status code, a RESPONSES name, or { status, body, headers, delayMs, hang }
+   * @returns {FakeIngestServer} this
+   */
+  respondWith(response) {
+    this._default = this._resolveResponse(response);
+    return this;
+  }
+
+  /**
+   * Queue one-shot responses for the next requests, after which the default response applies again
+   * @param {...(number|string|object)} responses - Responses, as for respondWith()
+   * @returns {FakeIngestServer} this
+   */
+  respondOnce(...responses) {
+    this._queued.push(...responses.map((response) => this._resolveResponse(response)));
+    return this;
+  }
+
+  /**
+   * Forget recorded requests and scripted responses
+   */
+  reset() {
+    this.requests = [];
+    this._queued = [];
+    this._default = RESPONSES.ok;
+  }
+
+  /**
+   * Get all received batches (successfully parsed request bodies)
+   * @returns {Array<object>} Request bodies
+   */
+  get batches() {
+    return this.requests.filter((request) => request.body).map((request) => request.body);
+  }
+
+  /**
+   * Get all received logs, flattened across batches
+   * @returns {Array<object>} Logs [{ type, payload, timestamp }]
+   */
+  get logs() {
+    return this.batches.reduce((all, body) => all.concat(Array.isArray(body.logs) ? body.logs : []), []);
+  }
+
+  /**
+   * Wait until a number of requests have been received
+   * @param {number} count - Requests to wait for
+   * @param {number} timeoutMs - Max time to wait (default: 2000)
+   * @returns {Promise<Array<object>>} Received requests
+   */
+  async waitForRequests(count, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.requests.length < count) {
+      if (Date.now() > deadline) {
+        throw new assert.AssertionError({
+          message: `Timed out after ${timeoutMs}ms waiting for ${count} request(s), got ${this.requests.length}`,
+        });
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return this.requests;
+  }
+
+  /**
+   * Normalize a scripted response
+   * @private
+   */
+  _resolveResponse(response) {
+    if (typeof response === 'number') {
+      return { status: response, body: {} };
+    }
+    if (typeof response === 'string') {
+      if (!RESPONSES[response]) {
+        throw new Error(`Unknown response "${response}". Use one of: ${Object.keys(RESPONSES).join(', ')}`);
+      }
+      return RESPONSES[response];
+    }
+    return { status: 200, body: {}, ...response };
+  }
+
+  /**
+   * Record a request and answer it with the next scripted response
+   * @private
+   */
+  _handle(req, res) {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const response = this._queued.length > 0 ? this._queued.shift() : this._default;
+      const request = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: null,
+        receivedAt: Date.now(),
+        response,
+      };
+      try {
+        const raw = decodeBody(Buffer.concat(chunks), req.headers['content-encoding']);
+        request.body = JSON.parse(raw.toString('utf8'));
+      } catch (e) {
+        request.error = e.message;
+      }
+      this.requests.push(request);
+
+      if (response.hang) {
+        return;  // Never answer - the client has to time out
+      }
+
+      const send = () => {
+        res.writeHead(response.status, { 'Content-Type': 'application/json', ...(response.headers || {}) });
+        res.end(JSON.stringify(response.body || {}));
+      };
+      if (response.delayMs) {
+        setTimeout(send, response.delayMs);
+      } else {
+        send();
+      }
+    });
+  }
+}
+
+module.exports = {
+  INGEST_PATH,
+  RESPONSES,
+  LogCapture,
+  createCapture,
+  FakeIngestServer,
+};
@@ -0,0 +1,308 @@
+/**
+ * Log Throttling
+ * Per-level sampling, deduplication of repeated messages and token-bucket rate limiting,
+ * applied before logs are queued so hot loops can't flood the queue or burn the ingest quota
+ */
+
+const { normalizeLevel } = require('./normalize');
+
+const DEFAULT_DEDUP_OPTIONS = {
+  windowMs: 5000,  // Identical messages within this window are sent once, then summarized
+  maxKeys: 1000,  // Max distinct messages tracked at once
+};
+
+const DEFAULT_RATE_LIMIT_OPTIONS = {
+  ratePerSec: 100,  // Tokens added per second
+  burst: 200,  // Bucket size
+  key: 'level',  // Bucket per 'level', per 'message', or a function (level, message, payload) => key
+  levels: {},  // Per-level overrides: { debug: { ratePerSec, burst } }
+  maxKeys: 1000,  // Max buckets tracked at once
+};
+
+/**
+ * Get level and message of a log for keying
+ * @private
+ */
+function describe(logType, payload) {
+  const isObject = payload && typeof payload === 'object' && !Array.isArray(payload);
+  const message = isObject ? payload.message : payload;
+  let key;
+  try {
+    key = typeof message === 'string' ? message : JSON.stringify(message === undefined ? null : message);
+  } catch (error) {
+    key = String(message);  // Circular or BigInt messages - serialize.js handles them when the log is queued
+  }
+  return {
+    level: normalizeLevel(isObject ? payload.level : null),
+    message: key,
+  };
+}
+
+/**
+ * Validate sampling rates
+ * @private
+ */
+function resolveSampling(sampling) {
+  if (!sampling) {
+    return null;
+  }
+  if (typeof sampling !== 'object') {
+    throw new Error('Sampling must be an object of per-level rates, e.g. { debug: 0.1 }');
+  }
+  const rates = {};
+  for (const [level, rate] of Object.entries(sampling)) {
+    if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+      throw new Error(`Sampling rate for "${level}" must be a number between 0 and 1`);
+    }
+    rates[normalizeLevel(level)] = rate;
+  }
+  return rates;
+}
+
+/**
+ * Validate deduplication options
+ * @private
+ */
+function resolveDedup(dedup) {
+  if (!dedup) {
+    return null;
+  }
+  const options = { ...DEFAULT_DEDUP_OPTIONS, ...(dedup === true ? {} : dedup) };
+  if (typeof options.windowMs !== 'number' || options.windowMs <= 0) {
+    throw new Error('Dedup "windowMs" must be a positive number');
+  }
+  return options;
+}
+
+/**
+ * Validate rate limit options
+ * @private
+ */
+function resolveRateLimit(rateLimit) {
+  if (!rateLimit) {
+    return null;
+  }
+  const options = { ...DEFAULT_RATE_LIMIT_OPTIONS, ...(rateLimit === true ? {} : rateLimit) };
+  const limits = [options, ...Object.values(options.levels || {})];
+  for (const limit of limits) {
+    if (limit.ratePerSec !== undefined && (typeof limit.ratePerSec !== 'number' || limit.ratePerSec < 0)) {
+      throw new Error('Rate limit "ratePerSec" must be a non-negative number');
+    }
+    if (limit.burst !== undefined && (typeof limit.burst !== 'number' || limit.burst < 1)) {
+      throw new Error('Rate limit "burst" must be at least 1');
+    }
+  }
+  if (!['level', 'message'].includes(options.key) && typeof options.key !== 'function') {
+    throw new Error('Rate limit "key" must be \'level\', \'message\' or a function');
+  }
+  return options;
+}
+
+/**
+ * Insert into a Map, evicting the oldest key beyond a size cap
+ * @param {Function} onEvict - Called with (key, value) of an evicted entry
+ * @private
+ */
+function setBounded(map, key, value, maxKeys, onEvict = null) {
+  if (!map.has(key) && map.size >= maxKeys) {
+    const [oldestKey, oldest] = map.entries().next().value;
+    map.delete(oldestKey);
+    if (onEvict) {
+      onEvict(oldestKey, oldest);
+    }
+  }
+  map.set(key, value);
+}
+
+class LogThrottle {
+  /**
+   * Initialize LogThrottle
+   * @param {object} options - Throttle options
+   * @param {object} options.sampling - Per-level sampling rates between 0 and 1, e.g. { debug: 0.1, info: 0.5 }
+   * @param {object|boolean} options.dedup - Deduplication: true or { windowMs, maxKeys }
+   * @param {object|boolean} options.rateLimit - Token bucket: true or { ratePerSec, burst, key, levels, maxKeys }
+   * @param {Function} onSummary - Called with (logType, payload, timestamp) for each repeat summary of a deduplicated message
+   */
+  constructor(options = {}, onSummary = () => {}) {
+    this._sampling = resolveSampling(options.sampling);
+    this._dedup = resolveDedup(options.dedup);
+    this._rateLimit = resolveRateLimit(options.rateLimit);
+    this._onSummary = onSummary;
+
+    this._seen = new Map();  // Dedup key -> { firstSeen, lastSeen, windowEnd, repeats, logType, payload }
+    this._buckets = new Map();  // Rate limit key -> { tokens, updatedAt }
+    this._sweepTimer = null;
+
+    this.counts = {
+      sampled: 0,
+      deduplicated: 0,
+      rateLimited: 0,
+    };
+  }
+
+  /**
+   * Check whether any throttling is configured
+   * @returns {boolean} True if sampling, dedup or rate limiting is enabled
+   */
+  isActive() {
+    return !!(this._sampling || this._dedup || this._rateLimit);
+  }
+
+  /**
+   * Decide whether a log may be queued
+   * @param {string} logType - Type of log ('json' or 'text')
+   * @param {any} payload - Log payload
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the log should be sent, false if it was sampled out or suppressed
+   */
+  allow(logType, payload, now = Date.now()) {
+    const { level, message } = describe(logType, payload);
+
+    if (this._sampling && this._sampling[level] !== undefined && Math.random() >= this._sampling[level]) {
+      this.counts.sampled += 1;
+      return false;
+    }
+
+    if (this._dedup && this._isDuplicate(logType, payload, level, message, now)) {
+      this.counts.deduplicated += 1;
+      return false;
+    }
+
+    if (this._rateLimit && !this._takeToken(level, message, payload, now)) {
+      this.counts.rateLimited += 1;
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Track a message in the dedup window
+   * @returns {boolean} True if it repeats a message already sent in the current window
+   * @private
+   */
+  _isDuplicate(logType, payload, level, message, now) {
+    const key = `${logType}|${level}|${message}`;
+    const entry = this._seen.get(key);
+
+    if (entry && now < entry.windowEnd) {
+      entry.repeats += 1;
+      entry.lastSeen = now;
+      entry.logType = logType;
+      entry.payload = payload;
+      return true;
+    }
+
+    if (entry) {
+      this._summarize(key, entry);
+    }
+    setBounded(this._seen, key, {
+      firstSeen: now,
+      lastSeen: now,
+      windowEnd: now + this._dedup.windowMs,
+      repeats: 0,
+      logType,
+      payload,
+    }, this._dedup.maxKeys, (evictedKey, evicted) => this._summarize(evictedKey, evicted));  // Report repeats of an evicted window early
+    this._ensureSweep();
+    return false;
+  }
+
+  /**
+   * Emit a repeat summary for a closed dedup window
+   * @private
+   */
+  _summarize(key, entry) {
+    this._seen.delete(key);
+    if (entry.repeats === 0) {
+      return;
+    }
+
+    const payload = entry.payload && typeof entry.payload === 'object' && !Array.isArray(entry.payload)
+      ? entry.payload
+      : { message: entry.payload };
+    const context = payload.context && typeof payload.context === 'object' ? payload.context : {};
+    this._onSummary('json', {
+      ...payload,
+      context: {
+        ...context,
+        repeat_count: entry.repeats,
+        first_seen: new Date(entry.firstSeen).toISOString(),
+        last_seen: new Date(entry.lastSeen).toISOString(),
+      },
+    }, entry.lastSeen);
+  }
+
+  /**
+   * Periodically close expired dedup windows
+   * @private
+   */
+  _ensureSweep() {
+    if (this._sweepTimer) {
+      return;
+    }
+    this._sweepTimer = setInterval(() => this.sweep(), this._dedup.windowMs);
+    // Throttling must never keep the process alive
+    if (this._sweepTimer.unref) {
+      this._sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Emit repeat summaries for dedup windows that have ended
+   * @param {boolean} all - If true, close every window (used on flush)
+   */
+  sweep(all = false) {
+    const now = Date.now();
+    for (const [key, entry] of Array.from(this._seen)) {
+      if (all || now >= entry.windowEnd) {
+        this._summarize(key, entry);
+      }
+    }
+    if (this._seen.size === 0 && this._sweepTimer) {
+      clearInterval(this._sweepTimer);
+      this._sweepTimer = null;
+    }
+  }
+
+  /**
+   * Take a token from the log's bucket
+   * @returns {boolean} True if a token was available
+   * @private
+   */
+  _takeToken(level, message, payload, now) {
+    const options = this._rateLimit;
+    const limit = { ...options, ...(options.levels[level] || {}) };
+
+    let key;
+    if (typeof options.key === 'function') {
+      try {
+        key = String(options.key(level, message, payload));
+      } catch (e) {
+        key = level;
+      }
+    } else {
+      key = options.key === 'message' ? `${level}|${message}` : level;
+    }
+
+    let bucket = this._buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now };
+      setBounded(this._buckets, key, bucket, options.maxKeys);
+    } else {
+      const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+      bucket.tokens = Math.min(limit.burst, bucket.tokens + elapsed * limit.ratePerSec);
+      bucket.updatedAt = now;
+    }
+
+    if (bucket.tokens < 1) {
+      return false;
+    }
+    bucket.tokens -= 1;
+    return true;
+  }
+}
+
+module.exports = LogThrottle;
+module.exports.DEFAULT_DEDUP_OPTIONS = DEFAULT_DEDUP_OPTIONS;
+module.exports.DEFAULT_RATE_LIMIT_OPTIONS = DEFAULT_RATE_LIMIT_OPTIONS;
@@ -0,0 +1,199 @@
+/**
+ * Token Providers
+ * Where the client gets its API token: a static value, a file that is re-read when it changes
+ * (e.g. a Kubernetes secret mount), or an async callback (e.g. a secret manager).
+ * On a 401/403 the client asks the provider for a fresh token once before giving up; a token file that
+ * changes later re-enables a client disabled by a rejected token.
+ */
+
+const { nodeRequire } = require('./platform');
+
+const FILE_CHECK_INTERVAL_MS = 1000;  // Min time between checks of a token file for changes
+const EXPIRY_MARGIN_MS = 10000;  // Fetch a new callback token this long before it expires
+
+/**
+ * Check a token value from a file or callback
+ * @private
+ */
+function normalizeToken(value, source) {
+  const token = typeof value === 'string' ? value.trim() : '';
+  if (!token) {
+    throw new Error(`${source} returned no token`);
+  }
+  return token;
+}
+
+class TokenProvider {
+  /**
+   * Create a token provider
+   * @param {object} options - Exactly one token source
+   * @param {string} options.token - Static token
+   * @param {string} options.file - Path of a file holding the token, re-read when it changes
+   * @param {Function} options.callback - Async function returning a token, or { token, expiresAt }; called again on rejection or expiry
+   * @param {number} options.checkIntervalMs - Min time between token file checks (default: 1000)
+   */
+  constructor(options = {}) {
+    this.token = options.token || null;
+    this.file = options.file || null;
+    this.callback = typeof options.callback === 'function' ? options.callback : null;
+    this.checkIntervalMs = options.checkIntervalMs || FILE_CHECK_INTERVAL_MS;
+    this.expiresAt = null;
+    this.error = null;
+
+    this._fileStamp = null;
+    this._checkedAt = 0;
+    this._pending = null;
+
+    if (this.file) {
+      // Read up front so the configuration can be validated like a static token
+      try {
+        this._readFile();
+      } catch (error) {
+        this.error = error.message;
+      }
+    }
+  }
+
+  /**
+   * Kind of source: 'static', 'file' or 'callback'
+   * @returns {string} Source kind
+   */
+  get kind() {
+    if (this.callback) {
+      return 'callback';
+    }
+    return this.file ? 'file' : 'static';
+  }
+
+  /**
+   * Check whether refresh() can yield a different token
+   * @returns {boolean} True for file and callback sources
+   */
+  canRefresh() {
+    return this.kind !== 'static';
+  }
+
+  /**
+   * Get the token to send - re-reads a changed file, calls the callback when there is no valid token
+   * @returns {Promise<string|null>} Current token
+   */
+  async get() {
+    if (this.kind === 'file' && Date.now() - this._checkedAt >= this.checkIntervalMs) {
+      this._tryReadFile(false);
+    } else if (this.kind === 'callback' && (!this.token || this._isExpired())) {
+      await this._fetch();
+    }
+    return this.token;
+  }
+
+  /**
+   * Re-read a changed token file without waiting (at most once per checkIntervalMs)
+   * A file that can't be read keeps the last token
+   * @returns {string|null} Current token
+   */
+  poll() {
+    if (this.kind === 'file' && Date.now() - this._checkedAt >= this.checkIntervalMs) {
+      try {
+        this._readFile();
+      } catch (error) {
+        this.error = error.message;
+      }
+    }
+    return this.token;
+  }
+
+  /**
+   * Get a new token after the current one was rejected
+   * Concurrent calls for the same rejected token share one refresh
+   * @param {string} rejectedToken - Token the server rejected
+   * @returns {Promise<boolean>} True if the token changed
+   */
+  async refresh(rejectedToken) {
+    if (this.token && this.token !== rejectedToken) {
+      return true;  // Already refreshed by another request
+    }
+    if (this.kind === 'file') {
+      this._tryReadFile(true);
+    } else if (this.kind === 'callback') {
+      await this._fetch();
+    }
+    return !!this.token && this.token !== rejectedToken;
+  }
+
+  /**
+   * Call the token callback (one call at a time)
+   * @private
+   */
+  _fetch() {
+    if (!this._pending) {
+      this._pending = Promise.resolve()
+        .then(() => this.callback())
+        .then((result) => {
+          const isObject = result && typeof result === 'object';
+          this.token = normalizeToken(isObject ? result.token : result, 'Token provider');
+          const expiresAt = isObject && result.expiresAt ? new Date(result.expiresAt).getTime() : null;
+          this.expiresAt = expiresAt && !isNaN(expiresAt) ? expiresAt : null;
+          this.error = null;
+        })
+        .catch((error) => {
+          this.error = error && error.message ? error.message : String(error);
+          throw error;
+        })
+        .finally(() => {
+          this._pending = null;
+        });
+    }
+    return this._pending;
+  }
+
+  /**
+   * Check whether the callback token is about to expire
+   * @private
+   */
+  _isExpired() {
+    return this.expiresAt !== null && Date.now() >= this.expiresAt - EXPIRY_MARGIN_MS;
+  }
+
+  /**
+   * Read the token file, keeping the last token if the file is briefly missing (e.g. while a secret mount is swapped)
+   * @private
+   */
+  _tryReadFile(force) {
+    try {
+      this._readFile(force);
+    } catch (error) {
+      this.error = error.message;
+      if (!this.token) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Read the token file if it changed since the last read
+   * @param {boolean} force - Read even if the file looks unchanged
+   * @private
+   */
+  _readFile(force = false) {
+    const fs = nodeRequire('fs');
+    if (!fs) {
+      throw new Error('Token files need Node\'s fs module - pass a token or a token callback instead');
+    }
+    this._checkedAt = Date.now();
+    let stat;
+    try {
+      stat = fs.statSync(this.file);
+    } catch (error) {
+      throw new Error(`Could not read token file ${this.file}: ${error.message}`);
+    }
+    const stamp = `${stat.mtimeMs}:${stat.size}:${stat.ino}`;
+    if (!force && stamp === this._fileStamp) {
+      return;
+    }
+    this.token = normalizeToken(fs.readFileSync(this.file, 'utf8'), `Token file ${this.file}`);
+    this._fileStamp = stamp;
+    this.error = null;
+  }
+}
+
+module.exports = TokenProvider;
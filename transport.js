@@ -0,0 +1,308 @@
+/**
+ * Network Transport Options
+ * Request timeout, HTTP(S) proxies (explicit or from HTTPS_PROXY / HTTP_PROXY / NO_PROXY),
+ * custom CA bundles, client certificates for mTLS and a keep-alive agent with a connection cap.
+ * Proxy, TLS and agent options need Node's http/https modules; the timeout applies everywhere.
+ */
+
+const { nodeRequire, httpTransport, proxyAuthorization } = require('./platform');
+
+const DEFAULT_TRANSPORT_OPTIONS = {
+  timeoutMs: 5000,  // Max time for one ingest request
+  keepAlive: true,  // Reuse connections between batches (agent transport only)
+  maxSockets: 10,  // Max open connections per host (agent transport only)
+};
+
+const TLS_FILE_OPTIONS = ['ca', 'cert', 'key', 'pfx'];
+
+/**
+ * Read a TLS option given as PEM content, a Buffer, a file path, or a list of those
+ * @private
+ */
+function loadTlsMaterial(value, name) {
+  if (Array.isArray(value)) {
+    return value.map((item) => loadTlsMaterial(item, name));
+  }
+  if (typeof value !== 'string') {
+    if (value && typeof value === 'object' && typeof value.byteLength === 'number') {
+      return value;
+    }
+    throw new Error(`"${name}" must be PEM content, a Buffer or a file path`);
+  }
+  if (name !== 'pfx' && value.includes('-----BEGIN')) {
+    return value;
+  }
+  const fs = nodeRequire('fs');
+  if (!fs) {
+    throw new Error(`"${name}" file paths need Node's fs module - pass the content instead`);
+  }
+  try {
+    return fs.readFileSync(value);
+  } catch (error) {
+    throw new Error(`Could not read "${name}" from ${value}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse and check a proxy URL
+ * @private
+ */
+function parseProxy(value, source) {
+  let url;
+  try {
+    url = new URL(value.includes('://') ? value : `http://${value}`);
+  } catch (error) {
+    throw new Error(`${source} "${value}" is not a valid URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`${source} "${value}" must be an http:// or https:// URL`);
+  }
+  return url.href;
+}
+
+/**
+ * Parse a NO_PROXY list: host names, .domain suffixes, *.domain wildcards, host:port, or * for everything
+ * @private
+ */
+function parseNoProxy(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return entries
+    .map((entry) => String(entry).trim().toLowerCase())
+    .filter(Boolean)
+    .map((entry) => {
+      if (entry === '*') {
+        return { host: '*', port: null };
+      }
+      const match = /^(.*?)(?::(\d+))?$/.exec(entry);
+      return { host: match[1].replace(/^\*/, '').replace(/^\./, ''), port: match[2] || null };
+    });
+}
+
+/**
+ * Check whether a URL must bypass the proxy
+ * @param {URL} url - Target URL
+ * @param {Array<object>} noProxy - Parsed NO_PROXY entries
+ * @returns {boolean} True to connect directly
+ */
+function bypassesProxy(url, noProxy) {
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  return noProxy.some((entry) => {
+    if (entry.host === '*') {
+      return true;
+    }
+    if (entry.port && entry.port !== port) {
+      return false;
+    }
+    return hostname === entry.host || hostname.endsWith(`.${entry.host}`);
+  });
+}
+
+/**
+ * Resolve transport options
+ * @param {object} options - Transport options
+ * @param {number} options.timeoutMs - Max time for one ingest request (default: 5000)
+ * @param {string|boolean} options.proxy - Proxy URL for all requests, or false to ignore proxy environment variables (default: HTTPS_PROXY / HTTP_PROXY)
+ * @param {string|Array<string>} options.noProxy - Hosts to reach directly (default: NO_PROXY)
+ * @param {string|Buffer|Array} options.ca - Extra CA certificates (PEM content or file paths), trusted in addition to the default roots
+ * @param {string|Buffer} options.cert - Client certificate for mTLS (PEM content or file path)
+ * @param {string|Buffer} options.key - Client private key for mTLS (PEM content or file path)
+ * @param {string|Buffer} options.pfx - Client certificate and key as PKCS#12 (Buffer or file path)
+ * @param {string} options.passphrase - Passphrase for key or pfx
+ * @param {boolean} options.rejectUnauthorized - Verify the server certificate (default: true)
+ * @param {boolean} options.keepAlive - Reuse connections between batches (default: true)
+ * @param {number} options.maxSockets - Max open connections per host (default: 10)
+ * @param {object} env - Environment variables
+ * @returns {object} Resolved options, with useAgent set when the Node agent transport is needed and
+ *   warnings listing ignored proxy environment variables
+ */
+function resolveTransportOptions(options, env = {}) {
+  const opts = options && typeof options === 'object' ? options : {};
+  const resolved = {
+    ...DEFAULT_TRANSPORT_OPTIONS,
+    proxy: { 'http:': null, 'https:': null },
+    noProxy: parseNoProxy(opts.noProxy !== undefined ? opts.noProxy : (env.no_proxy || env.NO_PROXY)),
+    tls: {},
+    useAgent: false,
+    warnings: [],
+  };
+
+  for (const key of ['timeoutMs', 'maxSockets']) {
+    if (opts[key] !== undefined) {
+      const value = Number(opts[key]);
+      if (!isFinite(value) || value <= 0) {
+        throw new Error(`"${key}" must be a positive number`);
+      }
+      resolved[key] = Math.floor(value);
+    }
+  }
+  if (opts.keepAlive !== undefined) {
+    resolved.keepAlive = opts.keepAlive !== false;
+  }
+
+  // Proxies: an explicit URL for everything, or the conventional environment variables per protocol
+  let explicit = false;
+  if (typeof opts.proxy === 'string' && opts.proxy) {
+    const proxy = parseProxy(opts.proxy, 'Proxy');
+    resolved.proxy = { 'http:': proxy, 'https:': proxy };
+    explicit = true;
+  } else if (opts.proxy !== false && opts.proxy !== undefined && opts.proxy !== null) {
+    throw new Error('"proxy" must be a URL string or false');
+  } else if (opts.proxy !== false) {
+    // A proxy variable set for other tools (e.g. socks5://) must not disable logging - it is ignored instead
+    const fromEnv = (value, source) => {
+      if (!value) {
+        return null;
+      }
+      try {
+        return parseProxy(value, source);
+      } catch (error) {
+        resolved.warnings.push(`Ignoring ${error.message}`);
+        return null;
+      }
+    };
+    resolved.proxy = {
+      'http:': fromEnv(env.http_proxy || env.HTTP_PROXY, 'HTTP_PROXY'),
+      'https:': fromEnv(env.https_proxy || env.HTTPS_PROXY, 'HTTPS_PROXY'),
+    };
+  }
+
+  for (const key of TLS_FILE_OPTIONS) {
+    if (opts[key] !== undefined && opts[key] !== null) {
+      resolved.tls[key] = loadTlsMaterial(opts[key], key);
+    }
+  }
+  if (opts.passphrase !== undefined) {
+    resolved.tls.passphrase = String(opts.passphrase);
+  }
+  if (opts.rejectUnauthorized !== undefined) {
+    resolved.tls.rejectUnauthorized = opts.rejectUnauthorized !== false;
+  }
+
+  const hasProxy = !!(resolved.proxy['http:'] || resolved.proxy['https:']);
+  const wantsAgent = explicit || Object.keys(resolved.tls).length > 0 ||
+    opts.keepAlive !== undefined || opts.maxSockets !== undefined;
+  if (wantsAgent || hasProxy) {
+    if (!nodeRequire('http') || !nodeRequire('https')) {
+      if (wantsAgent) {
+        throw new Error('Proxy, TLS and connection options need Node\'s http and https modules');
+      }
+    } else {
+      resolved.useAgent = true;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Create an https agent that tunnels through a proxy with CONNECT
+ * @private
+ */
+function createTunnelAgent(proxy, agentOptions, timeoutMs) {
+  const http = nodeRequire('http');
+  const https = nodeRequire('https');
+  const tls = nodeRequire('tls');
+  const proxyUrl = new URL(proxy);
+
+  const agent = new https.Agent(agentOptions);
+  agent.createConnection = (options, callback) => {
+    const authority = `${options.host}:${options.port}`;
+    const headers = { Host: authority };
+    if (proxyUrl.username) {
+      headers['Proxy-Authorization'] = proxyAuthorization(proxyUrl);
+    }
+    const request = (proxyUrl.protocol === 'https:' ? https : http).request({
+      hostname: proxyUrl.hostname,
+      port: proxyUrl.port || (proxyUrl.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: authority,
+      headers,
+      agent: false,
+    });
+    let settled = false;
+    const fail = (error) => {
+      if (!settled) {
+        settled = true;
+        callback(error);
+      }
+    };
+    request.setTimeout(timeoutMs, () => {
+      request.destroy(new Error(`Proxy ${proxyUrl.host} did not answer CONNECT in time`));
+    });
+    request.once('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        fail(new Error(`Proxy ${proxyUrl.host} refused CONNECT to ${authority} (${response.statusCode})`));
+        return;
+      }
+      settled = true;
+      request.setTimeout(0);
+      callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+    });
+    request.once('error', fail);
+    request.end();
+  };
+  return agent;
+}
+
+/**
+ * Create a transport using Node http/https agents with the resolved proxy, TLS and keep-alive options
+ * @param {object} resolved - Options from resolveTransportOptions()
+ * @returns {Function} Transport (url, headers, body, { timeoutMs }) => Promise<Response-like>, with close() to free pooled sockets
+ */
+function createAgentTransport(resolved) {
+  const http = nodeRequire('http');
+  const https = nodeRequire('https');
+  const tls = nodeRequire('tls');
+
+  const tlsOptions = { ...resolved.tls };
+  if (tlsOptions.ca && tls && Array.isArray(tls.rootCertificates)) {
+    // Extra CAs, not a replacement - public endpoints keep working behind TLS-intercepting proxies too
+    tlsOptions.ca = [...tls.rootCertificates, ...[].concat(tlsOptions.ca)];
+  }
+  const agentOptions = { keepAlive: resolved.keepAlive, maxSockets: resolved.maxSockets };
+
+  // One agent per protocol and proxy
+  const agents = new Map();
+  const agentFor = (protocol, proxy) => {
+    const key = `${protocol}|${proxy || ''}`;
+    if (!agents.has(key)) {
+      let agent;
+      if (protocol === 'https:' && proxy) {
+        agent = createTunnelAgent(proxy, { ...agentOptions, ...tlsOptions }, resolved.timeoutMs);
+      } else if (protocol === 'https:') {
+        agent = new https.Agent({ ...agentOptions, ...tlsOptions });
+      } else if (proxy && new URL(proxy).protocol === 'https:') {
+        agent = new https.Agent({ ...agentOptions, ...tlsOptions });  // TLS to the proxy itself
+      } else {
+        agent = new http.Agent(agentOptions);
+      }
+      agents.set(key, agent);
+    }
+    return agents.get(key);
+  };
+
+  const transport = (url, headers, body, options = {}) => {
+    const target = new URL(url);
+    const proxy = bypassesProxy(target, resolved.noProxy) ? null : resolved.proxy[target.protocol];
+    return httpTransport(url, headers, body, {
+      ...options,
+      agent: agentFor(target.protocol, proxy),
+      proxy,
+    });
+  };
+  transport.close = () => {
+    for (const agent of agents.values()) {
+      agent.destroy();
+    }
+    agents.clear();
+  };
+  return transport;
+}
+
+module.exports = {
+  DEFAULT_TRANSPORT_OPTIONS,
+  resolveTransportOptions,
+  createAgentTransport,
+  bypassesProxy,
+};